@@ -3,14 +3,26 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { RealtimeProvider } from './context/RealtimeContext';
 import Navbar from './components/Navbar';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
+import ImpersonationBanner from './components/ImpersonationBanner';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
+import UserProfile from './pages/UserProfile';
+import Directory from './pages/Directory';
+import Messages from './pages/Messages';
 import Clubs from './pages/Clubs';
 import Events from './pages/Events';
+import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import SsoCallback from './pages/SsoCallback';
+import VerifyTranscript from './pages/VerifyTranscript';
+import ClubInvite from './pages/ClubInvite';
 import './App.css';
 
 const theme = createTheme({
@@ -35,50 +47,85 @@ function App() {
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <AuthProvider>
-        <Router>
-          <div className="App">
-            <Navbar />
-            <main style={{ marginTop: '64px', minHeight: 'calc(100vh - 64px)' }}>
-              <Routes>
-                <Route path="/" element={<Home />} />
-                <Route path="/login" element={<Login />} />
-                <Route path="/register" element={<Register />} />
-                <Route
-                  path="/dashboard"
-                  element={
-                    <ProtectedRoute>
-                      <Dashboard />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/clubs"
-                  element={
-                    <ProtectedRoute>
-                      <Clubs />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/events"
-                  element={
-                    <ProtectedRoute>
-                      <Events />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/profile"
-                  element={
-                    <ProtectedRoute>
-                      <Profile />
-                    </ProtectedRoute>
-                  }
-                />
-              </Routes>
-            </main>
-          </div>
-        </Router>
+        <RealtimeProvider>
+          <Router>
+            <div className="App">
+              <Navbar />
+              <main style={{ marginTop: '64px', minHeight: 'calc(100vh - 64px)' }}>
+                <ImpersonationBanner />
+                <EmailVerificationBanner />
+                <Routes>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/register" element={<Register />} />
+                  <Route path="/verify-email" element={<VerifyEmail />} />
+                  <Route path="/forgot-password" element={<ForgotPassword />} />
+                  <Route path="/reset-password" element={<ResetPassword />} />
+                  <Route path="/sso/callback" element={<SsoCallback />} />
+                  <Route path="/verify-transcript" element={<VerifyTranscript />} />
+                  <Route path="/verify-transcript/:code" element={<VerifyTranscript />} />
+                  <Route path="/invite/:code" element={<ClubInvite />} />
+                  <Route
+                    path="/dashboard"
+                    element={
+                      <ProtectedRoute>
+                        <Dashboard />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/clubs"
+                    element={
+                      <ProtectedRoute>
+                        <Clubs />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/events"
+                    element={
+                      <ProtectedRoute>
+                        <Events />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/directory"
+                    element={
+                      <ProtectedRoute>
+                        <Directory />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/messages"
+                    element={
+                      <ProtectedRoute>
+                        <Messages />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/profile"
+                    element={
+                      <ProtectedRoute>
+                        <Profile />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/users/:id"
+                    element={
+                      <ProtectedRoute>
+                        <UserProfile />
+                      </ProtectedRoute>
+                    }
+                  />
+                </Routes>
+              </main>
+            </div>
+          </Router>
+        </RealtimeProvider>
       </AuthProvider>
     </ThemeProvider>
   );
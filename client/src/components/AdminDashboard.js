@@ -14,18 +14,37 @@ import {
     TableHead,
     TableRow,
     Chip,
-    IconButton
+    IconButton,
+    Button,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    List,
+    ListItem,
+    ListItemText
 } from '@mui/material';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import AuditLog from './AuditLog';
+import ClubEditDialog from './ClubEditDialog';
+import DeletedClubs from './DeletedClubs';
 import axios from 'axios';
 import GroupsIcon from '@mui/icons-material/Groups';
 import EventIcon from '@mui/icons-material/Event';
 import PersonIcon from '@mui/icons-material/Person';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import RestoreIcon from '@mui/icons-material/Restore';
+import HistoryIcon from '@mui/icons-material/History';
+import BlockIcon from '@mui/icons-material/Block';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import VisibilityIcon from '@mui/icons-material/Visibility';
 
 const AdminDashboard = () => {
-    const { user } = useAuth();
+    const { user, startImpersonation } = useAuth();
+    const navigate = useNavigate();
     const [stats, setStats] = useState({
         totalUsers: 0,
         totalClubs: 0,
@@ -34,6 +53,10 @@ const AdminDashboard = () => {
     });
     const [users, setUsers] = useState([]);
     const [clubs, setClubs] = useState([]);
+    const [roleRequests, setRoleRequests] = useState([]);
+    const [editingClub, setEditingClub] = useState(null);
+    const [deletedClubsKey, setDeletedClubsKey] = useState(0);
+    const [statusHistory, setStatusHistory] = useState(null);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
@@ -42,14 +65,16 @@ const AdminDashboard = () => {
 
     const fetchAdminData = async () => {
         try {
-            const [usersRes, clubsRes, eventsRes] = await Promise.all([
-                axios.get('/api/users'),
-                axios.get('/api/clubs'),
-                axios.get('/api/events')
+            const [usersRes, clubsRes, eventsRes, requestsRes] = await Promise.all([
+                axios.get('/users'),
+                axios.get('/clubs'),
+                axios.get('/events'),
+                axios.get('/role-requests')
             ]);
 
             setUsers(usersRes.data.users || []);
             setClubs(clubsRes.data.clubs || []);
+            setRoleRequests(requestsRes.data.requests || []);
 
             setStats({
                 totalUsers: usersRes.data.users?.length || 0,
@@ -65,25 +90,129 @@ const AdminDashboard = () => {
     };
 
     const handleDeactivateUser = async (userId) => {
+        const reason = window.prompt('Reason for deactivating this account:');
+        if (!reason) {
+            return;
+        }
+
         try {
-            await axios.patch(`/api/users/${userId}/deactivate`);
+            await axios.patch(`/users/${userId}/deactivate`, { reason });
             fetchAdminData();
         } catch (error) {
             console.error('Error deactivating user:', error);
         }
     };
 
-    const handleDeleteClub = async (clubId) => {
-        if (window.confirm('Are you sure you want to delete this club?')) {
-            try {
-                await axios.delete(`/api/clubs/${clubId}`);
-                fetchAdminData();
-            } catch (error) {
-                console.error('Error deleting club:', error);
+    const handleReactivateUser = async (userId) => {
+        const reason = window.prompt('Reason for reactivating this account:');
+        if (!reason) {
+            return;
+        }
+
+        try {
+            await axios.patch(`/users/${userId}/reactivate`, { reason });
+            fetchAdminData();
+        } catch (error) {
+            console.error('Error reactivating user:', error);
+        }
+    };
+
+    const handleScheduleDeletion = async (userId) => {
+        const reason = window.prompt('Reason for deleting this account (it is removed after the grace period):');
+        if (!reason) {
+            return;
+        }
+
+        try {
+            await axios.delete(`/users/${userId}`, { data: { reason } });
+            fetchAdminData();
+        } catch (error) {
+            console.error('Error scheduling user deletion:', error);
+            if (error.response?.data?.clubs) {
+                window.alert(`${error.response.data.message}: ${error.response.data.clubs.map(club => club.name).join(', ')}`);
             }
         }
     };
 
+    const handleCancelDeletion = async (userId) => {
+        try {
+            await axios.post(`/users/${userId}/cancel-deletion`);
+            fetchAdminData();
+        } catch (error) {
+            console.error('Error cancelling user deletion:', error);
+        }
+    };
+
+    const handleViewAs = async (targetUser) => {
+        const reason = window.prompt(`Why do you need to view the app as ${targetUser.name}? (recorded in the audit log)`);
+        if (!reason) {
+            return;
+        }
+
+        const result = await startImpersonation(targetUser._id, reason);
+        if (result.success) {
+            navigate('/dashboard');
+        } else {
+            window.alert(result.error);
+        }
+    };
+
+    const handleShowHistory = async (user) => {
+        try {
+            const response = await axios.get(`/users/${user._id}/status-history`);
+            setStatusHistory({ name: user.name, entries: response.data.history });
+        } catch (error) {
+            console.error('Error fetching status history:', error);
+        }
+    };
+
+    const handleReviewRequest = async (requestId, decision) => {
+        const note = decision === 'reject'
+            ? window.prompt('Reason for declining (optional, sent to the user):')
+            : undefined;
+        if (note === null) {
+            return;
+        }
+
+        try {
+            await axios.patch(`/role-requests/${requestId}/${decision}`, { note: note || undefined });
+            fetchAdminData();
+        } catch (error) {
+            console.error('Error reviewing role request:', error);
+        }
+    };
+
+    const handleUnlockUser = async (userId) => {
+        try {
+            await axios.patch(`/users/${userId}/unlock`);
+            fetchAdminData();
+        } catch (error) {
+            console.error('Error unlocking user:', error);
+        }
+    };
+
+    const isLocked = (user) => user.lockUntil && new Date(user.lockUntil) > new Date();
+
+    const handleDeleteClub = async (clubId) => {
+        const reason = window.prompt('Delete this club? It can be restored until the retention period ends. Reason (optional):');
+        if (reason === null) {
+            return;
+        }
+
+        try {
+            await axios.delete(`/clubs/${clubId}`, { data: { reason: reason || undefined } });
+            fetchAdminData();
+            setDeletedClubsKey(key => key + 1);
+        } catch (error) {
+            console.error('Error deleting club:', error);
+        }
+    };
+
+    const handleSaveClub = async (changes) => {
+        await axios.put(`/clubs/${editingClub._id}`, changes);
+        fetchAdminData();
+    };
+
     return (
         <Container maxWidth="lg" sx={{ py: 4, mt: 8 }}>
             {/* Welcome Section */}
@@ -159,6 +288,68 @@ const AdminDashboard = () => {
                 </Grid>
             </Grid>
 
+            {/* Role Requests Section */}
+            <Card sx={{ mb: 4 }}>
+                <CardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+                        <Typography variant="h5" fontWeight="bold">
+                            Club Admin Requests
+                        </Typography>
+                        <Chip label={`${roleRequests.length} pending`} color={roleRequests.length ? 'warning' : 'default'} />
+                    </Box>
+
+                    {roleRequests.length === 0 ? (
+                        <Typography variant="body2" color="text.secondary">
+                            No pending requests.
+                        </Typography>
+                    ) : (
+                        <TableContainer>
+                            <Table>
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Name</TableCell>
+                                        <TableCell>Email</TableCell>
+                                        <TableCell>Justification</TableCell>
+                                        <TableCell>Requested</TableCell>
+                                        <TableCell>Actions</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {roleRequests.map((request) => (
+                                        <TableRow key={request._id}>
+                                            <TableCell>{request.user?.name}</TableCell>
+                                            <TableCell>{request.user?.email}</TableCell>
+                                            <TableCell sx={{ maxWidth: 360 }}>{request.justification}</TableCell>
+                                            <TableCell>{new Date(request.createdAt).toLocaleDateString()}</TableCell>
+                                            <TableCell>
+                                                <Box sx={{ display: 'flex', gap: 1 }}>
+                                                    <Button
+                                                        size="small"
+                                                        variant="contained"
+                                                        color="success"
+                                                        onClick={() => handleReviewRequest(request._id, 'approve')}
+                                                    >
+                                                        Approve
+                                                    </Button>
+                                                    <Button
+                                                        size="small"
+                                                        variant="outlined"
+                                                        color="error"
+                                                        onClick={() => handleReviewRequest(request._id, 'reject')}
+                                                    >
+                                                        Reject
+                                                    </Button>
+                                                </Box>
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </TableContainer>
+                    )}
+                </CardContent>
+            </Card>
+
             {/* User Management Section */}
             <Card sx={{ mb: 4 }}>
                 <CardContent>
@@ -199,16 +390,81 @@ const AdminDashboard = () => {
                                                 color={user.isActive ? 'success' : 'error'}
                                                 size="small"
                                             />
+                                            {isLocked(user) && (
+                                                <Chip label="Locked" color="warning" size="small" sx={{ ml: 1 }} />
+                                            )}
+                                            {user.deletion?.scheduledFor && (
+                                                <Chip
+                                                    label={`Deleting ${new Date(user.deletion.scheduledFor).toLocaleDateString()}`}
+                                                    color="error"
+                                                    variant="outlined"
+                                                    size="small"
+                                                    sx={{ ml: 1 }}
+                                                />
+                                            )}
                                         </TableCell>
                                         <TableCell>
+                                            {isLocked(user) && (
+                                                <IconButton
+                                                    size="small"
+                                                    color="warning"
+                                                    title="Unlock account"
+                                                    onClick={() => handleUnlockUser(user._id)}
+                                                >
+                                                    <LockOpenIcon fontSize="small" />
+                                                </IconButton>
+                                            )}
                                             <IconButton
                                                 size="small"
-                                                color="error"
-                                                onClick={() => handleDeactivateUser(user._id)}
-                                                disabled={user.role === 'Administrator'}
+                                                color="primary"
+                                                title="View as this user"
+                                                onClick={() => handleViewAs(user)}
+                                                disabled={user.role === 'Administrator' || !user.isActive}
                                             >
-                                                <DeleteIcon fontSize="small" />
+                                                <VisibilityIcon fontSize="small" />
+                                            </IconButton>
+                                            <IconButton
+                                                size="small"
+                                                title="Status history"
+                                                onClick={() => handleShowHistory(user)}
+                                            >
+                                                <HistoryIcon fontSize="small" />
                                             </IconButton>
+                                            {user.isActive ? (
+                                                <IconButton
+                                                    size="small"
+                                                    color="error"
+                                                    title="Deactivate account"
+                                                    onClick={() => handleDeactivateUser(user._id)}
+                                                    disabled={user.role === 'Administrator'}
+                                                >
+                                                    <BlockIcon fontSize="small" />
+                                                </IconButton>
+                                            ) : (
+                                                <IconButton
+                                                    size="small"
+                                                    color="success"
+                                                    title="Reactivate account"
+                                                    onClick={() => handleReactivateUser(user._id)}
+                                                >
+                                                    <RestoreIcon fontSize="small" />
+                                                </IconButton>
+                                            )}
+                                            {user.deletion?.scheduledFor ? (
+                                                <Button size="small" onClick={() => handleCancelDeletion(user._id)}>
+                                                    Keep
+                                                </Button>
+                                            ) : (
+                                                <IconButton
+                                                    size="small"
+                                                    color="error"
+                                                    title="Delete account"
+                                                    onClick={() => handleScheduleDeletion(user._id)}
+                                                    disabled={user.role === 'Administrator'}
+                                                >
+                                                    <DeleteForeverIcon fontSize="small" />
+                                                </IconButton>
+                                            )}
                                         </TableCell>
                                     </TableRow>
                                 ))}
@@ -256,7 +512,7 @@ const AdminDashboard = () => {
                                             />
                                         </TableCell>
                                         <TableCell>
-                                            <IconButton size="small" color="primary">
+                                            <IconButton size="small" color="primary" onClick={() => setEditingClub(club)}>
                                                 <EditIcon fontSize="small" />
                                             </IconButton>
                                             <IconButton
@@ -274,6 +530,44 @@ const AdminDashboard = () => {
                     </TableContainer>
                 </CardContent>
             </Card>
+
+            <DeletedClubs refreshKey={deletedClubsKey} onRestored={fetchAdminData} />
+
+            <ClubEditDialog
+                club={editingClub}
+                open={Boolean(editingClub)}
+                onClose={() => setEditingClub(null)}
+                onSubmit={handleSaveClub}
+            />
+
+            {/* Audit Log Section */}
+            <AuditLog />
+
+            {/* Account Status History Dialog */}
+            <Dialog open={Boolean(statusHistory)} onClose={() => setStatusHistory(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>Status History - {statusHistory?.name}</DialogTitle>
+                <DialogContent>
+                    {statusHistory?.entries.length === 0 ? (
+                        <Typography variant="body2" color="text.secondary">
+                            This account has never been deactivated.
+                        </Typography>
+                    ) : (
+                        <List dense>
+                            {statusHistory?.entries.map((entry) => (
+                                <ListItem key={entry._id} disableGutters>
+                                    <ListItemText
+                                        primary={`${entry.action}: ${entry.reason}`}
+                                        secondary={`${new Date(entry.at).toLocaleString()}${entry.by ? ` by ${entry.by.name}` : ''}`}
+                                    />
+                                </ListItem>
+                            ))}
+                        </List>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setStatusHistory(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
         </Container>
     );
 };
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Card,
+    CardContent,
+    Typography,
+    Box,
+    TextField,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    TablePagination,
+    Chip
+} from '@mui/material';
+import axios from 'axios';
+
+const targetTypes = ['All', 'User', 'Club', 'Event', 'University', 'RoleRequest'];
+
+const formatValue = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return '—';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AuditLog = () => {
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [filters, setFilters] = useState({ action: '', targetType: 'All' });
+    const [page, setPage] = useState(0);
+    const [rowsPerPage, setRowsPerPage] = useState(25);
+
+    useEffect(() => {
+        const fetchEntries = async () => {
+            try {
+                const response = await axios.get('/admin/audit', {
+                    params: {
+                        action: filters.action.trim() || undefined,
+                        targetType: filters.targetType === 'All' ? undefined : filters.targetType,
+                        page: page + 1,
+                        limit: rowsPerPage
+                    }
+                });
+                setEntries(response.data.entries);
+                setTotal(response.data.total);
+            } catch (error) {
+                console.error('Error fetching audit log:', error);
+            }
+        };
+
+        fetchEntries();
+    }, [filters, page, rowsPerPage]);
+
+    const handleFilterChange = (e) => {
+        setFilters({
+            ...filters,
+            [e.target.name]: e.target.value
+        });
+        setPage(0);
+    };
+
+    return (
+        <Card sx={{ mt: 4 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, gap: 2, flexWrap: 'wrap' }}>
+                    <Typography variant="h5" fontWeight="bold">
+                        Audit Log
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 2 }}>
+                        <TextField
+                            size="small"
+                            name="action"
+                            label="Action"
+                            placeholder="e.g. user or event.update"
+                            value={filters.action}
+                            onChange={handleFilterChange}
+                        />
+                        <TextField
+                            select
+                            size="small"
+                            name="targetType"
+                            label="Target"
+                            value={filters.targetType}
+                            onChange={handleFilterChange}
+                            sx={{ minWidth: 140 }}
+                        >
+                            {targetTypes.map((type) => (
+                                <MenuItem key={type} value={type}>
+                                    {type}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Box>
+                </Box>
+
+                <TableContainer>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>When</TableCell>
+                                <TableCell>Actor</TableCell>
+                                <TableCell>Action</TableCell>
+                                <TableCell>Target</TableCell>
+                                <TableCell>Changes</TableCell>
+                                <TableCell>IP</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {entries.map((entry) => (
+                                <TableRow key={entry._id}>
+                                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                                        {new Date(entry.createdAt).toLocaleString()}
+                                    </TableCell>
+                                    <TableCell>{entry.actor ? entry.actor.name : 'System'}</TableCell>
+                                    <TableCell>
+                                        <Chip label={entry.action} size="small" variant="outlined" />
+                                    </TableCell>
+                                    <TableCell>
+                                        {entry.targetType}: {entry.targetLabel}
+                                    </TableCell>
+                                    <TableCell sx={{ maxWidth: 360 }}>
+                                        {entry.changes?.map((change) => (
+                                            <Typography key={change.field} variant="caption" display="block">
+                                                <strong>{change.field}</strong>: {formatValue(change.before)} → {formatValue(change.after)}
+                                            </Typography>
+                                        ))}
+                                        {entry.metadata?.reason && (
+                                            <Typography variant="caption" display="block" color="text.secondary">
+                                                Reason: {entry.metadata.reason}
+                                            </Typography>
+                                        )}
+                                    </TableCell>
+                                    <TableCell>{entry.ipAddress}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+                <TablePagination
+                    component="div"
+                    count={total}
+                    page={page}
+                    onPageChange={(e, newPage) => setPage(newPage)}
+                    rowsPerPage={rowsPerPage}
+                    onRowsPerPageChange={(e) => {
+                        setRowsPerPage(parseInt(e.target.value, 10));
+                        setPage(0);
+                    }}
+                    rowsPerPageOptions={[25, 50, 100]}
+                />
+            </CardContent>
+        </Card>
+    );
+};
+
+export default AuditLog;
@@ -7,6 +7,7 @@ import {
     Card,
     CardContent,
     CardActions,
+    CardMedia,
     Paper,
     Button,
     Fab,
@@ -21,12 +22,18 @@ import {
     Select
 } from '@mui/material';
 import { useAuth } from '../context/AuthContext';
+import ClubEditDialog from './ClubEditDialog';
+import ClubRosterDialog from './ClubRosterDialog';
+import ClubInvitesDialog from './ClubInvitesDialog';
+import DeletedClubs from './DeletedClubs';
+import MembershipRequests from './MembershipRequests';
 import axios from 'axios';
 import GroupsIcon from '@mui/icons-material/Groups';
 import EventIcon from '@mui/icons-material/Event';
 import AddIcon from '@mui/icons-material/Add';
 import PersonAddIcon from '@mui/icons-material/PersonAdd';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
+import PhotoCameraIcon from '@mui/icons-material/PhotoCamera';
 
 const ClubAdminDashboard = () => {
     const { user } = useAuth();
@@ -35,6 +42,10 @@ const ClubAdminDashboard = () => {
     const [allEvents, setAllEvents] = useState([]);
     const [loading, setLoading] = useState(true);
     const [createEventDialog, setCreateEventDialog] = useState(false);
+    const [editingClub, setEditingClub] = useState(null);
+    const [rosterClub, setRosterClub] = useState(null);
+    const [invitesClub, setInvitesClub] = useState(null);
+    const [deletedClubsKey, setDeletedClubsKey] = useState(0);
     const [newEvent, setNewEvent] = useState({
         title: '',
         description: '',
@@ -57,8 +68,8 @@ const ClubAdminDashboard = () => {
     const fetchClubAdminData = async () => {
         try {
             const [clubsRes, eventsRes] = await Promise.all([
-                axios.get('/api/clubs'),
-                axios.get('/api/events')
+                axios.get('/clubs'),
+                axios.get('/events')
             ]);
 
             // Filter clubs where user is president or officer
@@ -85,9 +96,50 @@ const ClubAdminDashboard = () => {
         }
     };
 
+    // Upload a club logo or event poster picked from a file input
+    const handleUploadImage = async (path, file) => {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const formData = new FormData();
+            formData.append('image', file);
+            await axios.post(path, formData);
+            fetchClubAdminData();
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            alert(error.response?.data?.message || 'Failed to upload image');
+        }
+    };
+
+    const handleSaveClub = async (changes) => {
+        await axios.put(`/clubs/${editingClub._id}`, changes);
+        fetchClubAdminData();
+    };
+
+    const handleDeleteClub = async (club) => {
+        const reason = window.prompt(`Delete ${club.name}? Members lose access, but you can restore it until the retention period ends. Reason (optional):`);
+        if (reason === null) {
+            return;
+        }
+
+        try {
+            await axios.delete(`/clubs/${club._id}`, { data: { reason: reason || undefined } });
+            fetchClubAdminData();
+            setDeletedClubsKey(key => key + 1);
+        } catch (error) {
+            console.error('Error deleting club:', error);
+            alert(error.response?.data?.message || 'Failed to delete club');
+        }
+    };
+
+    // Only the president may delete a club
+    const isPresident = (club) => club.members?.some(member => member.user?._id === user?.id && member.role === 'President');
+
     const handleCreateEvent = async () => {
         try {
-            await axios.post('/api/events', newEvent);
+            await axios.post('/events', newEvent);
             setCreateEventDialog(false);
             resetNewEvent();
             fetchClubAdminData();
@@ -209,6 +261,14 @@ const ClubAdminDashboard = () => {
                                         }
                                     }}
                                 >
+                                    {club.logoThumbnail && (
+                                        <CardMedia
+                                            component="img"
+                                            image={club.logoThumbnail}
+                                            alt={`${club.name} logo`}
+                                            sx={{ height: 128, objectFit: 'contain', pt: 2 }}
+                                        />
+                                    )}
                                     <CardContent>
                                         <Typography variant="h6" fontWeight="bold" gutterBottom>
                                             {club.name}
@@ -225,10 +285,30 @@ const ClubAdminDashboard = () => {
                                             Category: {club.category}
                                         </Typography>
                                     </CardContent>
-                                    <CardActions>
-                                        <Button size="small" variant="outlined">
-                                            Manage
+                                    <CardActions sx={{ flexWrap: 'wrap' }}>
+                                        <Button size="small" variant="outlined" onClick={() => setEditingClub(club)}>
+                                            Edit
                                         </Button>
+                                        <Button size="small" onClick={() => setRosterClub(club)}>
+                                            Members
+                                        </Button>
+                                        <Button size="small" onClick={() => setInvitesClub(club)}>
+                                            Invites
+                                        </Button>
+                                        <Button size="small" component="label" startIcon={<PhotoCameraIcon />}>
+                                            {club.logo ? 'Change logo' : 'Upload logo'}
+                                            <input
+                                                hidden
+                                                type="file"
+                                                accept="image/jpeg,image/png,image/webp,image/gif"
+                                                onChange={(e) => handleUploadImage(`/clubs/${club._id}/logo`, e.target.files[0])}
+                                            />
+                                        </Button>
+                                        {isPresident(club) && (
+                                            <Button size="small" color="error" onClick={() => handleDeleteClub(club)}>
+                                                Delete
+                                            </Button>
+                                        )}
                                     </CardActions>
                                 </Card>
                             </Grid>
@@ -237,6 +317,14 @@ const ClubAdminDashboard = () => {
                 </Grid>
             </Box>
 
+            <Box sx={{ mb: 4 }}>
+                <MembershipRequests clubs={myClubs} onReviewed={fetchClubAdminData} />
+            </Box>
+
+            <Box sx={{ mb: 4 }}>
+                <DeletedClubs refreshKey={deletedClubsKey} onRestored={fetchClubAdminData} />
+            </Box>
+
             {/* My Events Section */}
             <Box sx={{ mb: 4 }}>
                 <Typography variant="h5" gutterBottom fontWeight="bold">
@@ -262,6 +350,14 @@ const ClubAdminDashboard = () => {
                                         }
                                     }}
                                 >
+                                    {event.posterThumbnail && (
+                                        <CardMedia
+                                            component="img"
+                                            image={event.posterThumbnail}
+                                            alt={`${event.title} poster`}
+                                            sx={{ height: 160 }}
+                                        />
+                                    )}
                                     <CardContent>
                                         <Typography variant="h6" fontWeight="bold" gutterBottom>
                                             {event.title}
@@ -289,6 +385,15 @@ const ClubAdminDashboard = () => {
                                         <Button size="small" variant="outlined">
                                             Manage
                                         </Button>
+                                        <Button size="small" component="label" startIcon={<PhotoCameraIcon />}>
+                                            {event.poster ? 'Change poster' : 'Upload poster'}
+                                            <input
+                                                hidden
+                                                type="file"
+                                                accept="image/jpeg,image/png,image/webp,image/gif"
+                                                onChange={(e) => handleUploadImage(`/events/${event._id}/poster`, e.target.files[0])}
+                                            />
+                                        </Button>
                                     </CardActions>
                                 </Card>
                             </Grid>
@@ -309,6 +414,26 @@ const ClubAdminDashboard = () => {
                 </Fab>
             )}
 
+            <ClubEditDialog
+                club={editingClub}
+                open={Boolean(editingClub)}
+                onClose={() => setEditingClub(null)}
+                onSubmit={handleSaveClub}
+            />
+
+            <ClubRosterDialog
+                club={rosterClub}
+                open={Boolean(rosterClub)}
+                onClose={() => setRosterClub(null)}
+                onChanged={fetchClubAdminData}
+            />
+
+            <ClubInvitesDialog
+                club={invitesClub}
+                open={Boolean(invitesClub)}
+                onClose={() => setInvitesClub(null)}
+            />
+
             {/* Create Event Dialog */}
             <Dialog
                 open={createEventDialog}
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    MenuItem,
+    Grid,
+    Typography,
+    Alert
+} from '@mui/material';
+
+const categories = [
+    'Academic',
+    'Sports',
+    'Cultural',
+    'Technical',
+    'Social Service',
+    'Arts & Literature',
+    'Music & Dance',
+    'Photography',
+    'Debate & Drama',
+    'Other'
+];
+
+const joinPolicies = [
+    { value: 'open', label: 'Open – anyone can join' },
+    { value: 'approval', label: 'Approval – officers review requests' },
+    { value: 'invite', label: 'Invite only' }
+];
+
+const socialNetworks = ['facebook', 'instagram', 'twitter', 'linkedin'];
+
+const formFromClub = (club) => ({
+    name: club?.name || '',
+    description: club?.description || '',
+    category: club?.category || 'Other',
+    contactEmail: club?.contactEmail || '',
+    advisors: (club?.advisors || []).join(', '),
+    membershipFee: club?.membershipFee ?? 0,
+    joinPolicy: club?.joinPolicy || 'open',
+    meetingSchedule: {
+        day: club?.meetingSchedule?.day || '',
+        time: club?.meetingSchedule?.time || '',
+        location: club?.meetingSchedule?.location || ''
+    },
+    socialMedia: socialNetworks.reduce((links, network) => ({
+        ...links,
+        [network]: club?.socialMedia?.[network] || ''
+    }), {})
+});
+
+// Form for editing a club's details. `onSubmit` receives the changes ready to
+// send to PUT /api/clubs/:id and should throw (an axios error) if saving fails.
+const ClubEditDialog = ({ club, open, onClose, onSubmit }) => {
+    const [form, setForm] = useState(formFromClub(club));
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (open) {
+            setForm(formFromClub(club));
+            setError('');
+        }
+    }, [club, open]);
+
+    const handleChange = (e) => {
+        setForm({ ...form, [e.target.name]: e.target.value });
+    };
+
+    const handleNestedChange = (group) => (e) => {
+        setForm({ ...form, [group]: { ...form[group], [e.target.name]: e.target.value } });
+    };
+
+    const handleSubmit = async () => {
+        setSaving(true);
+        setError('');
+        try {
+            await onSubmit({
+                ...form,
+                advisors: form.advisors.split(',').map(advisor => advisor.trim()).filter(Boolean),
+                membershipFee: Number(form.membershipFee) || 0
+            });
+            onClose();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save club');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle>Edit Club</DialogTitle>
+            <DialogContent>
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+                <Grid container spacing={2} sx={{ mt: 0 }}>
+                    <Grid item xs={12} sm={8}>
+                        <TextField fullWidth required name="name" label="Club Name" value={form.name} onChange={handleChange} />
+                    </Grid>
+                    <Grid item xs={12} sm={4}>
+                        <TextField select fullWidth name="category" label="Category" value={form.category} onChange={handleChange}>
+                            {categories.map((category) => (
+                                <MenuItem key={category} value={category}>
+                                    {category}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                    <Grid item xs={12}>
+                        <TextField
+                            fullWidth
+                            required
+                            multiline
+                            rows={4}
+                            name="description"
+                            label="Description"
+                            value={form.description}
+                            onChange={handleChange}
+                            inputProps={{ maxLength: 1000 }}
+                        />
+                    </Grid>
+                    <Grid item xs={12} sm={6}>
+                        <TextField fullWidth type="email" name="contactEmail" label="Contact Email" value={form.contactEmail} onChange={handleChange} />
+                    </Grid>
+                    <Grid item xs={12} sm={6}>
+                        <TextField
+                            fullWidth
+                            type="number"
+                            name="membershipFee"
+                            label="Membership Fee"
+                            value={form.membershipFee}
+                            onChange={handleChange}
+                            inputProps={{ min: 0 }}
+                        />
+                    </Grid>
+                    <Grid item xs={12}>
+                        <TextField select fullWidth name="joinPolicy" label="Who Can Join" value={form.joinPolicy} onChange={handleChange}>
+                            {joinPolicies.map((policy) => (
+                                <MenuItem key={policy.value} value={policy.value}>
+                                    {policy.label}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                    <Grid item xs={12}>
+                        <TextField
+                            fullWidth
+                            name="advisors"
+                            label="Advisors"
+                            helperText="Separate names with commas"
+                            value={form.advisors}
+                            onChange={handleChange}
+                        />
+                    </Grid>
+
+                    <Grid item xs={12}>
+                        <Typography variant="subtitle1" fontWeight="bold">Meeting Schedule</Typography>
+                    </Grid>
+                    <Grid item xs={12} sm={4}>
+                        <TextField fullWidth name="day" label="Day" value={form.meetingSchedule.day} onChange={handleNestedChange('meetingSchedule')} />
+                    </Grid>
+                    <Grid item xs={12} sm={4}>
+                        <TextField fullWidth name="time" label="Time" value={form.meetingSchedule.time} onChange={handleNestedChange('meetingSchedule')} />
+                    </Grid>
+                    <Grid item xs={12} sm={4}>
+                        <TextField fullWidth name="location" label="Location" value={form.meetingSchedule.location} onChange={handleNestedChange('meetingSchedule')} />
+                    </Grid>
+
+                    <Grid item xs={12}>
+                        <Typography variant="subtitle1" fontWeight="bold">Social Media</Typography>
+                    </Grid>
+                    {socialNetworks.map((network) => (
+                        <Grid item xs={12} sm={6} key={network}>
+                            <TextField
+                                fullWidth
+                                name={network}
+                                label={network.charAt(0).toUpperCase() + network.slice(1)}
+                                placeholder="https://"
+                                value={form.socialMedia[network]}
+                                onChange={handleNestedChange('socialMedia')}
+                            />
+                        </Grid>
+                    ))}
+                </Grid>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button
+                    onClick={handleSubmit}
+                    variant="contained"
+                    disabled={saving || !form.name.trim() || !form.description.trim()}
+                >
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default ClubEditDialog;
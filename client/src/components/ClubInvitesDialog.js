@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Box,
+    Chip,
+    Grid,
+    Typography,
+    TextField,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow
+} from '@mui/material';
+import axios from 'axios';
+
+const inviteRoles = ['Member', 'Secretary', 'Officer', 'Vice President'];
+
+const statusColors = {
+    active: 'success',
+    expired: 'default',
+    'used up': 'warning',
+    revoked: 'error'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const emptyForm = { role: 'Member', maxUses: '', expiresInDays: 7 };
+
+// Invite links and codes of a club: create them for recruiting (each with a
+// QR code to print or show on a screen), see how often they were used and revoke them.
+const ClubInvitesDialog = ({ club, open, onClose }) => {
+    const [invites, setInvites] = useState([]);
+    const [form, setForm] = useState(emptyForm);
+    const [shownInvite, setShownInvite] = useState(null);
+    const [changeCount, setChangeCount] = useState(0);
+
+    useEffect(() => {
+        if (!open || !club) {
+            return;
+        }
+
+        const fetchInvites = async () => {
+            try {
+                const response = await axios.get(`/clubs/${club._id}/invites`);
+                setInvites(response.data.invites || []);
+            } catch (error) {
+                console.error('Error fetching club invites:', error);
+            }
+        };
+
+        fetchInvites();
+    }, [club, open, changeCount]);
+
+    const showError = (error, fallback) => {
+        alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback);
+    };
+
+    const handleCreate = async () => {
+        try {
+            const response = await axios.post(`/clubs/${club._id}/invites`, {
+                role: form.role,
+                maxUses: form.maxUses ? Number(form.maxUses) : null,
+                expiresInDays: Number(form.expiresInDays)
+            });
+            setForm(emptyForm);
+            setShownInvite(response.data.invite);
+            setChangeCount(count => count + 1);
+        } catch (error) {
+            console.error('Error creating invite:', error);
+            showError(error, 'Failed to create invite');
+        }
+    };
+
+    const handleRevoke = async (invite) => {
+        if (!window.confirm(`Revoke invite ${invite.code}? Nobody will be able to join with it anymore.`)) {
+            return;
+        }
+
+        try {
+            await axios.delete(`/clubs/${club._id}/invites/${invite._id}`);
+            if (shownInvite?._id === invite._id) {
+                setShownInvite(null);
+            }
+            setChangeCount(count => count + 1);
+        } catch (error) {
+            console.error('Error revoking invite:', error);
+            showError(error, 'Failed to revoke invite');
+        }
+    };
+
+    const handleCopy = async (invite) => {
+        try {
+            await navigator.clipboard.writeText(invite.url);
+        } catch (error) {
+            window.prompt('Copy the invite link:', invite.url);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle>{club?.name} Invites</DialogTitle>
+            <DialogContent>
+                <Typography variant="subtitle1" fontWeight="bold" sx={{ mt: 1 }}>
+                    New Invite
+                </Typography>
+                <Grid container spacing={2} sx={{ mt: 0, mb: 3 }} alignItems="center">
+                    <Grid item xs={12} sm={4}>
+                        <TextField
+                            select
+                            fullWidth
+                            size="small"
+                            label="Joins as"
+                            value={form.role}
+                            onChange={(e) => setForm({ ...form, role: e.target.value })}
+                        >
+                            {inviteRoles.map((role) => (
+                                <MenuItem key={role} value={role}>
+                                    {role}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                    <Grid item xs={6} sm={3}>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            type="number"
+                            label="Max uses"
+                            placeholder="Unlimited"
+                            value={form.maxUses}
+                            onChange={(e) => setForm({ ...form, maxUses: e.target.value })}
+                            inputProps={{ min: 1 }}
+                        />
+                    </Grid>
+                    <Grid item xs={6} sm={3}>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            type="number"
+                            label="Expires in (days)"
+                            value={form.expiresInDays}
+                            onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+                            inputProps={{ min: 1, max: 90 }}
+                        />
+                    </Grid>
+                    <Grid item xs={12} sm={2}>
+                        <Button fullWidth variant="contained" onClick={handleCreate}>
+                            Create
+                        </Button>
+                    </Grid>
+                </Grid>
+
+                {shownInvite && (
+                    <Box sx={{ textAlign: 'center', mb: 3 }}>
+                        <img src={shownInvite.qrCode} alt={`QR code for invite ${shownInvite.code}`} width={200} height={200} />
+                        <Typography variant="h6" sx={{ fontFamily: 'monospace' }}>
+                            {shownInvite.code}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                            {shownInvite.url}
+                        </Typography>
+                    </Box>
+                )}
+
+                <TableContainer>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Code</TableCell>
+                                <TableCell>Role</TableCell>
+                                <TableCell>Uses</TableCell>
+                                <TableCell>Expires</TableCell>
+                                <TableCell>Status</TableCell>
+                                <TableCell>Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {invites.map((invite) => (
+                                <TableRow key={invite._id}>
+                                    <TableCell sx={{ fontFamily: 'monospace' }}>{invite.code}</TableCell>
+                                    <TableCell>{invite.role}</TableCell>
+                                    <TableCell>{invite.uses}{invite.maxUses ? ` / ${invite.maxUses}` : ''}</TableCell>
+                                    <TableCell>{formatDate(invite.expiresAt)}</TableCell>
+                                    <TableCell>
+                                        <Chip label={invite.status} size="small" color={statusColors[invite.status]} />
+                                    </TableCell>
+                                    <TableCell>
+                                        {invite.status === 'active' && (
+                                            <Box sx={{ display: 'flex', gap: 1 }}>
+                                                <Button size="small" onClick={() => setShownInvite(invite)}>
+                                                    QR
+                                                </Button>
+                                                <Button size="small" onClick={() => handleCopy(invite)}>
+                                                    Copy link
+                                                </Button>
+                                                <Button size="small" color="error" onClick={() => handleRevoke(invite)}>
+                                                    Revoke
+                                                </Button>
+                                            </Box>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default ClubInvitesDialog;
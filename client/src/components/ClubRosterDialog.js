@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Avatar,
+    Box,
+    Typography,
+    TextField,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+import axios from 'axios';
+
+// Same seniority as the server: officers only manage members ranked below them
+const roleRanks = {
+    Member: 0,
+    Secretary: 1,
+    Officer: 1,
+    'Vice President': 2,
+    President: 3
+};
+
+const assignableRoles = ['Member', 'Secretary', 'Officer', 'Vice President'];
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Roster of a club where its president and vice presidents change roles,
+// remove members and hand over the presidency. `onChanged` is called after
+// every change so the page can refresh.
+const ClubRosterDialog = ({ club, open, onClose, onChanged }) => {
+    const { user } = useAuth();
+    const [members, setMembers] = useState([]);
+    const [changeCount, setChangeCount] = useState(0);
+
+    useEffect(() => {
+        if (!open || !club) {
+            return;
+        }
+
+        const fetchRoster = async () => {
+            try {
+                const response = await axios.get(`/clubs/${club._id}`);
+                setMembers((response.data.members || []).filter(member => member.user));
+            } catch (error) {
+                console.error('Error fetching club roster:', error);
+            }
+        };
+
+        fetchRoster();
+    }, [club, open, changeCount]);
+
+    const isAdmin = user?.role === 'Administrator';
+    const myRole = members.find(member => member.user._id === user?.id)?.role;
+    const canManage = (role) => isAdmin || (
+        ['President', 'Vice President'].includes(myRole) && roleRanks[myRole] > roleRanks[role]
+    );
+    const canTransfer = isAdmin || myRole === 'President';
+
+    const afterChange = () => {
+        setChangeCount(count => count + 1);
+        if (onChanged) {
+            onChanged();
+        }
+    };
+
+    const showError = (error, fallback) => {
+        alert(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback);
+    };
+
+    const handleRoleChange = async (member, role) => {
+        try {
+            await axios.patch(`/clubs/${club._id}/members/${member.user._id}/role`, { role });
+            afterChange();
+        } catch (error) {
+            console.error('Error changing member role:', error);
+            showError(error, 'Failed to change role');
+        }
+    };
+
+    const handleRemove = async (member) => {
+        if (!window.confirm(`Remove ${member.user.name} from ${club.name}?`)) {
+            return;
+        }
+
+        try {
+            await axios.delete(`/clubs/${club._id}/members/${member.user._id}`);
+            afterChange();
+        } catch (error) {
+            console.error('Error removing member:', error);
+            showError(error, 'Failed to remove member');
+        }
+    };
+
+    const handleTransfer = async (member) => {
+        if (!window.confirm(`Make ${member.user.name} president of ${club.name}? The current president becomes a Vice President.`)) {
+            return;
+        }
+
+        try {
+            await axios.post(`/clubs/${club._id}/transfer-presidency`, {
+                userId: member.user._id,
+                formerRole: 'Vice President'
+            });
+            afterChange();
+        } catch (error) {
+            console.error('Error transferring presidency:', error);
+            showError(error, 'Failed to transfer presidency');
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle>{club?.name} Members</DialogTitle>
+            <DialogContent>
+                <TableContainer>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Member</TableCell>
+                                <TableCell>Joined</TableCell>
+                                <TableCell>Role</TableCell>
+                                <TableCell>Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {members.map((member) => {
+                                const isSelf = member.user._id === user?.id;
+                                const manageable = !isSelf && member.role !== 'President' && canManage(member.role);
+
+                                return (
+                                    <TableRow key={member.user._id}>
+                                        <TableCell>
+                                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                                <Avatar src={member.user.profilePicture || undefined} sx={{ width: 32, height: 32 }}>
+                                                    {member.user.name?.charAt(0)}
+                                                </Avatar>
+                                                <Box>
+                                                    <Typography variant="body2">{member.user.name}</Typography>
+                                                    <Typography variant="caption" color="text.secondary">
+                                                        {member.user.email}
+                                                    </Typography>
+                                                </Box>
+                                            </Box>
+                                        </TableCell>
+                                        <TableCell>{formatDate(member.joinedDate)}</TableCell>
+                                        <TableCell>
+                                            {manageable ? (
+                                                <TextField
+                                                    select
+                                                    size="small"
+                                                    value={member.role}
+                                                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                                                >
+                                                    {assignableRoles.map((role) => (
+                                                        <MenuItem key={role} value={role} disabled={!canManage(role)}>
+                                                            {role}
+                                                        </MenuItem>
+                                                    ))}
+                                                </TextField>
+                                            ) : (
+                                                member.role
+                                            )}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Box sx={{ display: 'flex', gap: 1 }}>
+                                                {canTransfer && member.role !== 'President' && (
+                                                    <Button size="small" onClick={() => handleTransfer(member)}>
+                                                        Make President
+                                                    </Button>
+                                                )}
+                                                {manageable && (
+                                                    <Button size="small" color="error" onClick={() => handleRemove(member)}>
+                                                        Remove
+                                                    </Button>
+                                                )}
+                                            </Box>
+                                        </TableCell>
+                                    </TableRow>
+                                );
+                            })}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default ClubRosterDialog;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Alert,
+  Avatar,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText
+} from '@mui/material';
+import axios from 'axios';
+import PeopleIcon from '@mui/icons-material/People';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import MailIcon from '@mui/icons-material/Mail';
+
+const mutualLabel = (count) => (count ? `${count} mutual connection${count === 1 ? '' : 's'}` : '');
+
+// Connections tab of the profile page: requests, current connections and suggestions
+const Connections = () => {
+  const [connections, setConnections] = useState([]);
+  const [requests, setRequests] = useState({ incoming: [], outgoing: [] });
+  const [suggestions, setSuggestions] = useState([]);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    fetchAll();
+  }, []);
+
+  const fetchAll = async () => {
+    try {
+      const [connectionsRes, requestsRes, suggestionsRes] = await Promise.all([
+        axios.get('/connections'),
+        axios.get('/connections/requests'),
+        axios.get('/connections/suggestions')
+      ]);
+      setConnections(connectionsRes.data.connections);
+      setRequests(requestsRes.data);
+      setSuggestions(suggestionsRes.data.suggestions);
+    } catch (error) {
+      console.error('Error fetching connections:', error);
+    }
+  };
+
+  // Run a connection action, show its result and refresh every list
+  const act = async (request) => {
+    try {
+      const response = await request();
+      setMessage({ type: 'success', text: response.data.message });
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Something went wrong'
+      });
+    }
+    fetchAll();
+  };
+
+  const handleConnect = (userId) => act(() => axios.post('/connections', { userId }));
+  const handleAccept = (id) => act(() => axios.patch(`/connections/${id}/accept`));
+  const handleDecline = (id) => act(() => axios.patch(`/connections/${id}/decline`));
+  const handleRemove = (id) => {
+    if (window.confirm('Remove this connection?')) {
+      act(() => axios.delete(`/connections/${id}`));
+    }
+  };
+  const handleCancel = (id) => act(() => axios.delete(`/connections/${id}`));
+
+  const renderUser = (user, secondary, actions, key) => (
+    <ListItem key={key} secondaryAction={<Box sx={{ display: 'flex', gap: 1 }}>{actions}</Box>}>
+      <ListItemAvatar>
+        <Avatar src={user.profilePictureThumbnail || user.profilePicture}>{user.name?.charAt(0).toUpperCase()}</Avatar>
+      </ListItemAvatar>
+      <ListItemText
+        primary={<Link to={`/users/${user._id}`}>{user.name}</Link>}
+        secondary={secondary}
+      />
+    </ListItem>
+  );
+
+  const pendingCount = requests.incoming.length + requests.outgoing.length;
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      {message.text && (
+        <Alert severity={message.type} sx={{ mb: 2 }}>
+          {message.text}
+        </Alert>
+      )}
+
+      {pendingCount > 0 && (
+        <Paper elevation={3} sx={{ padding: 4, mb: 4 }}>
+          <Typography variant="h6" fontWeight="bold" gutterBottom>
+            <MailIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            Requests
+          </Typography>
+          <List dense>
+            {requests.incoming.map((request) => renderUser(
+              request.user,
+              ['Wants to connect', mutualLabel(request.mutualConnections)].filter(Boolean).join(' • '),
+              <>
+                <Button size="small" variant="contained" onClick={() => handleAccept(request._id)}>
+                  Accept
+                </Button>
+                <Button size="small" onClick={() => handleDecline(request._id)}>
+                  Decline
+                </Button>
+              </>,
+              request._id
+            ))}
+            {requests.outgoing.map((request) => renderUser(
+              request.user,
+              'Request sent',
+              <Button size="small" onClick={() => handleCancel(request._id)}>
+                Cancel
+              </Button>,
+              request._id
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      <Paper elevation={3} sx={{ padding: 4, mb: 4 }}>
+        <Typography variant="h6" fontWeight="bold" gutterBottom>
+          <PeopleIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+          My Connections ({connections.length})
+        </Typography>
+        {connections.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            You have no connections yet. Find people below or in the directory.
+          </Typography>
+        ) : (
+          <List dense>
+            {connections.map((connection) => renderUser(
+              connection.user,
+              mutualLabel(connection.mutualConnections),
+              <Button size="small" color="error" onClick={() => handleRemove(connection._id)}>
+                Remove
+              </Button>,
+              connection._id
+            ))}
+          </List>
+        )}
+      </Paper>
+
+      <Paper elevation={3} sx={{ padding: 4, mb: 4 }}>
+        <Typography variant="h6" fontWeight="bold" gutterBottom>
+          <PersonAddIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+          People You May Know
+        </Typography>
+        {suggestions.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Join clubs and add interests to your profile to get suggestions.
+          </Typography>
+        ) : (
+          <List dense>
+            {suggestions.map((suggestion) => renderUser(
+              suggestion.user,
+              [
+                suggestion.sharedClubs ? `${suggestion.sharedClubs} shared club${suggestion.sharedClubs === 1 ? '' : 's'}` : '',
+                suggestion.sharedInterests.length ? `Also into ${suggestion.sharedInterests.join(', ')}` : '',
+                mutualLabel(suggestion.mutualConnections)
+              ].filter(Boolean).join(' • '),
+              <Button size="small" variant="outlined" onClick={() => handleConnect(suggestion.user._id)}>
+                Connect
+              </Button>,
+              suggestion.user._id
+            ))}
+          </List>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default Connections;
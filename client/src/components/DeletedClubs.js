@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Card,
+    CardContent,
+    Typography,
+    Button,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow
+} from '@mui/material';
+import axios from 'axios';
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Deleted clubs the current user may still restore. Changing `refreshKey`
+// reloads the list (e.g. after a club was deleted elsewhere on the page).
+const DeletedClubs = ({ refreshKey, onRestored }) => {
+    const [clubs, setClubs] = useState([]);
+    const [restoredCount, setRestoredCount] = useState(0);
+
+    useEffect(() => {
+        const fetchDeletedClubs = async () => {
+            try {
+                const response = await axios.get('/clubs/deleted');
+                setClubs(response.data.clubs || []);
+            } catch (error) {
+                console.error('Error fetching deleted clubs:', error);
+            }
+        };
+
+        fetchDeletedClubs();
+    }, [refreshKey, restoredCount]);
+
+    const handleRestore = async (clubId) => {
+        try {
+            await axios.post(`/clubs/${clubId}/restore`);
+            setRestoredCount(count => count + 1);
+            if (onRestored) {
+                onRestored();
+            }
+        } catch (error) {
+            console.error('Error restoring club:', error);
+            alert(error.response?.data?.message || 'Failed to restore club');
+        }
+    };
+
+    if (clubs.length === 0) {
+        return null;
+    }
+
+    return (
+        <Card sx={{ mt: 4 }}>
+            <CardContent>
+                <Typography variant="h5" fontWeight="bold" gutterBottom>
+                    Deleted Clubs
+                </Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    These clubs are hidden and will be removed with their events on the date shown unless restored.
+                </Typography>
+                <TableContainer>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Club Name</TableCell>
+                                <TableCell>Deleted</TableCell>
+                                <TableCell>Reason</TableCell>
+                                <TableCell>Removed On</TableCell>
+                                <TableCell>Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {clubs.map((club) => (
+                                <TableRow key={club._id}>
+                                    <TableCell>{club.name}</TableCell>
+                                    <TableCell>
+                                        {formatDate(club.deletion.requestedAt)}
+                                        {club.deletion.requestedBy && ` by ${club.deletion.requestedBy.name}`}
+                                    </TableCell>
+                                    <TableCell>{club.deletion.reason || '—'}</TableCell>
+                                    <TableCell>{formatDate(club.deletion.scheduledFor)}</TableCell>
+                                    <TableCell>
+                                        <Button size="small" variant="outlined" onClick={() => handleRestore(club._id)}>
+                                            Restore
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default DeletedClubs;
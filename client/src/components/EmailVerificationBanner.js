@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { Alert, Button } from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+
+const EmailVerificationBanner = () => {
+  const { user, resendVerification } = useAuth();
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    const result = await resendVerification();
+    setMessage(result.success ? result.message : result.error);
+    setSending(false);
+  };
+
+  return (
+    <Alert
+      severity="warning"
+      sx={{ borderRadius: 0 }}
+      action={
+        <Button color="inherit" size="small" onClick={handleResend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend email'}
+        </Button>
+      }
+    >
+      {message || `Verify ${user.email} to join clubs and register for events. Check your inbox for the link.`}
+    </Alert>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Alert, Button } from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+// Expiry time of the impersonation token, read from its payload
+const tokenExpiry = () => {
+  try {
+    const payload = JSON.parse(atob(localStorage.getItem('token').split('.')[1]));
+    return new Date(payload.exp * 1000);
+  } catch (error) {
+    return null;
+  }
+};
+
+const ImpersonationBanner = () => {
+  const { user, exitImpersonation } = useAuth();
+  const navigate = useNavigate();
+
+  if (!user?.impersonatedBy) {
+    return null;
+  }
+
+  const handleExit = async () => {
+    await exitImpersonation();
+    navigate('/dashboard');
+  };
+
+  const expiresAt = tokenExpiry();
+
+  return (
+    <Alert
+      severity="error"
+      variant="filled"
+      sx={{ borderRadius: 0, position: 'sticky', top: 64, zIndex: (theme) => theme.zIndex.appBar - 1 }}
+      action={
+        <Button color="inherit" size="small" variant="outlined" onClick={handleExit}>
+          Exit impersonation
+        </Button>
+      }
+    >
+      Viewing as {user.name} ({user.email}).
+      {expiresAt && ` Access ends at ${expiresAt.toLocaleTimeString()}.`}
+      {' '}Password, two-factor and account deletion are disabled.
+    </Alert>
+  );
+};
+
+export default ImpersonationBanner;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Card,
+    CardContent,
+    Typography,
+    Button,
+    Avatar,
+    Box,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow
+} from '@mui/material';
+import axios from 'axios';
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Pending requests to join the given clubs, for officers to approve or reject.
+// `onReviewed` is called after a decision so the page can refresh its rosters.
+const MembershipRequests = ({ clubs, onReviewed }) => {
+    const [requests, setRequests] = useState([]);
+    const [reviewedCount, setReviewedCount] = useState(0);
+
+    useEffect(() => {
+        const fetchRequests = async () => {
+            try {
+                const responses = await Promise.all(
+                    clubs.map(club => axios.get(`/clubs/${club._id}/requests`))
+                );
+                setRequests(responses.flatMap((response, index) =>
+                    (response.data.requests || []).map(request => ({ ...request, club: clubs[index] }))
+                ));
+            } catch (error) {
+                console.error('Error fetching membership requests:', error);
+            }
+        };
+
+        fetchRequests();
+    }, [clubs, reviewedCount]);
+
+    const handleReview = async (request, decision) => {
+        const note = window.prompt(
+            decision === 'approve'
+                ? `Approve ${request.user.name}? Message to the applicant (optional):`
+                : `Reject ${request.user.name}? Message to the applicant (optional):`
+        );
+        if (note === null) {
+            return;
+        }
+
+        try {
+            await axios.patch(`/clubs/${request.club._id}/requests/${request._id}/${decision}`, { note: note || undefined });
+            setReviewedCount(count => count + 1);
+            if (onReviewed) {
+                onReviewed();
+            }
+        } catch (error) {
+            console.error('Error reviewing membership request:', error);
+            alert(error.response?.data?.message || 'Failed to review request');
+        }
+    };
+
+    if (requests.length === 0) {
+        return null;
+    }
+
+    return (
+        <Card sx={{ mt: 4 }}>
+            <CardContent>
+                <Typography variant="h5" fontWeight="bold" gutterBottom>
+                    Requests to Join
+                </Typography>
+                <TableContainer>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Applicant</TableCell>
+                                <TableCell>Club</TableCell>
+                                <TableCell>Message</TableCell>
+                                <TableCell>Requested</TableCell>
+                                <TableCell>Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {requests.map((request) => (
+                                <TableRow key={request._id}>
+                                    <TableCell>
+                                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                            <Avatar src={request.user.profilePictureThumbnail || undefined} sx={{ width: 32, height: 32 }}>
+                                                {request.user.name?.charAt(0)}
+                                            </Avatar>
+                                            <Box>
+                                                <Typography variant="body2">{request.user.name}</Typography>
+                                                <Typography variant="caption" color="text.secondary">
+                                                    {[request.user.major, request.user.year && `Year ${request.user.year}`].filter(Boolean).join(' • ')}
+                                                </Typography>
+                                            </Box>
+                                        </Box>
+                                    </TableCell>
+                                    <TableCell>{request.club.name}</TableCell>
+                                    <TableCell>{request.message || '—'}</TableCell>
+                                    <TableCell>{formatDate(request.createdAt)}</TableCell>
+                                    <TableCell>
+                                        <Box sx={{ display: 'flex', gap: 1 }}>
+                                            <Button size="small" variant="contained" onClick={() => handleReview(request, 'approve')}>
+                                                Approve
+                                            </Button>
+                                            <Button size="small" color="error" onClick={() => handleReview(request, 'reject')}>
+                                                Reject
+                                            </Button>
+                                        </Box>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default MembershipRequests;
@@ -1,11 +1,13 @@
 import React from 'react';
-import { AppBar, Toolbar, Typography, Button, Box } from '@mui/material';
+import { AppBar, Toolbar, Typography, Button, Box, Badge } from '@mui/material';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useRealtime } from '../context/RealtimeContext';
 import SchoolIcon from '@mui/icons-material/School';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
+  const { unreadCount } = useRealtime();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -68,6 +70,30 @@ const Navbar = () => {
               >
                 Events
               </Button>
+              <Button
+                color="inherit"
+                component={Link}
+                to="/directory"
+                sx={{
+                  textDecoration: 'none',
+                  backgroundColor: location.pathname === '/directory' ? 'rgba(255,255,255,0.1)' : 'transparent'
+                }}
+              >
+                Directory
+              </Button>
+              <Button
+                color="inherit"
+                component={Link}
+                to="/messages"
+                sx={{
+                  textDecoration: 'none',
+                  backgroundColor: location.pathname === '/messages' ? 'rgba(255,255,255,0.1)' : 'transparent'
+                }}
+              >
+                <Badge badgeContent={unreadCount} color="error">
+                  Messages
+                </Badge>
+              </Button>
               <Button
                 color="inherit"
                 component={Link}
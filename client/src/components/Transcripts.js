@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Alert,
+  Chip,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import axios from 'axios';
+import SchoolIcon from '@mui/icons-material/School';
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Transcripts tab of the profile page: issue, download and revoke co-curricular transcripts
+const Transcripts = () => {
+  const [transcripts, setTranscripts] = useState([]);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [issuing, setIssuing] = useState(false);
+
+  useEffect(() => {
+    fetchTranscripts();
+  }, []);
+
+  const fetchTranscripts = async () => {
+    try {
+      const response = await axios.get('/transcripts');
+      setTranscripts(response.data.transcripts);
+    } catch (error) {
+      console.error('Error fetching transcripts:', error);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    setMessage({ type: 'error', text: error.response?.data?.message || fallback });
+  };
+
+  const handleDownload = async (transcript) => {
+    try {
+      const response = await axios.get(`/transcripts/${transcript._id}/pdf`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `uniconnect-transcript-${transcript.code}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      showError(error, 'Failed to download transcript');
+    }
+  };
+
+  const handleIssue = async () => {
+    setIssuing(true);
+    try {
+      const response = await axios.post('/transcripts');
+      setMessage({ type: 'success', text: `${response.data.message}. Verification code: ${response.data.transcript.code}` });
+      await fetchTranscripts();
+      handleDownload(response.data.transcript);
+    } catch (error) {
+      showError(error, 'Failed to issue transcript');
+    } finally {
+      setIssuing(false);
+    }
+  };
+
+  const handleRevoke = async (transcript) => {
+    if (!window.confirm('Revoke this transcript? Anyone checking its code will see it is no longer valid.')) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/transcripts/${transcript._id}`);
+      setMessage({ type: 'success', text: response.data.message });
+      fetchTranscripts();
+    } catch (error) {
+      showError(error, 'Failed to revoke transcript');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      {message.text && (
+        <Alert severity={message.type} sx={{ mb: 2 }}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Paper elevation={3} sx={{ padding: 4, mb: 4 }}>
+        <Typography variant="h6" fontWeight="bold" gutterBottom>
+          <SchoolIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+          Co-curricular Transcript
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          A PDF of your club roles and tenure and the events you were checked in at. Each transcript has a
+          verification code that scholarship committees and employers can check on UniConnect.
+        </Typography>
+        <Button variant="contained" onClick={handleIssue} disabled={issuing}>
+          Issue New Transcript
+        </Button>
+
+        {transcripts.length > 0 && (
+          <List dense sx={{ mt: 2 }}>
+            {transcripts.map((transcript) => (
+              <ListItem
+                key={transcript._id}
+                secondaryAction={
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button size="small" onClick={() => handleDownload(transcript)}>
+                      Download
+                    </Button>
+                    {!transcript.revokedAt && (
+                      <Button size="small" color="error" onClick={() => handleRevoke(transcript)}>
+                        Revoke
+                      </Button>
+                    )}
+                  </Box>
+                }
+              >
+                <ListItemText
+                  primary={
+                    <>
+                      <Link to={`/verify-transcript/${transcript.code}`}>{transcript.code}</Link>
+                      {transcript.revokedAt && <Chip label="Revoked" color="error" size="small" sx={{ ml: 1 }} />}
+                    </>
+                  }
+                  secondary={`Issued ${formatDate(transcript.issuedAt)} • ${transcript.clubCount} clubs • ${transcript.eventCount} events`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default Transcripts;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Grid
+} from '@mui/material';
+import axios from 'axios';
+import SecurityIcon from '@mui/icons-material/Security';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/auth/2fa');
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    setMessage({ type: 'error', text: error.response?.data?.message || fallback });
+  };
+
+  const handleSetup = async () => {
+    try {
+      const response = await axios.post('/auth/2fa/setup');
+      setEnrollment(response.data);
+      setMessage({ type: '', text: '' });
+    } catch (error) {
+      showError(error, 'Could not start two-factor setup');
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post('/auth/2fa/enable', { code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setEnrollment(null);
+      setCode('');
+      setMessage({ type: 'success', text: response.data.message });
+      fetchStatus();
+    } catch (error) {
+      showError(error, 'Could not enable two-factor authentication');
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      const response = await axios.post('/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setCode('');
+      setMessage({ type: 'success', text: response.data.message });
+      fetchStatus();
+    } catch (error) {
+      showError(error, 'Could not regenerate recovery codes');
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      const response = await axios.post('/auth/2fa/disable', { password, code });
+      setCode('');
+      setPassword('');
+      setRecoveryCodes([]);
+      setMessage({ type: 'success', text: response.data.message });
+      fetchStatus();
+    } catch (error) {
+      showError(error, 'Could not disable two-factor authentication');
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Paper
+      elevation={3}
+      sx={{
+        padding: 4,
+        mt: 4,
+        width: '100%'
+      }}
+    >
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6" fontWeight="bold">
+          <SecurityIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+          Two-Factor Authentication
+        </Typography>
+        <Chip
+          label={status.enabled ? 'Enabled' : 'Disabled'}
+          color={status.enabled ? 'success' : 'default'}
+          size="small"
+        />
+      </Box>
+
+      {status.required && !status.enabled && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Your role requires two-factor authentication. Admin features stay locked until you enable it.
+        </Alert>
+      )}
+
+      {message.text && (
+        <Alert severity={message.type} sx={{ mb: 2 }}>
+          {message.text}
+        </Alert>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          <Typography variant="body2" gutterBottom>
+            Save these recovery codes somewhere safe. Each can be used once if you lose your phone; they will not be shown again.
+          </Typography>
+          <Box sx={{ fontFamily: 'monospace', display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 0.5 }}>
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </Box>
+        </Alert>
+      )}
+
+      {!status.enabled && !enrollment && (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Protect your account with a code from an authenticator app in addition to your password.
+          </Typography>
+          <Button variant="contained" onClick={handleSetup}>
+            Set up two-factor authentication
+          </Button>
+        </>
+      )}
+
+      {enrollment && (
+        <Box component="form" onSubmit={handleEnable}>
+          <Typography variant="body2" color="text.secondary">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </Typography>
+          <Box sx={{ textAlign: 'center', my: 2 }}>
+            <img src={enrollment.qrCode} alt="Two-factor QR code" width={200} height={200} />
+            <Typography variant="caption" display="block" sx={{ fontFamily: 'monospace' }}>
+              {enrollment.secret}
+            </Typography>
+          </Box>
+          <TextField
+            fullWidth
+            required
+            label="Verification Code"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+          <Button type="submit" variant="contained" sx={{ mt: 2 }}>
+            Enable
+          </Button>
+        </Box>
+      )}
+
+      {status.enabled && (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Recovery codes remaining: {status.recoveryCodesRemaining}
+          </Typography>
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Authenticator Code"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                type="password"
+                label="Password (to disable)"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={status.required}
+              />
+            </Grid>
+          </Grid>
+          <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+            <Button variant="outlined" onClick={handleRegenerate} disabled={!code}>
+              New recovery codes
+            </Button>
+            {!status.required && (
+              <Button color="error" variant="outlined" onClick={handleDisable} disabled={!code || !password}>
+                Disable
+              </Button>
+            )}
+          </Box>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default TwoFactorSettings;
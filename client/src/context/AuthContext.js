@@ -6,6 +6,52 @@ const AuthContext = createContext();
 // Set up axios defaults
 axios.defaults.baseURL = 'http://localhost:5001/api';
 
+const storeTokens = (token, refreshToken) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+  delete axios.defaults.headers.common['Authorization'];
+};
+
+// While an Administrator views as another user their own tokens are set aside
+const isImpersonating = () => Boolean(localStorage.getItem('impersonatorToken'));
+
+const restoreImpersonatorTokens = () => {
+  const token = localStorage.getItem('impersonatorToken');
+  const refreshToken = localStorage.getItem('impersonatorRefreshToken');
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+  storeTokens(token, refreshToken);
+};
+
+// Shared so that parallel 401s wait on a single refresh request
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        // No refresh token means another tab rotated it a moment ago and already stored the new one
+        storeTokens(response.data.token, response.data.refreshToken || localStorage.getItem('refreshToken'));
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -18,6 +64,47 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  useEffect(() => {
+    // Refresh the access token silently when it expires and retry the request
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const original = error.config;
+
+        // Impersonation tokens cannot be refreshed; once one expires, go back to the Administrator
+        if (error.response?.status === 401 && isImpersonating() && !original?.skipAuthRefresh) {
+          restoreImpersonatorTokens();
+          fetchUserProfile();
+          return Promise.reject(error);
+        }
+
+        if (
+          error.response?.status !== 401 ||
+          !original ||
+          original.skipAuthRefresh ||
+          original._retried ||
+          !localStorage.getItem('refreshToken')
+        ) {
+          return Promise.reject(error);
+        }
+
+        original._retried = true;
+        try {
+          const token = await refreshAccessToken();
+          original.headers['Authorization'] = `Bearer ${token}`;
+          return axios(original);
+        } catch (refreshError) {
+          clearTokens();
+          setUser(null);
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   useEffect(() => {
     const token = localStorage.getItem('token');
     if (token) {
@@ -45,10 +132,18 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const response = await axios.post('/auth/login', { email, password });
-      const { token, user } = response.data;
 
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
+      const { token, refreshToken, user } = response.data;
+
+      storeTokens(token, refreshToken);
       setUser(user);
 
       return { success: true };
@@ -60,16 +155,61 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Where the browser goes to sign in through a university identity provider
+  const getSsoStartUrl = (universityId) => `${axios.defaults.baseURL}/auth/sso/${universityId}/start`;
+
+  const completeSsoLogin = async (code) => {
+    try {
+      const response = await axios.post('/auth/sso/exchange', { code });
+
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
+      const { token, refreshToken, user } = response.data;
+
+      storeTokens(token, refreshToken);
+      setUser(user);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Single sign-on failed'
+      };
+    }
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/auth/login/2fa', { challengeToken, code });
+      const { token, refreshToken, user } = response.data;
+
+      storeTokens(token, refreshToken);
+      setUser(user);
+
+      return { success: true, recoveryCodesRemaining: response.data.recoveryCodesRemaining };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Verification failed'
+      };
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await axios.post('/auth/register', userData);
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
 
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      storeTokens(token, refreshToken);
       setUser(user);
 
-      return { success: true };
+      return { success: true, roleRequest: response.data.roleRequest, clubInvite: response.data.clubInvite };
     } catch (error) {
       return {
         success: false,
@@ -79,11 +219,180 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+    // Revoke the session server-side; the local tokens are dropped either way
+    const impersonatorToken = localStorage.getItem('impersonatorToken');
+    if (impersonatorToken) {
+      axios.post('/admin/impersonate/exit', null, { skipAuthRefresh: true }).catch(() => { });
+      axios.post('/auth/logout', null, {
+        skipAuthRefresh: true,
+        headers: { Authorization: `Bearer ${impersonatorToken}` }
+      }).catch(() => { });
+    } else if (localStorage.getItem('token')) {
+      axios.post('/auth/logout', null, { skipAuthRefresh: true }).catch(() => { });
+    }
+    clearTokens();
     setUser(null);
   };
 
+  const startImpersonation = async (userId, reason) => {
+    try {
+      const response = await axios.post(`/admin/impersonate/${userId}`, { reason });
+
+      localStorage.setItem('impersonatorToken', localStorage.getItem('token'));
+      localStorage.setItem('impersonatorRefreshToken', localStorage.getItem('refreshToken'));
+      localStorage.removeItem('refreshToken');
+      localStorage.setItem('token', response.data.token);
+      axios.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
+      setUser(response.data.user);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Could not view as this user'
+      };
+    }
+  };
+
+  const exitImpersonation = async () => {
+    await axios.post('/admin/impersonate/exit', null, { skipAuthRefresh: true }).catch(() => { });
+    restoreImpersonatorTokens();
+    await fetchUserProfile();
+  };
+
+  const verifyEmail = async (token) => {
+    try {
+      const response = await axios.post('/auth/verify-email', { token });
+      // The link may belong to another account than the one signed in here
+      setUser((current) => current && String(current.id) === String(response.data.userId)
+        ? { ...current, emailVerified: true }
+        : current);
+      return { success: true, message: response.data.message, clubInvite: response.data.clubInvite };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Email verification failed'
+      };
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('/auth/resend-verification');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Could not send verification email'
+      };
+    }
+  };
+
+  const forgotPassword = async (email) => {
+    try {
+      const response = await axios.post('/auth/forgot-password', { email });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Could not send reset email'
+      };
+    }
+  };
+
+  const resetPassword = async (token, password) => {
+    try {
+      const response = await axios.post('/auth/reset-password', { token, password });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Password reset failed'
+      };
+    }
+  };
+
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await axios.post('/auth/change-password', { currentPassword, newPassword });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Password change failed'
+      };
+    }
+  };
+
+  const deleteAccount = async (password) => {
+    try {
+      const response = await axios.delete('/users/me', { data: { password } });
+      return { success: true, message: response.data.message, scheduledFor: response.data.scheduledFor };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Account deletion failed',
+        clubs: error.response?.data?.clubs
+      };
+    }
+  };
+
+  const cancelAccountDeletion = async () => {
+    try {
+      const response = await axios.post('/users/me/cancel-deletion');
+      setUser((current) => current && { ...current, deletionScheduledFor: undefined });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Could not cancel account deletion'
+      };
+    }
+  };
+
+  const getSessions = async () => {
+    const response = await axios.get('/auth/sessions');
+    return response.data.sessions;
+  };
+
+  const getLoginAttempts = async () => {
+    const response = await axios.get('/auth/login-attempts');
+    return response.data.attempts;
+  };
+
+  const uploadAvatar = async (file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    const response = await axios.post('/users/me/avatar', formData);
+    setUser(current => ({
+      ...current,
+      profilePicture: response.data.profilePicture,
+      profilePictureThumbnail: response.data.profilePictureThumbnail
+    }));
+  };
+
+  const removeAvatar = async () => {
+    await axios.delete('/users/me/avatar');
+    setUser(current => ({ ...current, profilePicture: '', profilePictureThumbnail: '' }));
+  };
+
+  const exportData = async (format = 'json') => {
+    const response = await axios.get('/users/me/export', {
+      params: { format },
+      responseType: 'blob'
+    });
+    const fileName = response.headers['content-disposition']?.match(/filename="?([^"]+)"?/)?.[1];
+    return { blob: response.data, fileName: fileName || `uniconnect-data.${format}` };
+  };
+
+  const revokeSession = async (sessionId) => {
+    await axios.delete(`/auth/sessions/${sessionId}`);
+  };
+
+  const revokeOtherSessions = async () => {
+    await axios.delete('/auth/sessions');
+  };
+
   const updateProfile = async (profileData) => {
     try {
       const response = await axios.put('/users/profile', profileData);
@@ -97,12 +406,38 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const updatePrivacy = async (privacy) => {
+    const response = await axios.put('/users/profile/privacy', privacy);
+    setUser(current => ({ ...current, privacy: response.data.privacy }));
+    return response.data.privacy;
+  };
+
   const value = {
     user,
     login,
+    completeTwoFactorLogin,
+    getSsoStartUrl,
+    completeSsoLogin,
     register,
     logout,
+    startImpersonation,
+    exitImpersonation,
     updateProfile,
+    updatePrivacy,
+    uploadAvatar,
+    removeAvatar,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    getSessions,
+    getLoginAttempts,
+    exportData,
+    deleteAccount,
+    cancelAccountDeletion,
+    revokeSession,
+    revokeOtherSessions,
     loading
   };
 
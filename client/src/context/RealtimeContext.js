@@ -0,0 +1,101 @@
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from './AuthContext';
+
+const RealtimeContext = createContext();
+
+const RECONNECT_DELAY_MS = 3000;
+
+// ws://host/ws next to the REST API at http://host/api
+const socketUrl = () => {
+  const url = new URL(axios.defaults.baseURL);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.pathname = '/ws';
+  return url.toString();
+};
+
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+// Keeps one WebSocket open while signed in and tracks the unread message count
+export const RealtimeProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const listeners = useRef(new Set());
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await axios.get('/conversations/unread-count');
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching unread count:', error);
+    }
+  }, []);
+
+  // Register a handler for server events; returns a function that removes it
+  const subscribe = useCallback((handler) => {
+    listeners.current.add(handler);
+    return () => listeners.current.delete(handler);
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      setUnreadCount(0);
+      return undefined;
+    }
+
+    let socket;
+    let reconnectTimer;
+    let stopped = false;
+
+    const connect = () => {
+      socket = new WebSocket(socketUrl());
+
+      // Authenticate in the first message so the token never appears in a URL
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'auth', token: localStorage.getItem('token') || '' }));
+      };
+
+      socket.onmessage = (event) => {
+        const data = JSON.parse(event.data);
+        if (data.type === 'message' || data.type === 'read') {
+          refreshUnreadCount();
+        }
+        listeners.current.forEach(handler => handler(data));
+      };
+
+      socket.onclose = () => {
+        if (stopped) {
+          return;
+        }
+        // The REST call refreshes an expired access token before reconnecting
+        reconnectTimer = setTimeout(async () => {
+          await refreshUnreadCount();
+          if (!stopped) {
+            connect();
+          }
+        }, RECONNECT_DELAY_MS);
+      };
+    };
+
+    refreshUnreadCount();
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      socket.close();
+    };
+  }, [user?.id, refreshUnreadCount]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <RealtimeContext.Provider value={{ unreadCount, refreshUnreadCount, subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  Avatar,
+  Chip,
+  CircularProgress
+} from '@mui/material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import GroupsIcon from '@mui/icons-material/Groups';
+
+// Landing page of a club invite link: join straight away, or sign in or register first
+const ClubInvite = () => {
+  const { code } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [preview, setPreview] = useState(null);
+  // Registration sends people here with the reason their invite could not be used
+  const [error, setError] = useState(location.state?.error || '');
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    axios.get(`/clubs/invites/${encodeURIComponent(code)}`)
+      .then((response) => setPreview(response.data))
+      .catch((err) => setError(err.response?.data?.message || 'Could not load this invite'))
+      .finally(() => setLoading(false));
+  }, [code]);
+
+  const handleJoin = async () => {
+    setJoining(true);
+    setError('');
+    try {
+      await axios.post(`/clubs/invites/${encodeURIComponent(code)}/redeem`);
+      navigate('/clubs');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to join the club');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const active = preview?.invite.status === 'active';
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Paper elevation={3} sx={{ mt: 8, p: 4, textAlign: 'center' }}>
+        {loading && <CircularProgress />}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {preview && (
+          <>
+            <Avatar
+              src={preview.club.logoThumbnail || undefined}
+              sx={{ width: 80, height: 80, mx: 'auto', mb: 2, bgcolor: 'primary.main' }}
+            >
+              <GroupsIcon fontSize="large" />
+            </Avatar>
+            <Typography component="h1" variant="h4" gutterBottom>
+              {preview.club.name}
+            </Typography>
+            <Box sx={{ mb: 2 }}>
+              <Chip label={preview.club.category} size="small" color="primary" variant="outlined" />
+              <Chip label={`${preview.club.memberCount} members`} size="small" sx={{ ml: 1 }} />
+            </Box>
+            <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+              {preview.club.description}
+            </Typography>
+
+            {!active ? (
+              <Alert severity="warning">
+                This invite is {preview.invite.status === 'used up' ? 'used up' : `no longer valid (${preview.invite.status})`}. Ask the club for a new one.
+              </Alert>
+            ) : user ? (
+              <Button variant="contained" size="large" onClick={handleJoin} disabled={joining}>
+                Join as {preview.invite.role}
+              </Button>
+            ) : (
+              <>
+                <Typography variant="body2" sx={{ mb: 2 }}>
+                  You've been invited to join as {preview.invite.role}. Sign in or create an account to accept.
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
+                  <Button variant="contained" component={Link} to={`/register?invite=${encodeURIComponent(code)}`}>
+                    Create Account
+                  </Button>
+                  <Button variant="outlined" component={Link} to={`/login?invite=${encodeURIComponent(code)}`}>
+                    Sign In
+                  </Button>
+                </Box>
+              </>
+            )}
+          </>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default ClubInvite;
@@ -20,7 +20,8 @@ import {
     Dialog,
     DialogTitle,
     DialogContent,
-    DialogActions
+    DialogActions,
+    Alert
 } from '@mui/material';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
@@ -38,6 +39,9 @@ const Clubs = () => {
     const [search, setSearch] = useState('');
     const [category, setCategory] = useState('All');
     const [createDialogOpen, setCreateDialogOpen] = useState(false);
+    const [requests, setRequests] = useState({});
+    const [requestClub, setRequestClub] = useState(null);
+    const [requestMessage, setRequestMessage] = useState('');
     const [newClub, setNewClub] = useState({
         name: '',
         description: '',
@@ -56,6 +60,13 @@ const Clubs = () => {
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [page, search, category]);
 
+    useEffect(() => {
+        if (user) {
+            fetchRequests();
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [user]);
+
     const fetchClubs = async () => {
         try {
             setLoading(true);
@@ -67,7 +78,7 @@ const Clubs = () => {
             if (search) params.append('search', search);
             if (category && category !== 'All') params.append('category', category);
 
-            const response = await axios.get(`/api/clubs?${params}`);
+            const response = await axios.get(`/clubs?${params}`);
             setClubs(response.data.clubs || []);
             setTotalPages(response.data.totalPages || 1);
         } catch (error) {
@@ -78,19 +89,56 @@ const Clubs = () => {
         }
     };
 
-    const handleJoinClub = async (clubId) => {
+    // Latest request to join for each club, keyed by club id
+    const fetchRequests = async () => {
         try {
-            await axios.post(`/api/clubs/${clubId}/join`);
-            fetchClubs(); // Refresh data
+            const response = await axios.get('/clubs/requests/mine');
+            const latest = {};
+            (response.data.requests || []).forEach((request) => {
+                if (request.club && !latest[request.club._id]) {
+                    latest[request.club._id] = request;
+                }
+            });
+            setRequests(latest);
+        } catch (error) {
+            console.error('Error fetching membership requests:', error);
+        }
+    };
+
+    const handleJoinClub = async (clubId, message) => {
+        try {
+            const response = await axios.post(`/clubs/${clubId}/join`, message ? { message } : {});
+            if (response.data.request) {
+                alert(response.data.message);
+                fetchRequests();
+            } else {
+                fetchClubs(); // Refresh data
+            }
         } catch (error) {
             console.error('Error joining club:', error);
             alert(error.response?.data?.message || 'Failed to join club');
         }
     };
 
+    const handleSendRequest = async () => {
+        await handleJoinClub(requestClub._id, requestMessage.trim());
+        setRequestClub(null);
+        setRequestMessage('');
+    };
+
+    const handleWithdrawRequest = async (clubId) => {
+        try {
+            await axios.delete(`/clubs/${clubId}/requests/mine`);
+            fetchRequests();
+        } catch (error) {
+            console.error('Error withdrawing request:', error);
+            alert(error.response?.data?.message || 'Failed to withdraw request');
+        }
+    };
+
     const handleCreateClub = async () => {
         try {
-            await axios.post('/api/clubs', newClub);
+            await axios.post('/clubs', newClub);
             setCreateDialogOpen(false);
             setNewClub({
                 name: '',
@@ -107,7 +155,56 @@ const Clubs = () => {
     };
 
     const isUserMember = (club) => {
-        return club.members?.some(member => member.user._id === user?._id);
+        return club.members?.some(member => member.user._id === user?.id);
+    };
+
+    const renderMembershipAction = (club) => {
+        const request = requests[club._id];
+
+        if (isUserMember(club)) {
+            return (
+                <Button
+                    fullWidth
+                    variant="outlined"
+                    color="success"
+                    disabled
+                >
+                    ✓ Member
+                </Button>
+            );
+        }
+
+        if (request?.status === 'Pending') {
+            return (
+                <Box sx={{ width: '100%', display: 'flex', gap: 1 }}>
+                    <Button fullWidth variant="outlined" disabled>
+                        Request pending
+                    </Button>
+                    <Button color="error" onClick={() => handleWithdrawRequest(club._id)}>
+                        Withdraw
+                    </Button>
+                </Box>
+            );
+        }
+
+        if (club.joinPolicy === 'invite') {
+            return (
+                <Button fullWidth variant="outlined" disabled>
+                    Invite only
+                </Button>
+            );
+        }
+
+        return (
+            <Button
+                fullWidth
+                variant="contained"
+                startIcon={<PersonAddIcon />}
+                onClick={() => (club.joinPolicy === 'approval' ? setRequestClub(club) : handleJoinClub(club._id))}
+            >
+                {club.joinPolicy === 'approval' ? 'Request to Join' : 'Join Club'}
+            </Button>
+        );
     };
 
     return (
@@ -190,6 +287,7 @@ const Clubs = () => {
                                         <CardContent sx={{ flexGrow: 1 }}>
                                             <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
                                                 <Avatar
+                                                    src={club.logoThumbnail || undefined}
                                                     sx={{
                                                         width: 60,
                                                         height: 60,
@@ -209,6 +307,12 @@ const Clubs = () => {
                                                         color="primary"
                                                         variant="outlined"
                                                     />
+                                                    {club.joinPolicy === 'approval' && (
+                                                        <Chip label="Approval required" size="small" sx={{ ml: 1 }} />
+                                                    )}
+                                                    {club.joinPolicy === 'invite' && (
+                                                        <Chip label="Invite only" size="small" sx={{ ml: 1 }} />
+                                                    )}
                                                 </Box>
                                             </Box>
 
@@ -236,28 +340,17 @@ const Clubs = () => {
                                             <Typography variant="body2" color="text.secondary">
                                                 <strong>Contact:</strong> {club.contactEmail}
                                             </Typography>
+
+                                            {requests[club._id]?.status === 'Rejected' && !isUserMember(club) && (
+                                                <Alert severity="warning" sx={{ mt: 2 }}>
+                                                    Your request to join was declined
+                                                    {requests[club._id].reviewNote && `: ${requests[club._id].reviewNote}`}
+                                                </Alert>
+                                            )}
                                         </CardContent>
 
                                         <CardActions sx={{ p: 2, pt: 0 }}>
-                                            {!isUserMember(club) ? (
-                                                <Button
-                                                    fullWidth
-                                                    variant="contained"
-                                                    startIcon={<PersonAddIcon />}
-                                                    onClick={() => handleJoinClub(club._id)}
-                                                >
-                                                    Join Club
-                                                </Button>
-                                            ) : (
-                                                <Button
-                                                    fullWidth
-                                                    variant="outlined"
-                                                    color="success"
-                                                    disabled
-                                                >
-                                                    ✓ Member
-                                                </Button>
-                                            )}
+                                            {renderMembershipAction(club)}
                                         </CardActions>
                                     </Card>
                                 </Grid>
@@ -355,6 +448,36 @@ const Clubs = () => {
                     </Button>
                 </DialogActions>
             </Dialog>
+
+            {/* Request to Join Dialog */}
+            <Dialog
+                open={Boolean(requestClub)}
+                onClose={() => setRequestClub(null)}
+                maxWidth="sm"
+                fullWidth
+            >
+                <DialogTitle>Request to Join {requestClub?.name}</DialogTitle>
+                <DialogContent>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                        The club officers review requests to join. You'll get an email once they decide.
+                    </Typography>
+                    <TextField
+                        fullWidth
+                        multiline
+                        rows={3}
+                        label="Message to the officers (optional)"
+                        value={requestMessage}
+                        onChange={(e) => setRequestMessage(e.target.value)}
+                        inputProps={{ maxLength: 1000 }}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setRequestClub(null)}>Cancel</Button>
+                    <Button onClick={handleSendRequest} variant="contained">
+                        Send Request
+                    </Button>
+                </DialogActions>
+            </Dialog>
         </Container>
     );
 };
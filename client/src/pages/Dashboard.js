@@ -12,7 +12,13 @@ import {
   Button,
   Paper,
   Tab,
-  Tabs
+  Tabs,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField
 } from '@mui/material';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
@@ -21,6 +27,7 @@ import EventIcon from '@mui/icons-material/Event';
 import PersonAddIcon from '@mui/icons-material/PersonAdd';
 import LocationOnIcon from '@mui/icons-material/LocationOn';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
+import AutoAwesomeIcon from '@mui/icons-material/AutoAwesome';
 
 // Import role-specific components
 import AdminDashboard from '../components/AdminDashboard';
@@ -46,18 +53,65 @@ const StudentDashboard = () => {
   const { user } = useAuth();
   const [clubs, setClubs] = useState([]);
   const [events, setEvents] = useState([]);
+  const [recommendations, setRecommendations] = useState([]);
+  const [feed, setFeed] = useState([]);
   const [loading, setLoading] = useState(true);
   const [tabValue, setTabValue] = useState(0);
+  const [roleRequest, setRoleRequest] = useState(null);
+  const [requestDialogOpen, setRequestDialogOpen] = useState(false);
+  const [justification, setJustification] = useState('');
 
   useEffect(() => {
     fetchClubsAndEvents();
+    fetchRecommendations();
+    fetchFeed();
+    fetchRoleRequest();
   }, []);
 
+  const fetchRecommendations = async () => {
+    try {
+      const response = await axios.get('/clubs/recommendations');
+      setRecommendations(response.data.recommendations || []);
+    } catch (error) {
+      console.error('Error fetching recommendations:', error);
+    }
+  };
+
+  const fetchFeed = async () => {
+    try {
+      const response = await axios.get('/events/feed', { params: { limit: 6 } });
+      setFeed(response.data.events || []);
+    } catch (error) {
+      console.error('Error fetching event feed:', error);
+    }
+  };
+
+  const fetchRoleRequest = async () => {
+    try {
+      const response = await axios.get('/role-requests/mine');
+      setRoleRequest(response.data.request);
+    } catch (error) {
+      console.error('Error fetching role request:', error);
+    }
+  };
+
+  const handleRequestClubAdmin = async () => {
+    try {
+      await axios.post('/role-requests', { justification });
+      setRequestDialogOpen(false);
+      setJustification('');
+      fetchRoleRequest();
+    } catch (error) {
+      console.error('Error requesting Club Admin role:', error);
+      alert(error.response?.data?.message || 'Failed to submit request');
+    }
+  };
+
   const fetchClubsAndEvents = async () => {
     try {
       const [clubsRes, eventsRes] = await Promise.all([
-        axios.get('/api/clubs'),
-        axios.get('/api/events')
+        axios.get('/clubs'),
+        axios.get('/events')
       ]);
 
       setClubs(clubsRes.data.clubs || []);
@@ -73,8 +127,10 @@ const StudentDashboard = () => {
 
   const handleJoinClub = async (clubId) => {
     try {
-      await axios.post(`/api/clubs/${clubId}/join`);
+      await axios.post(`/clubs/${clubId}/join`);
       fetchClubsAndEvents(); // Refresh data
+      fetchRecommendations();
+      fetchFeed();
     } catch (error) {
       console.error('Error joining club:', error);
       alert(error.response?.data?.message || 'Failed to join club');
@@ -83,8 +139,9 @@ const StudentDashboard = () => {
 
   const handleRegisterEvent = async (eventId) => {
     try {
-      await axios.post(`/api/events/${eventId}/register`);
+      await axios.post(`/events/${eventId}/register`);
       fetchClubsAndEvents(); // Refresh data
+      fetchFeed();
     } catch (error) {
       console.error('Error registering for event:', error);
       alert(error.response?.data?.message || 'Failed to register for event');
@@ -251,12 +308,21 @@ const StudentDashboard = () => {
                   </Typography>
                 </Box>
                 <Typography variant="body2" color="text.secondary">
-                  Organizer: {event.organizer?.name}
+                  Organizer: {(event.organizer || event.club)?.name}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
                   Attendees: {event.attendees?.length || 0}
                   {event.capacity && `/${event.capacity}`}
                 </Typography>
+                {event.reasons?.length > 0 && (
+                  <Box component="ul" sx={{ mt: 1, mb: 0, pl: 2.5 }}>
+                    {event.reasons.slice(0, 3).map((reason) => (
+                      <Typography component="li" variant="body2" color="primary.main" key={reason}>
+                        {reason}
+                      </Typography>
+                    ))}
+                  </Box>
+                )}
               </CardContent>
               <CardActions>
                 {event.registrationRequired && !userEvents.find(ue => ue._id === event._id) ? (
@@ -301,6 +367,33 @@ const StudentDashboard = () => {
         </Typography>
       </Paper>
 
+      {/* Club Admin Request Status */}
+      {roleRequest?.status === 'Pending' && (
+        <Alert severity="info" sx={{ mb: 4 }}>
+          Your Club Admin request is awaiting review by an administrator.
+        </Alert>
+      )}
+      {roleRequest?.status === 'Rejected' && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 4 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setRequestDialogOpen(true)}>
+              Request again
+            </Button>
+          }
+        >
+          Your Club Admin request was declined{roleRequest.reviewNote ? `: ${roleRequest.reviewNote}` : '.'}
+        </Alert>
+      )}
+      {!roleRequest && (
+        <Box sx={{ mb: 4, textAlign: 'right' }}>
+          <Button variant="outlined" onClick={() => setRequestDialogOpen(true)}>
+            Request Club Admin access
+          </Button>
+        </Box>
+      )}
+
       {/* Stats Section */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         <Grid item xs={12} sm={6} md={3}>
@@ -355,10 +448,72 @@ const StudentDashboard = () => {
         </Grid>
       </Grid>
 
+      {/* Recommendations Section */}
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h5" gutterBottom fontWeight="bold">
+          <AutoAwesomeIcon sx={{ mr: 1, verticalAlign: 'middle', color: 'primary.main' }} />
+          Recommended for you
+        </Typography>
+        {recommendations.length === 0 ? (
+          <Typography variant="body1" color="text.secondary">
+            Add your major and interests to your profile to get club recommendations.
+          </Typography>
+        ) : (
+          <Grid container spacing={3}>
+            {recommendations.map(({ club, reasons }) => (
+              <Grid item xs={12} sm={6} md={4} key={club._id}>
+                <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+                  <CardContent sx={{ flexGrow: 1 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                      <Avatar
+                        src={club.logoThumbnail || club.logo}
+                        sx={{ width: 48, height: 48, mr: 2, bgcolor: 'primary.main' }}
+                      >
+                        <GroupsIcon />
+                      </Avatar>
+                      <Box>
+                        <Typography variant="h6" fontWeight="bold">
+                          {club.name}
+                        </Typography>
+                        <Chip label={club.category} size="small" color="primary" variant="outlined" />
+                      </Box>
+                    </Box>
+                    <Typography variant="body2" fontWeight="bold" gutterBottom>
+                      Why this club?
+                    </Typography>
+                    <Box component="ul" sx={{ m: 0, pl: 2.5 }}>
+                      {reasons.map((reason) => (
+                        <Typography component="li" variant="body2" color="text.secondary" key={reason}>
+                          {reason}
+                        </Typography>
+                      ))}
+                    </Box>
+                  </CardContent>
+                  <CardActions>
+                    <Button
+                      size="small"
+                      variant="contained"
+                      startIcon={<PersonAddIcon />}
+                      onClick={() => handleJoinClub(club._id)}
+                    >
+                      Join Club
+                    </Button>
+                    <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
+                      {club.memberCount} members
+                    </Typography>
+                  </CardActions>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </Box>
+
       {/* Tabs Section */}
       <Box sx={{ width: '100%', mb: 3 }}>
         <Tabs value={tabValue} onChange={(e, newValue) => setTabValue(newValue)} centered>
           <Tab label="Featured Clubs" />
+          <Tab label="For You" />
           <Tab label="Upcoming Events" />
           <Tab label="My Clubs" />
           <Tab label="My Events" />
@@ -384,6 +539,18 @@ const StudentDashboard = () => {
         )}
 
         {tabValue === 1 && (
+          <Box>
+            <Typography variant="h5" gutterBottom fontWeight="bold">
+              For You
+            </Typography>
+            <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+              Upcoming events picked from your clubs, the events you have been to and your interests
+            </Typography>
+            {renderEvents(feed)}
+          </Box>
+        )}
+
+        {tabValue === 2 && (
           <Box>
             <Typography variant="h5" gutterBottom fontWeight="bold">
               Upcoming Events
@@ -399,7 +566,7 @@ const StudentDashboard = () => {
           </Box>
         )}
 
-        {tabValue === 2 && (
+        {tabValue === 3 && (
           <Box>
             <Typography variant="h5" gutterBottom fontWeight="bold">
               My Clubs
@@ -411,7 +578,7 @@ const StudentDashboard = () => {
           </Box>
         )}
 
-        {tabValue === 3 && (
+        {tabValue === 4 && (
           <Box>
             <Typography variant="h5" gutterBottom fontWeight="bold">
               My Events
@@ -423,6 +590,38 @@ const StudentDashboard = () => {
           </Box>
         )}
       </Box>
+
+      {/* Club Admin Request Dialog */}
+      <Dialog
+        open={requestDialogOpen}
+        onClose={() => setRequestDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Request Club Admin Access</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            multiline
+            rows={4}
+            sx={{ mt: 1 }}
+            label="Why do you need Club Admin access?"
+            value={justification}
+            onChange={(e) => setJustification(e.target.value)}
+            helperText="E.g. the club you lead and your position. At least 20 characters."
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRequestDialogOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleRequestClubAdmin}
+            variant="contained"
+            disabled={justification.trim().length < 20}
+          >
+            Submit Request
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
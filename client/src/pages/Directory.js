@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+    Container,
+    Typography,
+    Box,
+    Grid,
+    Card,
+    CardActionArea,
+    CardContent,
+    Avatar,
+    Chip,
+    TextField,
+    MenuItem,
+    Pagination
+} from '@mui/material';
+import axios from 'axios';
+import SearchIcon from '@mui/icons-material/Search';
+
+const yearOptions = ['All', 'Freshman', 'Sophomore', 'Junior', 'Senior'];
+
+const Directory = () => {
+    const [users, setUsers] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [universities, setUniversities] = useState([]);
+    const [clubs, setClubs] = useState([]);
+    const [filters, setFilters] = useState({
+        search: '',
+        university: '',
+        major: '',
+        year: 'All',
+        interests: '',
+        club: ''
+    });
+
+    useEffect(() => {
+        const fetchFilterOptions = async () => {
+            try {
+                const [universitiesRes, clubsRes] = await Promise.all([
+                    axios.get('/universities', { params: { active: 'true' } }),
+                    axios.get('/clubs', { params: { limit: 100 } })
+                ]);
+                setUniversities(universitiesRes.data.universities || []);
+                setClubs(clubsRes.data.clubs || []);
+            } catch (error) {
+                console.error('Error fetching directory filters:', error);
+            }
+        };
+
+        fetchFilterOptions();
+    }, []);
+
+    useEffect(() => {
+        const fetchUsers = async () => {
+            try {
+                setLoading(true);
+                const params = { page, limit: 12 };
+                Object.entries(filters).forEach(([name, value]) => {
+                    if (value && value !== 'All') params[name] = value;
+                });
+
+                const response = await axios.get('/users/directory', { params });
+                setUsers(response.data.users || []);
+                setTotal(response.data.total || 0);
+                setTotalPages(response.data.totalPages || 1);
+            } catch (error) {
+                console.error('Error fetching directory:', error);
+                setUsers([]);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchUsers();
+    }, [page, filters]);
+
+    const handleFilterChange = (e) => {
+        setFilters({
+            ...filters,
+            [e.target.name]: e.target.value
+        });
+        setPage(1);
+    };
+
+    return (
+        <Container maxWidth="lg" sx={{ py: 4 }}>
+            {/* Header Section */}
+            <Box sx={{ mb: 4, textAlign: 'center' }}>
+                <Typography variant="h3" component="h1" gutterBottom fontWeight="bold">
+                    Student Directory
+                </Typography>
+                <Typography variant="h6" color="text.secondary">
+                    Find students by university, major, year, interests or club
+                </Typography>
+            </Box>
+
+            {/* Search and Filter Section */}
+            <Box sx={{ mb: 4 }}>
+                <Grid container spacing={2} alignItems="center">
+                    <Grid item xs={12} md={4}>
+                        <TextField
+                            fullWidth
+                            name="search"
+                            placeholder="Search by name..."
+                            value={filters.search}
+                            onChange={handleFilterChange}
+                            InputProps={{
+                                startAdornment: <SearchIcon sx={{ mr: 1, color: 'text.secondary' }} />
+                            }}
+                        />
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={4}>
+                        <TextField
+                            select
+                            fullWidth
+                            name="university"
+                            label="University"
+                            value={filters.university}
+                            onChange={handleFilterChange}
+                        >
+                            <MenuItem value="">All</MenuItem>
+                            {universities.map((university) => (
+                                <MenuItem key={university._id} value={university._id}>
+                                    {university.name}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                    <Grid item xs={12} sm={6} md={4}>
+                        <TextField
+                            select
+                            fullWidth
+                            name="club"
+                            label="Club"
+                            value={filters.club}
+                            onChange={handleFilterChange}
+                        >
+                            <MenuItem value="">All</MenuItem>
+                            {clubs.map((club) => (
+                                <MenuItem key={club._id} value={club._id}>
+                                    {club.name}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                    <Grid item xs={12} sm={4}>
+                        <TextField
+                            fullWidth
+                            name="major"
+                            label="Major"
+                            value={filters.major}
+                            onChange={handleFilterChange}
+                        />
+                    </Grid>
+                    <Grid item xs={12} sm={4}>
+                        <TextField
+                            select
+                            fullWidth
+                            name="year"
+                            label="Year"
+                            value={filters.year}
+                            onChange={handleFilterChange}
+                        >
+                            {yearOptions.map((year) => (
+                                <MenuItem key={year} value={year}>
+                                    {year}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                    <Grid item xs={12} sm={4}>
+                        <TextField
+                            fullWidth
+                            name="interests"
+                            label="Interests"
+                            placeholder="e.g. robotics, chess"
+                            value={filters.interests}
+                            onChange={handleFilterChange}
+                        />
+                    </Grid>
+                </Grid>
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                    Found {total} students. Filters only match details that students share with you.
+                </Typography>
+            </Box>
+
+            {/* Students Grid */}
+            {loading ? (
+                <Typography textAlign="center">Loading students...</Typography>
+            ) : (
+                <>
+                    <Grid container spacing={3}>
+                        {users.length === 0 ? (
+                            <Grid item xs={12}>
+                                <Typography variant="h6" color="text.secondary" textAlign="center">
+                                    No students found matching your criteria
+                                </Typography>
+                            </Grid>
+                        ) : (
+                            users.map((student) => (
+                                <Grid item xs={12} sm={6} md={4} key={student._id}>
+                                    <Card sx={{ height: '100%' }}>
+                                        <CardActionArea component={Link} to={`/users/${student._id}`} sx={{ height: '100%' }}>
+                                            <CardContent>
+                                                <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                                                    <Avatar src={student.profilePictureThumbnail || student.profilePicture} sx={{ width: 56, height: 56, mr: 2 }}>
+                                                        {student.name?.charAt(0).toUpperCase()}
+                                                    </Avatar>
+                                                    <Box>
+                                                        <Typography variant="h6" fontWeight="bold">
+                                                            {student.name}
+                                                        </Typography>
+                                                        <Typography variant="body2" color="text.secondary">
+                                                            {student.university?.name}
+                                                        </Typography>
+                                                    </Box>
+                                                </Box>
+
+                                                {(student.major || student.year) && (
+                                                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                                                        {[student.major, student.year].filter(Boolean).join(' • ')}
+                                                    </Typography>
+                                                )}
+
+                                                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                                                    {student.interests?.slice(0, 4).map((interest) => (
+                                                        <Chip key={interest} label={interest} size="small" variant="outlined" />
+                                                    ))}
+                                                </Box>
+                                            </CardContent>
+                                        </CardActionArea>
+                                    </Card>
+                                </Grid>
+                            ))
+                        )}
+                    </Grid>
+
+                    {/* Pagination */}
+                    {totalPages > 1 && (
+                        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+                            <Pagination
+                                count={totalPages}
+                                page={page}
+                                onChange={(e, value) => setPage(value)}
+                                color="primary"
+                                size="large"
+                            />
+                        </Box>
+                    )}
+                </>
+            )}
+        </Container>
+    );
+};
+
+export default Directory;
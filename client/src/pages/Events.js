@@ -92,7 +92,7 @@ const Events = () => {
             if (type && type !== 'All') params.append('type', type);
             if (clubFilter && clubFilter !== 'All') params.append('club', clubFilter);
 
-            const response = await axios.get(`/api/events?${params}`);
+            const response = await axios.get(`/events?${params}`);
             setEvents(response.data.events || []);
             setTotalPages(response.data.totalPages || 1);
         } catch (error) {
@@ -105,7 +105,7 @@ const Events = () => {
 
     const fetchClubs = async () => {
         try {
-            const response = await axios.get('/api/clubs');
+            const response = await axios.get('/clubs');
             setClubs(response.data.clubs || []);
         } catch (error) {
             console.error('Error fetching clubs:', error);
@@ -115,7 +115,7 @@ const Events = () => {
 
     const handleRegisterEvent = async (eventId) => {
         try {
-            await axios.post(`/api/events/${eventId}/register`);
+            await axios.post(`/events/${eventId}/register`);
             fetchEvents(); // Refresh data
         } catch (error) {
             console.error('Error registering for event:', error);
@@ -133,7 +133,7 @@ const Events = () => {
                 capacity: newEvent.capacity ? parseInt(newEvent.capacity) : undefined
             };
 
-            await axios.post('/api/events', eventData);
+            await axios.post('/events', eventData);
             setCreateDialogOpen(false);
             resetNewEvent();
             fetchEvents(); // Refresh data
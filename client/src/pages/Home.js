@@ -21,8 +21,8 @@ const Home = () => {
   const fetchFeaturedContent = async () => {
     try {
       const [clubsRes, eventsRes] = await Promise.all([
-        axios.get('/api/clubs?limit=3'),
-        axios.get('/api/events?limit=3')
+        axios.get('/clubs?limit=3'),
+        axios.get('/events?limit=3')
       ]);
 
       setFeaturedClubs(clubsRes.data.clubs || []);
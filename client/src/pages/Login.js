@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Container,
   Paper,
@@ -7,22 +7,47 @@ import {
   Typography,
   Box,
   Alert,
+  Divider,
   Link as MuiLink
 } from '@mui/material';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import LoginIcon from '@mui/icons-material/Login';
+import SchoolIcon from '@mui/icons-material/School';
 
 const Login = () => {
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
-  const [error, setError] = useState('');
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  // Single sign-on lands here with a two-factor challenge or an error to show
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || '');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(searchParams.get('ssoError') || '');
   const [loading, setLoading] = useState(false);
+  const [ssoUniversities, setSsoUniversities] = useState([]);
 
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin, getSsoStartUrl } = useAuth();
   const navigate = useNavigate();
+  // Signing in from a club invite link returns to the invite
+  const invite = searchParams.get('invite');
+  const afterLogin = invite ? `/invite/${encodeURIComponent(invite)}` : '/dashboard';
+
+  useEffect(() => {
+    const fetchSsoUniversities = async () => {
+      try {
+        const response = await axios.get('/universities', { params: { active: 'true' } });
+        setSsoUniversities(response.data.universities.filter(university => university.sso?.enabled));
+      } catch (error) {
+        console.error('Error fetching universities:', error);
+      }
+    };
+
+    fetchSsoUniversities();
+  }, []);
 
   const handleChange = (e) => {
     setFormData({
@@ -39,7 +64,25 @@ const Login = () => {
     const result = await login(formData.email, formData.password);
 
     if (result.success) {
-      navigate('/dashboard');
+      navigate(afterLogin);
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await completeTwoFactorLogin(challengeToken, code);
+
+    if (result.success) {
+      navigate(afterLogin);
     } else {
       setError(result.error);
     }
@@ -81,49 +124,113 @@ const Login = () => {
             </Alert>
           )}
 
-          <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1, width: '100%' }}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              autoFocus
-              value={formData.email}
-              onChange={handleChange}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="current-password"
-              value={formData.password}
-              onChange={handleChange}
-            />
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2, py: 1.5 }}
-              disabled={loading}
-            >
-              {loading ? 'Signing In...' : 'Sign In'}
-            </Button>
-            <Box textAlign="center">
-              <Typography variant="body2">
-                Don't have an account?{' '}
-                <MuiLink component={Link} to="/register">
-                  Sign up here
-                </MuiLink>
+          {challengeToken ? (
+            <Box component="form" onSubmit={handleTwoFactorSubmit} sx={{ mt: 1, width: '100%' }}>
+              <Typography variant="body2" color="text.secondary">
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
               </Typography>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="code"
+                label="Verification Code"
+                name="code"
+                autoComplete="one-time-code"
+                autoFocus
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={loading}
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+              <Box textAlign="center">
+                <MuiLink
+                  component="button"
+                  type="button"
+                  variant="body2"
+                  onClick={() => {
+                    setChallengeToken('');
+                    setCode('');
+                  }}
+                >
+                  Back to sign in
+                </MuiLink>
+              </Box>
             </Box>
-          </Box>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1, width: '100%' }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                value={formData.email}
+                onChange={handleChange}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="Password"
+                type="password"
+                id="password"
+                autoComplete="current-password"
+                value={formData.password}
+                onChange={handleChange}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={loading}
+              >
+                {loading ? 'Signing In...' : 'Sign In'}
+              </Button>
+              {ssoUniversities.length > 0 && (
+                <>
+                  <Divider sx={{ mb: 2 }}>or</Divider>
+                  {ssoUniversities.map((university) => (
+                    <Button
+                      key={university._id}
+                      fullWidth
+                      variant="outlined"
+                      startIcon={<SchoolIcon />}
+                      href={getSsoStartUrl(university._id)}
+                      sx={{ mb: 2 }}
+                    >
+                      {university.sso.buttonLabel || `Sign in with ${university.name}`}
+                    </Button>
+                  ))}
+                </>
+              )}
+              <Box textAlign="center" sx={{ mb: 1 }}>
+                <MuiLink component={Link} to="/forgot-password" variant="body2">
+                  Forgot your password?
+                </MuiLink>
+              </Box>
+              <Box textAlign="center">
+                <Typography variant="body2">
+                  Don't have an account?{' '}
+                  <MuiLink component={Link} to={invite ? `/register?invite=${encodeURIComponent(invite)}` : '/register'}>
+                    Sign up here
+                  </MuiLink>
+                </Typography>
+              </Box>
+            </Box>
+          )}
         </Paper>
       </Box>
     </Container>
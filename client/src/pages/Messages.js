@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Avatar,
+  Badge,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Autocomplete,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  IconButton
+} from '@mui/material';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { useRealtime } from '../context/RealtimeContext';
+import AddIcon from '@mui/icons-material/Add';
+import SendIcon from '@mui/icons-material/Send';
+import GroupIcon from '@mui/icons-material/Group';
+
+const Messages = () => {
+  const { user } = useAuth();
+  const { subscribe, refreshUnreadCount } = useRealtime();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+  const [newDialogOpen, setNewDialogOpen] = useState(false);
+  const [connections, setConnections] = useState([]);
+  const [selectedPeople, setSelectedPeople] = useState([]);
+  const [groupName, setGroupName] = useState('');
+  const bottomRef = useRef(null);
+  const activeIdRef = useRef(null);
+
+  const showError = (err, fallback) => {
+    setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback);
+  };
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await axios.get('/conversations');
+      setConversations(response.data.conversations);
+    } catch (err) {
+      console.error('Error fetching conversations:', err);
+    }
+  }, []);
+
+  // Reading happens on open and on live messages; failures (e.g. while viewing as someone) are ignored
+  const markRead = useCallback(async (conversationId) => {
+    try {
+      await axios.post(`/conversations/${conversationId}/read`);
+      setConversations(current => current.map(conversation =>
+        conversation._id === conversationId ? { ...conversation, unreadCount: 0 } : conversation
+      ));
+      refreshUnreadCount();
+    } catch (err) {
+      // Nothing to show; the unread badge simply stays
+    }
+  }, [refreshUnreadCount]);
+
+  const openConversation = useCallback(async (conversationId) => {
+    setActiveId(conversationId);
+    activeIdRef.current = conversationId;
+    setMessages([]);
+    setError('');
+    try {
+      const response = await axios.get(`/conversations/${conversationId}/messages`);
+      setMessages(response.data.messages);
+      setHasMore(response.data.hasMore);
+      markRead(conversationId);
+    } catch (err) {
+      showError(err, 'Failed to load messages');
+    }
+  }, [markRead]);
+
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  // Profile pages link here with ?user=<id> to message someone directly
+  useEffect(() => {
+    const userId = searchParams.get('user');
+    if (!userId) {
+      return;
+    }
+
+    const startDirect = async () => {
+      try {
+        const response = await axios.post('/conversations', { participants: [userId] });
+        await fetchConversations();
+        openConversation(response.data.conversation._id);
+      } catch (err) {
+        showError(err, 'Failed to start conversation');
+      }
+      setSearchParams({}, { replace: true });
+    };
+
+    startDirect();
+  }, [searchParams, setSearchParams, fetchConversations, openConversation]);
+
+  useEffect(() => {
+    return subscribe((event) => {
+      if (event.type === 'message') {
+        if (event.conversationId === activeIdRef.current) {
+          setMessages(current => (
+            current.some(message => message._id === event.message._id) ? current : [...current, event.message]
+          ));
+          if (event.message.sender._id !== user?.id) {
+            markRead(event.conversationId);
+          }
+        }
+        fetchConversations();
+      } else if (event.type === 'conversation') {
+        fetchConversations();
+      }
+    });
+  }, [subscribe, fetchConversations, markRead, user?.id]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  const handleLoadOlder = async () => {
+    try {
+      const response = await axios.get(`/conversations/${activeId}/messages`, {
+        params: { before: messages[0]?.createdAt }
+      });
+      setMessages(current => [...response.data.messages, ...current]);
+      setHasMore(response.data.hasMore);
+    } catch (err) {
+      showError(err, 'Failed to load older messages');
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/conversations/${activeId}/messages`, { text });
+      setMessages(current => (
+        current.some(message => message._id === response.data.message._id) ? current : [...current, response.data.message]
+      ));
+      setText('');
+      fetchConversations();
+    } catch (err) {
+      showError(err, 'Failed to send message');
+    }
+  };
+
+  const handleOpenNewDialog = async () => {
+    setNewDialogOpen(true);
+    try {
+      const response = await axios.get('/connections');
+      setConnections(response.data.connections.map(connection => connection.user));
+    } catch (err) {
+      console.error('Error fetching connections:', err);
+    }
+  };
+
+  const handleCreateConversation = async () => {
+    try {
+      const response = await axios.post('/conversations', {
+        participants: selectedPeople.map(person => person._id),
+        name: groupName || undefined
+      });
+      setNewDialogOpen(false);
+      setSelectedPeople([]);
+      setGroupName('');
+      await fetchConversations();
+      openConversation(response.data.conversation._id);
+    } catch (err) {
+      showError(err, 'Failed to start conversation');
+    }
+  };
+
+  const conversationTitle = (conversation) => {
+    if (conversation.name) {
+      return conversation.name;
+    }
+    const others = conversation.participants.filter(participant => participant._id !== user?.id);
+    return others.map(participant => participant.name).join(', ') || 'Just you';
+  };
+
+  const activeConversation = conversations.find(conversation => conversation._id === activeId);
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" fontWeight="bold" gutterBottom>
+        Messages
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, height: '70vh' }}>
+        {/* Conversation list */}
+        <Paper elevation={3} sx={{ width: 320, display: 'flex', flexDirection: 'column' }}>
+          <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Typography variant="h6">Conversations</Typography>
+            <IconButton color="primary" onClick={handleOpenNewDialog} title="New conversation">
+              <AddIcon />
+            </IconButton>
+          </Box>
+          <List sx={{ overflowY: 'auto', flexGrow: 1 }}>
+            {conversations.length === 0 && (
+              <Typography variant="body2" color="text.secondary" sx={{ px: 2 }}>
+                No conversations yet.
+              </Typography>
+            )}
+            {conversations.map((conversation) => (
+              <ListItemButton
+                key={conversation._id}
+                selected={conversation._id === activeId}
+                onClick={() => openConversation(conversation._id)}
+              >
+                <ListItemAvatar>
+                  <Badge badgeContent={conversation.unreadCount} color="error">
+                    <Avatar>
+                      {conversation.isGroup ? <GroupIcon /> : conversationTitle(conversation).charAt(0).toUpperCase()}
+                    </Avatar>
+                  </Badge>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={conversationTitle(conversation)}
+                  secondary={conversation.lastMessage?.text || 'No messages yet'}
+                  primaryTypographyProps={{ fontWeight: conversation.unreadCount ? 'bold' : 'normal', noWrap: true }}
+                  secondaryTypographyProps={{ noWrap: true }}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        </Paper>
+
+        {/* Thread */}
+        <Paper elevation={3} sx={{ flexGrow: 1, display: 'flex', flexDirection: 'column' }}>
+          {!activeConversation ? (
+            <Box sx={{ m: 'auto', textAlign: 'center' }}>
+              <Typography color="text.secondary">
+                Select a conversation or start a new one
+              </Typography>
+            </Box>
+          ) : (
+            <>
+              <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
+                <Typography variant="h6">{conversationTitle(activeConversation)}</Typography>
+                {activeConversation.isGroup && (
+                  <Typography variant="body2" color="text.secondary">
+                    {activeConversation.participants.map(participant => participant.name).join(', ')}
+                  </Typography>
+                )}
+              </Box>
+              <Box sx={{ flexGrow: 1, overflowY: 'auto', p: 2 }}>
+                {hasMore && (
+                  <Box sx={{ textAlign: 'center', mb: 2 }}>
+                    <Button size="small" onClick={handleLoadOlder}>
+                      Load older messages
+                    </Button>
+                  </Box>
+                )}
+                {messages.map((message) => {
+                  const mine = message.sender?._id === user?.id;
+                  return (
+                    <Box
+                      key={message._id}
+                      sx={{ display: 'flex', justifyContent: mine ? 'flex-end' : 'flex-start', mb: 1 }}
+                    >
+                      <Box
+                        sx={{
+                          maxWidth: '70%',
+                          px: 2,
+                          py: 1,
+                          borderRadius: 2,
+                          bgcolor: mine ? 'primary.main' : 'grey.200',
+                          color: mine ? 'primary.contrastText' : 'text.primary'
+                        }}
+                      >
+                        {!mine && activeConversation.isGroup && (
+                          <Typography variant="caption" fontWeight="bold" display="block">
+                            {message.sender?.name}
+                          </Typography>
+                        )}
+                        <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                          {message.text}
+                        </Typography>
+                        <Typography variant="caption" sx={{ opacity: 0.7 }}>
+                          {new Date(message.createdAt).toLocaleString()}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  );
+                })}
+                <div ref={bottomRef} />
+              </Box>
+              <Box component="form" onSubmit={handleSend} sx={{ p: 2, display: 'flex', gap: 1, borderTop: 1, borderColor: 'divider' }}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  placeholder="Write a message..."
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  inputProps={{ maxLength: 2000 }}
+                />
+                <Button type="submit" variant="contained" endIcon={<SendIcon />} disabled={!text.trim()}>
+                  Send
+                </Button>
+              </Box>
+            </>
+          )}
+        </Paper>
+      </Box>
+
+      {/* New conversation */}
+      <Dialog open={newDialogOpen} onClose={() => setNewDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>New Conversation</DialogTitle>
+        <DialogContent>
+          <Autocomplete
+            multiple
+            options={connections}
+            getOptionLabel={(option) => option.name}
+            isOptionEqualToValue={(option, value) => option._id === value._id}
+            value={selectedPeople}
+            onChange={(e, value) => setSelectedPeople(value)}
+            renderInput={(params) => (
+              <TextField {...params} label="People" placeholder="Choose from your connections" margin="normal" />
+            )}
+          />
+          {selectedPeople.length > 1 && (
+            <TextField
+              fullWidth
+              label="Group name (optional)"
+              value={groupName}
+              onChange={(e) => setGroupName(e.target.value)}
+              margin="normal"
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNewDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleCreateConversation} variant="contained" disabled={selectedPeople.length === 0}>
+            Start
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default Messages;
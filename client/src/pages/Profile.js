@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Container,
   Paper,
@@ -10,14 +10,45 @@ import {
   Avatar,
   Grid,
   Chip,
-  MenuItem
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+  Tabs,
+  Tab
 } from '@mui/material';
 import { useAuth } from '../context/AuthContext';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import Connections from '../components/Connections';
+import Transcripts from '../components/Transcripts';
 import EditIcon from '@mui/icons-material/Edit';
 import SaveIcon from '@mui/icons-material/Save';
+import DevicesIcon from '@mui/icons-material/Devices';
+import HistoryIcon from '@mui/icons-material/History';
+import DownloadIcon from '@mui/icons-material/Download';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import LockIcon from '@mui/icons-material/Lock';
+import PhotoCameraIcon from '@mui/icons-material/PhotoCamera';
 
 const Profile = () => {
-  const { user, updateProfile } = useAuth();
+  const {
+    user,
+    updateProfile,
+    updatePrivacy,
+    uploadAvatar,
+    removeAvatar,
+    changePassword,
+    getSessions,
+    getLoginAttempts,
+    exportData,
+    deleteAccount,
+    cancelAccountDeletion,
+    logout,
+    revokeSession,
+    revokeOtherSessions
+  } = useAuth();
+  const [tab, setTab] = useState('profile');
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
     name: user?.name || '',
@@ -30,9 +61,194 @@ const Profile = () => {
   const [newInterest, setNewInterest] = useState('');
   const [message, setMessage] = useState('');
   const [loading, setLoading] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [loginAttempts, setLoginAttempts] = useState([]);
+  const [passwordData, setPasswordData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [passwordMessage, setPasswordMessage] = useState({ type: '', text: '' });
+  const [exporting, setExporting] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deletionMessage, setDeletionMessage] = useState({ type: '', text: '' });
+
+  const [privacyMessage, setPrivacyMessage] = useState({ type: '', text: '' });
 
   const yearOptions = ['Freshman', 'Sophomore', 'Junior', 'Senior', 'Graduate'];
 
+  const privacyFields = {
+    email: 'Email',
+    phone: 'Phone',
+    major: 'Major',
+    year: 'Year',
+    interests: 'Interests',
+    clubMemberships: 'Club memberships'
+  };
+
+  const privacyLevels = {
+    public: 'Everyone',
+    university: 'My university',
+    clubmates: 'Members of my clubs',
+    private: 'Only me'
+  };
+
+  useEffect(() => {
+    fetchSessions();
+    fetchLoginAttempts();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchLoginAttempts = async () => {
+    try {
+      setLoginAttempts(await getLoginAttempts());
+    } catch (error) {
+      console.error('Error fetching login attempts:', error);
+    }
+  };
+
+  const attemptReasons = {
+    success: 'Signed in',
+    invalid_password: 'Wrong password',
+    invalid_2fa_code: 'Wrong two-factor code',
+    reused_2fa_code: 'Reused two-factor code',
+    locked: 'Blocked (account locked)',
+    throttled: 'Blocked (too many attempts)'
+  };
+
+  const fetchSessions = async () => {
+    try {
+      setSessions(await getSessions());
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      await revokeSession(sessionId);
+      fetchSessions();
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    if (window.confirm('Sign out of all other devices?')) {
+      try {
+        await revokeOtherSessions();
+        fetchSessions();
+      } catch (error) {
+        console.error('Error revoking sessions:', error);
+      }
+    }
+  };
+
+  const handleExportData = async (format) => {
+    setExporting(true);
+    try {
+      const { blob, fileName } = await exportData(format);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? You can still cancel during the grace period by signing in again.')) {
+      return;
+    }
+
+    const result = await deleteAccount(deletePassword);
+    setDeletePassword('');
+
+    if (result.success) {
+      window.alert(`${result.message} Scheduled for ${new Date(result.scheduledFor).toLocaleDateString()}.`);
+      logout();
+    } else {
+      const clubs = result.clubs?.map(club => club.name).join(', ');
+      setDeletionMessage({ type: 'error', text: clubs ? `${result.error}: ${clubs}` : result.error });
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    const result = await cancelAccountDeletion();
+    setDeletionMessage({
+      type: result.success ? 'success' : 'error',
+      text: result.success ? result.message : result.error
+    });
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      await uploadAvatar(file);
+      setMessage('Profile picture updated successfully');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to upload profile picture');
+    }
+  };
+
+  const handleRemoveAvatar = async () => {
+    try {
+      await removeAvatar();
+      setMessage('Profile picture removed successfully');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to remove profile picture');
+    }
+  };
+
+  const handlePrivacyChange = async (field, level) => {
+    try {
+      await updatePrivacy({ [field]: level });
+      setPrivacyMessage({ type: 'success', text: 'Privacy settings updated' });
+    } catch (error) {
+      setPrivacyMessage({
+        type: 'error',
+        text: error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to update privacy settings'
+      });
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswordData({
+      ...passwordData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      setPasswordMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+
+    const result = await changePassword(passwordData.currentPassword, passwordData.newPassword);
+
+    if (result.success) {
+      setPasswordMessage({ type: 'success', text: `${result.message}. Other devices have been signed out.` });
+      setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      fetchSessions();
+    } else {
+      setPasswordMessage({ type: 'error', text: result.error });
+    }
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -92,10 +308,19 @@ const Profile = () => {
 
   return (
     <Container component="main" maxWidth="md">
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mt: 2 }}>
+        <Tab label="Profile" value="profile" />
+        <Tab label="Connections" value="connections" />
+        <Tab label="Transcript" value="transcripts" />
+      </Tabs>
+
+      {tab === 'connections' && <Connections />}
+      {tab === 'transcripts' && <Transcripts />}
+
       <Box
         sx={{
           marginTop: 4,
-          display: 'flex',
+          display: tab === 'profile' ? 'flex' : 'none',
           flexDirection: 'column',
           alignItems: 'center',
         }}
@@ -135,16 +360,28 @@ const Profile = () => {
             <Grid item xs={12} md={4}>
               <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
                 <Avatar
+                  src={user?.profilePicture || undefined}
                   sx={{
                     width: 120,
                     height: 120,
                     fontSize: '3rem',
                     bgcolor: 'primary.main',
-                    mb: 2
+                    mb: 1
                   }}
                 >
                   {user?.name?.charAt(0).toUpperCase()}
                 </Avatar>
+                <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+                  <Button size="small" component="label" startIcon={<PhotoCameraIcon />}>
+                    {user?.profilePicture ? 'Change' : 'Upload photo'}
+                    <input hidden type="file" accept="image/jpeg,image/png,image/webp,image/gif" onChange={handleAvatarChange} />
+                  </Button>
+                  {user?.profilePicture && (
+                    <Button size="small" color="error" onClick={handleRemoveAvatar}>
+                      Remove
+                    </Button>
+                  )}
+                </Box>
                 <Typography variant="h5" fontWeight="bold" gutterBottom>
                   {user?.name}
                 </Typography>
@@ -173,9 +410,8 @@ const Profile = () => {
                   label="University"
                   name="university"
                   value={formData.university}
-                  onChange={handleChange}
-                  disabled={!isEditing}
-                  required
+                  disabled
+                  helperText="Your university comes with your verified email address and cannot be changed here"
                 />
                 <Grid container spacing={2}>
                   <Grid item xs={12} sm={6}>
@@ -270,6 +506,287 @@ const Profile = () => {
             </Grid>
           </Grid>
         </Paper>
+
+        {/* Change Password */}
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            mt: 4,
+            width: '100%'
+          }}
+        >
+          <Typography variant="h6" fontWeight="bold" gutterBottom>
+            Change Password
+          </Typography>
+
+          {passwordMessage.text && (
+            <Alert severity={passwordMessage.type} sx={{ width: '100%', mb: 2 }}>
+              {passwordMessage.text}
+            </Alert>
+          )}
+
+          <Box component="form" onSubmit={handleChangePassword}>
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  required
+                  type="password"
+                  label="Current Password"
+                  name="currentPassword"
+                  autoComplete="current-password"
+                  value={passwordData.currentPassword}
+                  onChange={handlePasswordChange}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  required
+                  type="password"
+                  label="New Password"
+                  name="newPassword"
+                  autoComplete="new-password"
+                  value={passwordData.newPassword}
+                  onChange={handlePasswordChange}
+                  helperText="Minimum 6 characters"
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  required
+                  type="password"
+                  label="Confirm New Password"
+                  name="confirmPassword"
+                  autoComplete="new-password"
+                  value={passwordData.confirmPassword}
+                  onChange={handlePasswordChange}
+                />
+              </Grid>
+            </Grid>
+            <Button type="submit" variant="contained" sx={{ mt: 2 }}>
+              Update Password
+            </Button>
+          </Box>
+        </Paper>
+
+        <TwoFactorSettings />
+
+        {/* Active Sessions */}
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            mt: 4,
+            width: '100%'
+          }}
+        >
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6" fontWeight="bold">
+              <DevicesIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+              Active Sessions
+            </Typography>
+            <Button
+              color="error"
+              variant="outlined"
+              size="small"
+              onClick={handleRevokeOtherSessions}
+              disabled={sessions.length <= 1}
+            >
+              Sign out other devices
+            </Button>
+          </Box>
+          <List>
+            {sessions.map((session, index) => (
+              <React.Fragment key={session.id}>
+                {index > 0 && <Divider component="li" />}
+                <ListItem
+                  secondaryAction={
+                    session.current ? (
+                      <Chip label="This device" color="success" size="small" />
+                    ) : (
+                      <Button size="small" color="error" onClick={() => handleRevokeSession(session.id)}>
+                        Revoke
+                      </Button>
+                    )
+                  }
+                >
+                  <ListItemText
+                    primary={session.userAgent || 'Unknown device'}
+                    secondary={`${session.ipAddress || 'Unknown IP'} • Last active ${new Date(session.lastUsedAt).toLocaleString()}`}
+                  />
+                </ListItem>
+              </React.Fragment>
+            ))}
+          </List>
+        </Paper>
+
+        {/* Recent Sign-in Activity */}
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            mt: 4,
+            width: '100%'
+          }}
+        >
+          <Typography variant="h6" fontWeight="bold" gutterBottom>
+            <HistoryIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            Recent Sign-in Activity
+          </Typography>
+          {loginAttempts.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No sign-in attempts recorded yet.
+            </Typography>
+          ) : (
+            <List dense>
+              {loginAttempts.map((attempt) => (
+                <ListItem
+                  key={attempt._id}
+                  secondaryAction={
+                    <Chip
+                      label={attemptReasons[attempt.reason] || attempt.reason}
+                      color={attempt.success ? 'success' : 'error'}
+                      size="small"
+                      variant="outlined"
+                    />
+                  }
+                >
+                  <ListItemText
+                    primary={new Date(attempt.createdAt).toLocaleString()}
+                    secondary={`${attempt.ipAddress || 'Unknown IP'} • ${attempt.userAgent || 'Unknown device'}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Paper>
+
+        {/* Privacy */}
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            mt: 4,
+            width: '100%'
+          }}
+        >
+          <Typography variant="h6" fontWeight="bold" gutterBottom>
+            <LockIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            Privacy
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Choose who can see each part of your public profile. Your name, university, bio and picture are always visible.
+          </Typography>
+          {privacyMessage.text && (
+            <Alert severity={privacyMessage.type} sx={{ mb: 2 }}>
+              {privacyMessage.text}
+            </Alert>
+          )}
+          <Grid container spacing={2}>
+            {Object.entries(privacyFields).map(([field, label]) => (
+              <Grid item xs={12} sm={6} key={field}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label={label}
+                  value={user?.privacy?.[field] || 'private'}
+                  onChange={(e) => handlePrivacyChange(field, e.target.value)}
+                >
+                  {Object.entries(privacyLevels).map(([level, levelLabel]) => (
+                    <MenuItem key={level} value={level}>
+                      {levelLabel}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            ))}
+          </Grid>
+        </Paper>
+
+        {/* Your Data */}
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            mt: 4,
+            width: '100%'
+          }}
+        >
+          <Typography variant="h6" fontWeight="bold" gutterBottom>
+            <DownloadIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            Your Data
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Download a copy of your profile, club memberships, event registrations, content you created and sign-in history.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <Button variant="contained" onClick={() => handleExportData('json')} disabled={exporting}>
+              Download my data
+            </Button>
+            <Button variant="outlined" onClick={() => handleExportData('zip')} disabled={exporting}>
+              Download as ZIP
+            </Button>
+          </Box>
+        </Paper>
+
+        {/* Delete Account */}
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            mt: 4,
+            width: '100%'
+          }}
+        >
+          <Typography variant="h6" fontWeight="bold" color="error" gutterBottom>
+            <DeleteForeverIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+            Delete Account
+          </Typography>
+
+          {deletionMessage.text && (
+            <Alert severity={deletionMessage.type} sx={{ mb: 2 }}>
+              {deletionMessage.text}
+            </Alert>
+          )}
+
+          {user?.deletionScheduledFor ? (
+            <Alert
+              severity="warning"
+              action={
+                <Button color="inherit" size="small" onClick={handleCancelDeletion}>
+                  Keep my account
+                </Button>
+              }
+            >
+              Your account will be deleted on {new Date(user.deletionScheduledFor).toLocaleDateString()}.
+            </Alert>
+          ) : (
+            <Box component="form" onSubmit={handleDeleteAccount}>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Your account is removed after a grace period, together with your club memberships and event registrations.
+                Club presidents must transfer the presidency first.
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <TextField
+                  type="password"
+                  label="Password"
+                  size="small"
+                  autoComplete="current-password"
+                  value={deletePassword}
+                  onChange={(e) => setDeletePassword(e.target.value)}
+                  required
+                />
+                <Button type="submit" color="error" variant="outlined" disabled={!deletePassword}>
+                  Delete my account
+                </Button>
+              </Box>
+            </Box>
+          )}
+        </Paper>
       </Box>
     </Container>
   );
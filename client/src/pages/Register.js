@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import {
   Container,
   Paper,
@@ -10,7 +11,7 @@ import {
   Link as MuiLink,
   MenuItem
 } from '@mui/material';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import PersonAddIcon from '@mui/icons-material/PersonAdd';
 
@@ -20,19 +21,31 @@ const Register = () => {
     email: '',
     password: '',
     role: 'Student',
+    justification: '',
     university: '',
     major: '',
     year: ''
   });
+  const [universities, setUniversities] = useState([]);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
   const { register } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteCode = searchParams.get('invite');
 
   const yearOptions = ['Freshman', 'Sophomore', 'Junior', 'Senior', 'Graduate'];
   const roleOptions = ['Student', 'Club Admin'];
 
+  useEffect(() => {
+    axios.get('/universities', { params: { active: 'true' } })
+      .then((response) => setUniversities(response.data.universities || []))
+      .catch((error) => console.error('Error fetching universities:', error));
+  }, []);
+
+  const selectedUniversity = universities.find(uni => uni._id === formData.university);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -45,10 +58,17 @@ const Register = () => {
     setLoading(true);
     setError('');
 
-    const result = await register(formData);
+    const result = await register(inviteCode ? { ...formData, inviteCode } : formData);
 
     if (result.success) {
-      navigate('/dashboard');
+      if (result.clubInvite?.error) {
+        // Back to the invite, which shows why joining failed and lets them retry
+        navigate(`/invite/${encodeURIComponent(inviteCode)}`, {
+          state: { error: `Your account was created, but you could not join the club: ${result.clubInvite.error}` }
+        });
+      } else {
+        navigate('/dashboard');
+      }
     } else {
       setError(result.error);
     }
@@ -84,6 +104,12 @@ const Register = () => {
             Create your account to start connecting
           </Typography>
 
+          {inviteCode && (
+            <Alert severity="info" sx={{ width: '100%', mb: 2 }}>
+              You'll join the club that invited you as soon as you verify your email address.
+            </Alert>
+          )}
+
           {error && (
             <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
               {error}
@@ -137,7 +163,11 @@ const Register = () => {
               name="role"
               value={formData.role}
               onChange={handleChange}
-              helperText="Choose your account type"
+              helperText={
+                formData.role === 'Club Admin'
+                  ? 'You will start as a Student while an administrator reviews your request'
+                  : 'Choose your account type'
+              }
             >
               {roleOptions.map((option) => (
                 <MenuItem key={option} value={option}>
@@ -145,16 +175,43 @@ const Register = () => {
                 </MenuItem>
               ))}
             </TextField>
+            {formData.role === 'Club Admin' && (
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                multiline
+                rows={3}
+                id="justification"
+                label="Why do you need Club Admin access?"
+                name="justification"
+                value={formData.justification}
+                onChange={handleChange}
+                helperText="E.g. the club you lead and your position. At least 20 characters."
+              />
+            )}
             <TextField
               margin="normal"
               required
               fullWidth
+              select
               id="university"
               label="University"
               name="university"
               value={formData.university}
               onChange={handleChange}
-            />
+              helperText={
+                selectedUniversity?.emailDomains?.length
+                  ? `Use your university email (${selectedUniversity.emailDomains.map(domain => `@${domain}`).join(', ')})`
+                  : 'We will send a verification link to your email'
+              }
+            >
+              {universities.map((uni) => (
+                <MenuItem key={uni._id} value={uni._id}>
+                  {uni.name} ({uni.code})
+                </MenuItem>
+              ))}
+            </TextField>
             <TextField
               margin="normal"
               fullWidth
@@ -192,7 +249,7 @@ const Register = () => {
             <Box textAlign="center">
               <Typography variant="body2">
                 Already have an account?{' '}
-                <MuiLink component={Link} to="/login">
+                <MuiLink component={Link} to={inviteCode ? `/login?invite=${encodeURIComponent(inviteCode)}` : '/login'}>
                   Sign in here
                 </MuiLink>
               </Typography>
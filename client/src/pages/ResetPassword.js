@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  Link as MuiLink
+} from '@mui/material';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import LockResetIcon from '@mui/icons-material/LockReset';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { resetPassword } = useAuth();
+  const token = searchParams.get('token');
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const result = await resetPassword(token, formData.password);
+
+    if (result.success) {
+      setMessage(result.message);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            width: '100%'
+          }}
+        >
+          <LockResetIcon sx={{ fontSize: 40, color: 'primary.main', mb: 2 }} />
+          <Typography component="h1" variant="h4" gutterBottom>
+            Reset Password
+          </Typography>
+
+          {!token && (
+            <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+              This reset link is missing its token. Please request a new one.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {message ? (
+            <>
+              <Alert severity="success" sx={{ width: '100%', mb: 2 }}>
+                {message}
+              </Alert>
+              <Button component={Link} to="/login" variant="contained">
+                Sign In
+              </Button>
+            </>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1, width: '100%' }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="New Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                value={formData.password}
+                onChange={handleChange}
+                helperText="Minimum 6 characters"
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="confirmPassword"
+                label="Confirm New Password"
+                type="password"
+                id="confirmPassword"
+                autoComplete="new-password"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={loading || !token}
+              >
+                {loading ? 'Saving...' : 'Set New Password'}
+              </Button>
+              <Box textAlign="center">
+                <Typography variant="body2">
+                  Link expired?{' '}
+                  <MuiLink component={Link} to="/forgot-password">
+                    Request a new one
+                  </MuiLink>
+                </Typography>
+              </Box>
+            </Box>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Container,
+  Paper,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import SchoolIcon from '@mui/icons-material/School';
+
+const SsoCallback = () => {
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState('');
+  // The code works only once, so make sure it is not exchanged twice
+  const exchanged = useRef(false);
+
+  const { completeSsoLogin } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (exchanged.current) {
+      return;
+    }
+    exchanged.current = true;
+
+    const code = searchParams.get('code');
+    if (!code) {
+      setError('Sign-in link is missing its code');
+      return;
+    }
+
+    completeSsoLogin(code).then((result) => {
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else if (result.twoFactorRequired) {
+        navigate('/login', { replace: true, state: { challengeToken: result.challengeToken } });
+      } else {
+        setError(result.error);
+      }
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams]);
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            width: '100%'
+          }}
+        >
+          <SchoolIcon sx={{ fontSize: 40, color: 'primary.main', mb: 2 }} />
+          <Typography component="h1" variant="h4" gutterBottom>
+            University Sign-in
+          </Typography>
+
+          {error ? (
+            <>
+              <Alert severity="error" sx={{ width: '100%', mb: 2 }}>
+                {error}
+              </Alert>
+              <Button component={Link} to="/login" variant="contained" sx={{ mt: 1 }}>
+                Back to Sign In
+              </Button>
+            </>
+          ) : (
+            <CircularProgress sx={{ mt: 2 }} />
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default SsoCallback;
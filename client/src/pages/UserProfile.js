@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Alert,
+  Avatar,
+  Button,
+  Chip,
+  CircularProgress,
+  Divider
+} from '@mui/material';
+import axios from 'axios';
+
+// Someone else's profile; the API leaves out whatever their privacy settings hide
+const UserProfile = () => {
+  const { id } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [connectionMessage, setConnectionMessage] = useState({ type: '', text: '' });
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      const response = await axios.get(`/users/${id}`);
+      setProfile(response.data.user);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load profile');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchProfile();
+  }, [fetchProfile]);
+
+  const handleConnection = async (request) => {
+    try {
+      const response = await request();
+      setConnectionMessage({ type: 'success', text: response.data.message });
+    } catch (err) {
+      setConnectionMessage({ type: 'error', text: err.response?.data?.message || 'Something went wrong' });
+    }
+    fetchProfile();
+  };
+
+  const renderConnectionAction = () => {
+    const { status, connectionId } = profile.connection;
+
+    switch (status) {
+      case 'connected':
+        return (
+          <Button variant="outlined" color="error" onClick={() => handleConnection(() => axios.delete(`/connections/${connectionId}`))}>
+            Remove connection
+          </Button>
+        );
+      case 'outgoing':
+        return (
+          <Button variant="outlined" onClick={() => handleConnection(() => axios.delete(`/connections/${connectionId}`))}>
+            Cancel request
+          </Button>
+        );
+      case 'incoming':
+        return (
+          <Button variant="contained" onClick={() => handleConnection(() => axios.patch(`/connections/${connectionId}/accept`))}>
+            Accept request
+          </Button>
+        );
+      default:
+        return (
+          <Button variant="contained" onClick={() => handleConnection(() => axios.post('/connections', { userId: profile._id }))}>
+            Connect
+          </Button>
+        );
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 4 }}>
+        <Alert severity="error">{error}</Alert>
+      </Container>
+    );
+  }
+
+  const details = [
+    ['Email', profile.email],
+    ['Phone', profile.phone],
+    ['Major', profile.major],
+    ['Year', profile.year]
+  ].filter(([, value]) => value);
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
+      <Paper elevation={3} sx={{ padding: 4 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 3, mb: 3 }}>
+          <Avatar src={profile.profilePicture} sx={{ width: 96, height: 96, fontSize: '2.5rem' }}>
+            {profile.name?.charAt(0).toUpperCase()}
+          </Avatar>
+          <Box>
+            <Typography variant="h4" fontWeight="bold">
+              {profile.name}
+            </Typography>
+            <Typography variant="body1" color="text.secondary">
+              {profile.university?.name || 'Unknown university'}
+            </Typography>
+            <Chip label={profile.role} size="small" color="primary" sx={{ mt: 1 }} />
+            {profile.mutualConnections > 0 && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                {profile.mutualConnections} mutual connection{profile.mutualConnections === 1 ? '' : 's'}
+              </Typography>
+            )}
+          </Box>
+          {profile.connection && (
+            <Box sx={{ ml: 'auto', display: 'flex', gap: 1 }}>
+              <Button variant="outlined" component={Link} to={`/messages?user=${profile._id}`}>
+                Message
+              </Button>
+              {renderConnectionAction()}
+            </Box>
+          )}
+        </Box>
+
+        {connectionMessage.text && (
+          <Alert severity={connectionMessage.type} sx={{ mb: 3 }}>
+            {connectionMessage.text}
+          </Alert>
+        )}
+
+        {profile.bio && (
+          <Typography variant="body1" sx={{ mb: 3 }}>
+            {profile.bio}
+          </Typography>
+        )}
+
+        {details.length > 0 && (
+          <>
+            <Divider sx={{ mb: 2 }} />
+            {details.map(([label, value]) => (
+              <Typography key={label} variant="body2" sx={{ mb: 1 }}>
+                <strong>{label}:</strong> {value}
+              </Typography>
+            ))}
+          </>
+        )}
+
+        {profile.interests?.length > 0 && (
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Interests
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {profile.interests.map((interest) => (
+                <Chip key={interest} label={interest} variant="outlined" />
+              ))}
+            </Box>
+          </Box>
+        )}
+
+        {profile.clubMemberships?.length > 0 && (
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Clubs
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {profile.clubMemberships.map((membership) => (
+                <Chip
+                  key={membership.club._id}
+                  label={`${membership.club.name} · ${membership.role}`}
+                  color="secondary"
+                  variant="outlined"
+                />
+              ))}
+            </Box>
+          </Box>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default UserProfile;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Paper,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import MarkEmailReadIcon from '@mui/icons-material/MarkEmailRead';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState({ loading: true, success: false, message: '' });
+  const [clubInvite, setClubInvite] = useState(null);
+
+  const { user, verifyEmail } = useAuth();
+
+  useEffect(() => {
+    const token = searchParams.get('token');
+
+    if (!token) {
+      setStatus({ loading: false, success: false, message: 'Verification link is missing its token' });
+      return;
+    }
+
+    verifyEmail(token).then((result) => {
+      setStatus({
+        loading: false,
+        success: result.success,
+        message: result.success ? result.message : result.error
+      });
+      setClubInvite(result.clubInvite || null);
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams]);
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper
+          elevation={3}
+          sx={{
+            padding: 4,
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            width: '100%'
+          }}
+        >
+          <MarkEmailReadIcon sx={{ fontSize: 40, color: 'primary.main', mb: 2 }} />
+          <Typography component="h1" variant="h4" gutterBottom>
+            Email Verification
+          </Typography>
+
+          {status.loading ? (
+            <CircularProgress sx={{ mt: 2 }} />
+          ) : (
+            <>
+              <Alert severity={status.success ? 'success' : 'error'} sx={{ width: '100%', mb: 2 }}>
+                {status.message}
+              </Alert>
+              {clubInvite && (
+                <Alert severity={clubInvite.error ? 'warning' : 'info'} sx={{ width: '100%', mb: 2 }}>
+                  {clubInvite.error
+                    ? `You could not join the club you were invited to: ${clubInvite.error}`
+                    : `You joined ${clubInvite.club.name} as ${clubInvite.role}.`}
+                </Alert>
+              )}
+              <Button
+                component={Link}
+                to={user ? '/dashboard' : '/login'}
+                variant="contained"
+                sx={{ mt: 1 }}
+              >
+                {user ? 'Go to Dashboard' : 'Sign In'}
+              </Button>
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  TextField,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import axios from 'axios';
+import VerifiedIcon from '@mui/icons-material/Verified';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+// Public page where anyone can check a transcript's verification code
+const VerifyTranscript = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [input, setInput] = useState(code || '');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!code) {
+      return;
+    }
+
+    setInput(code);
+    setLoading(true);
+    setError('');
+    setResult(null);
+    axios.get(`/transcripts/verify/${encodeURIComponent(code)}`)
+      .then((response) => setResult(response.data))
+      .catch((err) => setError(err.response?.data?.message || 'Could not verify this code'))
+      .finally(() => setLoading(false));
+  }, [code]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (input.trim()) {
+      navigate(`/verify-transcript/${input.trim().toUpperCase()}`);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="md">
+      <Paper elevation={3} sx={{ mt: 8, p: 4 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <VerifiedIcon sx={{ fontSize: 40, color: 'primary.main', mr: 2 }} />
+          <Typography component="h1" variant="h4">
+            Verify a Transcript
+          </Typography>
+        </Box>
+
+        <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', gap: 1, mb: 3 }}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Verification code"
+            placeholder="XXXX-XXXX-XXXX-XXXX"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+          />
+          <Button type="submit" variant="contained">
+            Verify
+          </Button>
+        </Box>
+
+        {loading && <CircularProgress />}
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {result && (
+          <>
+            <Alert severity={result.valid ? 'success' : 'warning'} sx={{ mb: 3 }}>
+              {result.valid
+                ? `This transcript was issued by UniConnect on ${formatDate(result.issuedAt)} and is valid.`
+                : `This transcript was revoked on ${formatDate(result.revokedAt)} and is no longer valid.`}
+            </Alert>
+
+            <Typography variant="h6">{result.student.name}</Typography>
+            <Typography color="text.secondary" gutterBottom>
+              {[result.student.studentId, result.student.university, result.student.major].filter(Boolean).join(' • ')}
+            </Typography>
+
+            <Typography variant="h6" sx={{ mt: 3 }}>Club Involvement</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Club</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Tenure</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {result.clubs.map((club) => (
+                  <TableRow key={club.name}>
+                    <TableCell>{club.name} ({club.category})</TableCell>
+                    <TableCell>{club.role}</TableCell>
+                    <TableCell>{formatDate(club.from)} – {club.to ? formatDate(club.to) : 'present'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <Typography variant="h6" sx={{ mt: 3 }}>Events Attended</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Event</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Club</TableCell>
+                  <TableCell>Date</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {result.events.map((event, index) => (
+                  <TableRow key={index}>
+                    <TableCell>{event.title}</TableCell>
+                    <TableCell>{event.eventType}</TableCell>
+                    <TableCell>{event.club}</TableCell>
+                    <TableCell>{formatDate(event.date)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 3, wordBreak: 'break-all' }}>
+              Checksum (SHA-256): {result.checksum}. It should match the one printed on the PDF.
+            </Typography>
+          </>
+        )}
+      </Paper>
+    </Container>
+  );
+};
+
+export default VerifyTranscript;
@@ -28,7 +28,9 @@ const createAdminUser = async () => {
             role: 'Administrator',
             university: 'UniConnect System',
             major: 'System Administration',
-            year: 'Senior'
+            year: 'Senior',
+            emailVerified: true,
+            emailVerifiedAt: new Date()
         });
 
         await adminUser.save();
@@ -36,6 +38,7 @@ const createAdminUser = async () => {
         console.log('Email: admin@uniconnect.com');
         console.log('Password: admin123');
         console.log('Please change this password after first login.');
+        console.log('Enable two-factor authentication from the Profile page before using admin features.');
 
     } catch (error) {
         console.error('Error creating administrator:', error);
@@ -5,10 +5,22 @@ const dotenv = require('dotenv');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const ssoRoutes = require('./routes/sso');
 const userRoutes = require('./routes/users');
 const clubRoutes = require('./routes/clubs');
 const eventRoutes = require('./routes/events');
 const universitiesRoutes = require('./routes/universities');
+const roleRequestRoutes = require('./routes/roleRequests');
+const adminRoutes = require('./routes/admin');
+const connectionRoutes = require('./routes/connections');
+const conversationRoutes = require('./routes/conversations');
+const transcriptRoutes = require('./routes/transcripts');
+const { processDueDeletions } = require('./utils/accountDeletion');
+const { processDueClubPurges } = require('./utils/clubDeletion');
+const { attachRealtime } = require('./utils/realtime');
+const { removeOrphanedMedia } = require('./utils/media');
+const { uploadDir } = require('./utils/storage');
 
 // Load environment variables
 dotenv.config();
@@ -17,16 +29,26 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'Retry-After'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded images when STORAGE_DRIVER is local; file names change on every upload
+app.use('/uploads', express.static(uploadDir(), { maxAge: '365d', immutable: true }));
+
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sso', ssoRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/clubs', clubRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/universities', universitiesRoutes);
+app.use('/api/role-requests', roleRequestRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/connections', connectionRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/transcripts', transcriptRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -42,10 +64,21 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/uniconnec
   .then(() => {
     console.log('✅ Successfully connected to MongoDB Atlas!');
     console.log('Database name:', mongoose.connection.name);
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server is running on port ${PORT}`);
       console.log(`📍 API Base URL: http://localhost:${PORT}`);
     });
+
+    // Real-time delivery of messages over WebSocket at /ws
+    attachRealtime(server);
+
+    // Finish account deletions whose grace period is over, purge clubs past their
+    // retention window and remove images left without an owner
+    setInterval(() => {
+      processDueDeletions().catch(error => console.error('Account deletion job error:', error));
+      processDueClubPurges().catch(error => console.error('Club purge job error:', error));
+      removeOrphanedMedia().catch(error => console.error('Orphaned media cleanup error:', error));
+    }, 60 * 60 * 1000);
   })
   .catch((error) => {
     console.error('❌ MongoDB connection failed:');
@@ -0,0 +1,250 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const { isSessionActive } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+
+// Club-scoped roles (Club.members[].role) that count as club leadership
+const CLUB_OFFICER_ROLES = ['President', 'Vice President', 'Officer', 'Secretary'];
+
+// Which club roles may perform each club-scoped action. Administrators may
+// perform every action; everyone else needs one of the listed roles in the
+// club the request targets.
+const clubPolicies = {
+  'club:update': CLUB_OFFICER_ROLES,
+  'club:delete': ['President'],
+  'club:manageMembers': ['President', 'Vice President'],
+  'club:transferPresidency': ['President'],
+  'club:reviewMembers': CLUB_OFFICER_ROLES,
+  'club:invite': CLUB_OFFICER_ROLES,
+  'event:create': CLUB_OFFICER_ROLES,
+  'event:update': CLUB_OFFICER_ROLES,
+  'event:delete': ['President', 'Vice President', 'Officer']
+};
+
+const twoFactorSetupMissing = (user) => {
+  return isTwoFactorRequired(user.role) && !user.twoFactor.enabled;
+};
+
+const denyTwoFactorSetup = (res) => {
+  return res.status(403).json({
+    message: 'Two-factor authentication must be enabled for your role',
+    code: 'TWO_FACTOR_SETUP_REQUIRED'
+  });
+};
+
+// Resolve an access token to its user. Returns { error } when the token is
+// well-formed but no longer grants access; throws on invalid or expired tokens.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!(await isSessionActive(decoded.sessionId))) {
+    return { error: { message: 'Session has been revoked' } };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    return { error: { message: 'Invalid token' } };
+  }
+
+  if (!user.isActive) {
+    return { error: { message: 'Your account has been deactivated', code: 'ACCOUNT_DEACTIVATED' } };
+  }
+
+  // Impersonation tokens stay valid only while the issuer is still an active Administrator
+  let impersonator;
+  if (decoded.impersonatorId) {
+    impersonator = await User.findById(decoded.impersonatorId).select('name email role isActive');
+    if (!impersonator || !impersonator.isActive || impersonator.role !== 'Administrator') {
+      return { error: { message: 'Impersonation is no longer valid' } };
+    }
+  }
+
+  return { user, sessionId: decoded.sessionId, impersonator };
+};
+
+// Middleware to verify JWT token
+const verifyToken = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ message: 'No token provided' });
+    }
+
+    const { error, user, sessionId, impersonator } = await authenticateToken(token);
+
+    if (error) {
+      return res.status(401).json(error);
+    }
+
+    if (impersonator) {
+      req.impersonator = impersonator;
+    }
+
+    req.user = user;
+    req.sessionId = sessionId;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired' });
+    }
+    res.status(401).json({ message: 'Invalid token' });
+  }
+};
+
+// Middleware for public routes that tailor the response to a signed-in viewer
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return verifyToken(req, res, next);
+};
+
+// Middleware to check global roles (User.role)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+    }
+
+    if (twoFactorSetupMissing(req.user)) {
+      return denyTwoFactorSetup(res);
+    }
+
+    next();
+  };
+};
+
+// Middleware to require a verified university email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your university email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+// Middleware for actions an Administrator may not take while viewing as another user
+const blockWhileImpersonating = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      message: 'This action is not available while viewing as another user',
+      code: 'IMPERSONATION_RESTRICTED'
+    });
+  }
+
+  next();
+};
+
+// Role of a user inside a club, or null if they are not a member
+const getClubRole = (club, userId) => {
+  const membership = club.members.find(
+    member => member.user && (member.user._id || member.user).toString() === userId.toString()
+  );
+  return membership ? membership.role : null;
+};
+
+// Check a club policy without going through middleware
+const can = (user, action, club) => {
+  const allowedRoles = clubPolicies[action];
+  if (!allowedRoles) {
+    throw new Error(`Unknown club policy: ${action}`);
+  }
+
+  if (user.role === 'Administrator') {
+    return true;
+  }
+
+  return allowedRoles.includes(getClubRole(club, user._id));
+};
+
+// Resolvers telling authorizeClub where the target club comes from
+const clubFromParam = (name = 'id') => async (req) => req.params[name];
+
+const clubFromBody = (...fields) => async (req) => {
+  const field = fields.find(name => req.body[name]);
+  return field ? req.body[field] : null;
+};
+
+// Loads the event named by a route param and uses its club; the event is kept on req.event
+const clubFromEvent = (name = 'id') => async (req) => {
+  if (!mongoose.isValidObjectId(req.params[name])) {
+    return null;
+  }
+
+  req.event = await Event.findById(req.params[name]);
+  return req.event ? req.event.club : null;
+};
+
+// Middleware enforcing a club policy. Sets req.club and req.clubRole.
+// Deleted (inactive) clubs are treated as missing unless `allowInactive` is set.
+const authorizeClub = (action, resolveClubId = clubFromParam('id'), { allowInactive = false } = {}) => {
+  if (!clubPolicies[action]) {
+    throw new Error(`Unknown club policy: ${action}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const clubId = await resolveClubId(req);
+      const club = mongoose.isValidObjectId(clubId) ? await Club.findById(clubId) : null;
+
+      if (!club || (!club.isActive && !allowInactive)) {
+        const target = action.startsWith('event:') && req.params.id ? 'Event' : 'Club';
+        return res.status(404).json({ message: `${target} not found` });
+      }
+
+      req.club = club;
+      req.clubRole = getClubRole(club, req.user._id);
+
+      if (!can(req.user, action, club)) {
+        return res.status(403).json({ message: 'Access denied. Your role in this club does not allow this action.' });
+      }
+
+      // Administrators acting through their global role are held to the same 2FA rule as requireRole
+      if (!clubPolicies[action].includes(req.clubRole) && twoFactorSetupMissing(req.user)) {
+        return denyTwoFactorSetup(res);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Club authorization error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
+
+module.exports = {
+  CLUB_OFFICER_ROLES,
+  clubPolicies,
+  authenticateToken,
+  verifyToken,
+  optionalAuth,
+  requireRole,
+  requireVerifiedEmail,
+  blockWhileImpersonating,
+  getClubRole,
+  can,
+  clubFromParam,
+  clubFromBody,
+  clubFromEvent,
+  authorizeClub
+};
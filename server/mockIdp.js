@@ -0,0 +1,219 @@
+// Minimal OpenID Connect provider for trying single sign-on locally.
+//
+//   node mockIdp.js                    start the provider on MOCK_IDP_PORT (default 4000)
+//   node mockIdp.js --configure BRACU  also point that university's SSO settings at it
+//
+// The sign-in page accepts any email and name, so never expose it publicly.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const PORT = process.env.MOCK_IDP_PORT || 4000;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'uniconnect-local';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || '';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes, valid for one minute and a single use
+const codes = new Map();
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        scopes_supported: ['openid', 'email', 'profile'],
+        claims_supported: ['sub', 'email', 'email_verified', 'name']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in page: pick any identity to sign in as
+app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== CLIENT_ID || response_type !== 'code' || !redirect_uri) {
+        return res.status(400).send('Invalid authorization request');
+    }
+
+    if (!code_challenge || code_challenge_method !== 'S256') {
+        return res.status(400).send('PKCE with S256 is required');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('');
+
+    res.send(`<!doctype html>
+<html>
+<head><title>Mock University Sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+  <h2>Mock University Sign-in</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required style="width: 100%;" value="student@bracu.ac.bd"></label></p>
+    <p><label>Name<br><input name="name" style="width: 100%;" value="Mock Student"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+    <button type="submit" name="deny" value="1">Cancel</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const { redirect_uri, state, nonce, code_challenge, email, name, email_verified, deny } = req.body;
+    const target = new URL(redirect_uri);
+
+    if (state) {
+        target.searchParams.set('state', state);
+    }
+
+    if (deny) {
+        target.searchParams.set('error', 'access_denied');
+        target.searchParams.set('error_description', 'Sign-in was cancelled');
+        return res.redirect(target.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString('hex');
+    codes.set(code, {
+        redirectUri: redirect_uri,
+        codeChallenge: code_challenge,
+        nonce,
+        claims: {
+            // Stable per email, like a real provider's subject identifier
+            sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+            email,
+            email_verified: Boolean(email_verified),
+            name
+        },
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    target.searchParams.set('code', code);
+    res.redirect(target.toString());
+});
+
+// Client credentials from the Authorization header or the form body
+const readClient = (req) => {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Basic ')) {
+        const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+        return { id, secret };
+    }
+    return { id: req.body.client_id, secret: req.body.client_secret || '' };
+};
+
+app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    const client = readClient(req);
+
+    if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirect_uri) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = base64url(crypto.createHash('sha256').update(code_verifier || '').digest());
+    if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey.export({ type: 'pkcs8', format: 'pem' }), {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+    });
+
+    res.json({
+        access_token: jwt.sign(grant.claims, privateKey.export({ type: 'pkcs8', format: 'pem' }), {
+            algorithm: 'RS256',
+            keyid: KEY_ID,
+            issuer: ISSUER,
+            expiresIn: '5m'
+        }),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+    });
+});
+
+app.get('/userinfo', (req, res) => {
+    try {
+        const token = (req.get('Authorization') || '').replace('Bearer ', '');
+        const { sub, email, email_verified, name } = jwt.verify(token, publicKey.export({ type: 'spki', format: 'pem' }), { issuer: ISSUER });
+        res.json({ sub, email, email_verified, name });
+    } catch (error) {
+        res.status(401).json({ error: 'invalid_token' });
+    }
+});
+
+// Point a university's SSO settings at this provider
+const configureUniversity = async (code) => {
+    const University = require('./models/University');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/uniconnect');
+
+    const university = await University.findOne({ code: code.toUpperCase() });
+    if (!university) {
+        throw new Error(`University ${code} not found`);
+    }
+
+    university.sso = {
+        enabled: true,
+        issuer: ISSUER,
+        clientId: CLIENT_ID,
+        clientSecret: CLIENT_SECRET || undefined,
+        buttonLabel: `Sign in with ${university.code} (mock)`,
+        allowProvisioning: true
+    };
+    await university.save();
+    await mongoose.disconnect();
+
+    console.log(`✅ ${university.name} now signs in through ${ISSUER}`);
+};
+
+const start = async () => {
+    const configureIndex = process.argv.indexOf('--configure');
+    if (configureIndex !== -1) {
+        await configureUniversity(process.argv[configureIndex + 1] || '');
+    }
+
+    app.listen(PORT, () => {
+        console.log(`🔐 Mock identity provider running at ${ISSUER}`);
+        console.log(`   Client ID: ${CLIENT_ID}${CLIENT_SECRET ? ' (confidential client)' : ' (public client, PKCE only)'}`);
+    });
+};
+
+start().catch((error) => {
+    console.error('Mock identity provider failed to start:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Permanent record of a deleted account. The user document itself is gone,
+// so only the id and what is needed to answer "was this account deleted?" is kept.
+const accountDeletionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  // sha256 of the lowercased email, never the address itself
+  emailHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  selfService: {
+    type: Boolean,
+    default: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  requestedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('AccountDeletion', accountDeletionSchema);
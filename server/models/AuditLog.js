@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Unset for actions the system performs on its own (scheduled jobs)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  actorRole: {
+    type: String
+  },
+  // Administrator who was viewing as the actor when the action happened
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Dotted name such as "club.create" or "user.deactivate"
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Club', 'Event', 'University', 'RoleRequest'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Human readable name of the target at the time of the action
+  targetLabel: {
+    type: String
+  },
+  // Only the fields that changed
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries are append-only: refuse every update and delete through the model
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => auditLogSchema.pre(operation, rejectChange));
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const CLUB_ROLES = ['Member', 'Officer', 'President', 'Vice President', 'Secretary'];
+const JOIN_POLICIES = ['open', 'approval', 'invite'];
+
 const clubSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -32,6 +35,10 @@ const clubSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    logoThumbnail: {
+        type: String,
+        default: ''
+    },
     founded: {
         type: Date,
         default: Date.now
@@ -51,7 +58,7 @@ const clubSchema = new mongoose.Schema({
         },
         role: {
             type: String,
-            enum: ['Member', 'Officer', 'President', 'Vice President', 'Secretary'],
+            enum: CLUB_ROLES,
             default: 'Member'
         },
         joinedDate: {
@@ -75,6 +82,13 @@ const clubSchema = new mongoose.Schema({
         time: String,
         location: String
     },
+    // Who may join: anyone (open), anyone an officer approves (approval) or
+    // only people holding an invite (invite)
+    joinPolicy: {
+        type: String,
+        enum: JOIN_POLICIES,
+        default: 'open'
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -82,6 +96,24 @@ const clubSchema = new mongoose.Schema({
     membershipFee: {
         type: Number,
         default: 0
+    },
+    // Set when the club is deleted (isActive is then false). It can be restored
+    // until scheduledFor, after which it is purged for good.
+    deletion: {
+        requestedAt: {
+            type: Date
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        scheduledFor: {
+            type: Date
+        }
     }
 }, {
     timestamps: true
@@ -91,3 +123,5 @@ const clubSchema = new mongoose.Schema({
 clubSchema.index({ name: 'text', description: 'text' });
 
 module.exports = mongoose.model('Club', clubSchema);
+module.exports.CLUB_ROLES = CLUB_ROLES;
+module.exports.JOIN_POLICIES = JOIN_POLICIES;
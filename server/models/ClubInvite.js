@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A link or code that adds whoever redeems it to a club, until it expires or runs out of uses
+const clubInviteSchema = new mongoose.Schema({
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+    required: [true, 'Club is required']
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Role given to everyone who joins through this invite
+  role: {
+    type: String,
+    enum: ['Member', 'Officer', 'Vice President', 'Secretary'],
+    default: 'Member'
+  },
+  // Unlimited when not set
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+clubInviteSchema.index({ club: 1, createdAt: -1 });
+
+// 'active', 'revoked', 'expired' or 'used up'
+clubInviteSchema.methods.getStatus = function (now = new Date()) {
+  if (this.revokedAt) {
+    return 'revoked';
+  }
+  if (this.expiresAt <= now) {
+    return 'expired';
+  }
+  if (this.maxUses && this.uses >= this.maxUses) {
+    return 'used up';
+  }
+  return 'active';
+};
+
+module.exports = mongoose.model('ClubInvite', clubInviteSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A friend request between two students; once accepted it is their connection.
+// Declined, cancelled and removed connections are deleted so either side can ask again.
+const connectionSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Both user ids in sorted order, so a pair can only have one connection
+  pair: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Accepted'],
+    default: 'Pending'
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+connectionSchema.index({ requester: 1, status: 1 });
+connectionSchema.index({ recipient: 1, status: 1 });
+
+connectionSchema.statics.pairKey = function (a, b) {
+  return [a.toString(), b.toString()].sort().join(':');
+};
+
+// The other user in this connection, seen from userId
+connectionSchema.methods.otherUser = function (userId) {
+  const requesterId = this.requester._id || this.requester;
+  return requesterId.toString() === userId.toString() ? this.recipient : this.requester;
+};
+
+module.exports = mongoose.model('Connection', connectionSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Largest group conversation, including its creator
+const MAX_PARTICIPANTS = 10;
+
+const conversationSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  // Only group conversations have a name
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastMessage: {
+    text: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date
+  },
+  // When each participant last read the conversation; newer messages are unread
+  reads: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReadAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+conversationSchema.index({ participants: 1, updatedAt: -1 });
+
+conversationSchema.methods.hasParticipant = function (userId) {
+  return this.participants.some(participant => (participant._id || participant).toString() === userId.toString());
+};
+
+conversationSchema.methods.lastReadBy = function (userId) {
+  const read = this.reads.find(entry => entry.user.toString() === userId.toString());
+  return read ? read.lastReadAt : new Date(0);
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
+module.exports.MAX_PARTICIPANTS = MAX_PARTICIPANTS;
@@ -96,6 +96,10 @@ const eventSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    posterThumbnail: {
+        type: String,
+        default: ''
+    },
     requirements: {
         type: String,
         maxlength: 500
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// An uploaded image and the storage keys of its resized variants. Kept so that
+// files can be removed when the image is replaced or its owner is deleted.
+const mediaSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['avatar', 'logo', 'poster'],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Club', 'Event'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  keys: [{
+    type: String
+  }],
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: {
+    type: String
+  },
+  originalName: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+mediaSchema.index({ targetType: 1, target: 1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
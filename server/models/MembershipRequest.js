@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A student's request to join a club whose join policy requires approval
+const membershipRequestSchema = new mongoose.Schema({
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club',
+    required: [true, 'Club is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected'],
+    default: 'Pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+membershipRequestSchema.index({ club: 1, status: 1, createdAt: 1 });
+membershipRequestSchema.index({ user: 1, createdAt: -1 });
+
+// Only one open request per user and club
+membershipRequestSchema.index(
+  { club: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'Pending' } }
+);
+
+module.exports = mongoose.model('MembershipRequest', membershipRequestSchema);
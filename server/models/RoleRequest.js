@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const roleRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  requestedRole: {
+    type: String,
+    enum: ['Club Admin'],
+    default: 'Club Admin'
+  },
+  justification: {
+    type: String,
+    required: [true, 'Justification is required'],
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected'],
+    default: 'Pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+roleRequestSchema.index({ status: 1, createdAt: 1 });
+
+// Only one open request per user
+roleRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'Pending' } }
+);
+
+module.exports = mongoose.model('RoleRequest', roleRequestSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  // SHA-256 of the current refresh token; the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token replaced by the last rotation, and when that happened.
+  // It stays usable for a few seconds so tabs refreshing at the same time are not signed out.
+  previousTokenHash: {
+    type: String
+  },
+  rotatedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  // Administrator viewing the app as this user; such sessions cannot be refreshed
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be refreshed
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One single sign-on attempt: the PKCE/state data kept between redirecting to
+// the identity provider and its callback, then the one-time handoff code the
+// client exchanges for a session
+const ssoLoginSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  university: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'University',
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the cookie given to the browser that started the sign-in;
+  // the callback must come from that same browser
+  browserHash: {
+    type: String,
+    required: true
+  },
+  // Set once the provider has vouched for a user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 of the handoff code given to the client
+  handoffHash: {
+    type: String,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ssoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SsoLogin', ssoLoginSchema);
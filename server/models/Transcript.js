@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A co-curricular transcript issued to a student. Its contents are a snapshot
+// taken at issue time, so the verification code keeps proving what the PDF
+// said even after the student leaves a club or the club changes.
+const transcriptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  student: {
+    name: String,
+    studentId: String,
+    university: String,
+    major: String
+  },
+  clubs: [{
+    _id: false,
+    club: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club'
+    },
+    name: String,
+    category: String,
+    role: String,
+    from: Date,
+    to: Date
+  }],
+  events: [{
+    _id: false,
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    title: String,
+    eventType: String,
+    club: String,
+    date: Date
+  }],
+  // SHA-256 of the student, clubs and events above, printed on the PDF
+  checksum: {
+    type: String,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+transcriptSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
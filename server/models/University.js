@@ -43,6 +43,47 @@ const universitySchema = new mongoose.Schema({
     establishedYear: {
         type: Number
     },
+    // Students must register with an address on one of these domains
+    // (subdomains included); an empty list accepts any email
+    emailDomains: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // OpenID Connect single sign-on through the university's identity provider
+    sso: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Issuer URL; its /.well-known/openid-configuration is used for discovery
+        issuer: {
+            type: String,
+            trim: true
+        },
+        clientId: {
+            type: String,
+            trim: true
+        },
+        // Leave empty for public clients that rely on PKCE alone
+        clientSecret: {
+            type: String,
+            select: false
+        },
+        scopes: {
+            type: String,
+            default: 'openid email profile'
+        },
+        buttonLabel: {
+            type: String,
+            trim: true
+        },
+        // Create accounts on first sign-in for people who never registered
+        allowProvisioning: {
+            type: Boolean,
+            default: true
+        }
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -54,4 +95,16 @@ const universitySchema = new mongoose.Schema({
 // Index for better search performance
 universitySchema.index({ name: 'text', 'location.city': 'text' });
 
+// Check whether an email address belongs to this university
+universitySchema.methods.allowsEmail = function (email) {
+    if (!this.emailDomains || this.emailDomains.length === 0) {
+        return true;
+    }
+
+    const domain = String(email).split('@').pop().toLowerCase();
+    return this.emailDomains.some(allowed =>
+        domain === allowed || domain.endsWith(`.${allowed}`)
+    );
+};
+
 module.exports = mongoose.model('University', universitySchema);
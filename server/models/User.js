@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const PRIVACY_LEVELS = ['public', 'university', 'clubmates', 'private'];
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -56,6 +58,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  profilePictureThumbnail: {
+    type: String,
+    default: ''
+  },
   clubMemberships: [{
     club: {
       type: mongoose.Schema.Types.ObjectId,
@@ -85,9 +91,169 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Who may see each profile field: everyone, people at the same university,
+  // people sharing a club, or only the user (Administrators always can)
+  privacy: {
+    email: {
+      type: String,
+      enum: PRIVACY_LEVELS,
+      default: 'university'
+    },
+    phone: {
+      type: String,
+      enum: PRIVACY_LEVELS,
+      default: 'private'
+    },
+    major: {
+      type: String,
+      enum: PRIVACY_LEVELS,
+      default: 'public'
+    },
+    year: {
+      type: String,
+      enum: PRIVACY_LEVELS,
+      default: 'public'
+    },
+    interests: {
+      type: String,
+      enum: PRIVACY_LEVELS,
+      default: 'public'
+    },
+    clubMemberships: {
+      type: String,
+      enum: PRIVACY_LEVELS,
+      default: 'public'
+    }
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // SHA-256 of the single-use reset token; cleared once it is used
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during enrollment, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Id of the outstanding login challenge; cleared when it is used
+    challengeId: {
+      type: String,
+      select: false
+    },
+    // Time step of the last TOTP code accepted at login, so it cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Club invite code given at registration, redeemed once the email address is verified
+  pendingInviteCode: {
+    type: String,
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  deactivationReason: {
+    type: String,
+    trim: true
+  },
+  // Every deactivation/reactivation, oldest first
+  statusHistory: [{
+    action: {
+      type: String,
+      enum: ['Deactivated', 'Reactivated']
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Accounts at university identity providers that can sign in as this user
+  ssoIdentities: [{
+    university: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'University'
+    },
+    issuer: {
+      type: String
+    },
+    // The provider's stable "sub" claim
+    subject: {
+      type: String
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set while the account waits out the deletion grace period
+  deletion: {
+    requestedAt: {
+      type: Date
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    scheduledFor: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
@@ -100,15 +266,26 @@ userSchema.pre('save', async function (next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Virtual for checking if the account is temporarily locked
+userSchema.virtual('isLocked').get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.index({ 'ssoIdentities.issuer': 1, 'ssoIdentities.subject': 1 });
+
 module.exports = mongoose.model('User', userSchema);
+module.exports.PRIVACY_LEVELS = PRIVACY_LEVELS;
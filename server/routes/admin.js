@@ -0,0 +1,168 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { createImpersonationSession, revokeSession } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const { formatUser } = require('../utils/loginResponse');
+const { escapeRegex } = require('../utils/search');
+
+const router = express.Router();
+
+// @route   GET /api/admin/audit
+// @desc    Search the audit log (newest first)
+// @access  Private (Administrator only)
+router.get('/audit', verifyToken, requireRole('Administrator'), [
+  queryParam('action').optional().isString().withMessage('Invalid action'),
+  queryParam('targetType').optional().isString().withMessage('Invalid target type'),
+  queryParam('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  queryParam('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { actor, action, targetType, targetId, from, to, limit = 50 } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.max(Math.min(parseInt(limit, 10) || 50, 200), 1);
+    const query = {};
+
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) {
+        return res.status(400).json({ message: 'Invalid actor id' });
+      }
+      query.actor = actor;
+    }
+
+    // "user" matches user.deactivate, user.unlock, ...; a full name matches exactly
+    if (action) {
+      query.action = { $regex: `^${escapeRegex(action)}(\\.|$)` };
+    }
+
+    if (targetType) {
+      query.targetType = targetType;
+    }
+
+    if (targetId) {
+      if (!mongoose.isValidObjectId(targetId)) {
+        return res.status(400).json({ message: 'Invalid target id' });
+      }
+      query.targetId = targetId;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .populate('impersonator', 'name email')
+      .limit(pageSize)
+      .skip((page - 1) * pageSize)
+      .sort({ createdAt: -1 });
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/impersonate/exit
+// @desc    End the impersonation session the request is made with
+// @access  Private (impersonation token)
+router.post('/impersonate/exit', verifyToken, async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({ message: 'You are not viewing as another user' });
+    }
+
+    await revokeSession(req.user._id, req.sessionId);
+
+    await recordAudit(req, {
+      action: 'user.impersonate.end',
+      targetType: 'User',
+      target: req.user,
+      actor: req.impersonator
+    });
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/impersonate/:userId
+// @desc    Get a short-lived token to view the app as another user
+// @access  Private (Administrator only)
+router.post('/impersonate/:userId', verifyToken, requireRole('Administrator'), [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Please give a reason (3-500 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.impersonator) {
+      return res.status(400).json({ message: 'Exit the current impersonation first' });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.userId)
+      ? await User.findById(req.params.userId).select('-password')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role === 'Administrator') {
+      return res.status(400).json({ message: 'Administrator accounts cannot be impersonated' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'Deactivated accounts cannot be impersonated' });
+    }
+
+    const { token, expiresAt } = await createImpersonationSession(user._id, req.user._id, req);
+
+    await recordAudit(req, {
+      action: 'user.impersonate.start',
+      targetType: 'User',
+      target: user,
+      metadata: { reason: req.body.reason, expiresAt }
+    });
+
+    res.json({
+      message: `Now viewing as ${user.name}`,
+      token,
+      expiresAt,
+      user: {
+        ...formatUser(user),
+        impersonatedBy: { id: req.user._id, name: req.user.name }
+      }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
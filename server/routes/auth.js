@@ -1,55 +1,35 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const University = require('../models/University');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  hashToken
+} = require('../utils/sessions');
+const { decodeVerificationToken, sendVerificationEmail } = require('../utils/emailVerification');
+const { createPasswordResetToken, sendPasswordResetEmail } = require('../utils/passwordReset');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { formatUser, generateTwoFactorChallenge } = require('../utils/loginResponse');
+const { InviteError, findUsableInvite, redeemInvite } = require('../utils/clubInvites');
+const {
+  checkIpAllowed,
+  checkAccountAllowed,
+  rejectAttempt,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../utils/loginProtection');
+const LoginAttempt = require('../models/LoginAttempt');
+const RoleRequest = require('../models/RoleRequest');
+const { verifyToken, blockWhileImpersonating } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
-
-// Middleware to verify JWT token
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId)
-      .select('-password')
-      .populate('university', 'name code location type');
-
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
-  }
-};
-
-// Middleware to check roles
-const requireRole = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
-
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
-    }
-
-    next();
-  };
-};
-
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -57,8 +37,14 @@ router.post('/register', [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['Student', 'Club Admin']).withMessage('Role must be Student or Club Admin'),
-  body('university').trim().notEmpty().withMessage('University is required')
+  body('role').optional().isIn(['Student', 'Club Admin']).withMessage('Role must be Student or Club Admin'),
+  body('justification')
+    .if(body('role').equals('Club Admin'))
+    .trim()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage('Please explain in at least 20 characters why you need Club Admin access'),
+  body('university').isMongoId().withMessage('Please select a valid university'),
+  body('inviteCode').optional().isString().withMessage('Invalid invite code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -66,7 +52,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role, university, major, year } = req.body;
+    const { name, email, password, role, justification, university, major, year, inviteCode } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -74,34 +60,80 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    // Create new user
+    // Students must register with an address on their university's domain
+    const selectedUniversity = await University.findById(university);
+    if (!selectedUniversity) {
+      return res.status(400).json({ message: 'Please select a valid university' });
+    }
+
+    if (!selectedUniversity.allowsEmail(email)) {
+      return res.status(400).json({
+        message: `Please use your ${selectedUniversity.name} email address (${selectedUniversity.emailDomains.map(domain => `@${domain}`).join(', ')})`
+      });
+    }
+
+    // A club invite that cannot be used is reported but does not stop the
+    // registration; a usable one is held until the email address is verified
+    let clubInvite = null;
+    let pendingInviteCode;
+    if (inviteCode) {
+      try {
+        const { invite, club } = await findUsableInvite(inviteCode);
+        pendingInviteCode = invite.code;
+        clubInvite = { club: { _id: club._id, name: club.name }, role: invite.role, pending: true };
+      } catch (inviteError) {
+        if (!(inviteError instanceof InviteError)) {
+          console.error('Registration invite error:', inviteError);
+        }
+        clubInvite = { error: inviteError instanceof InviteError ? inviteError.message : 'Could not join the club' };
+      }
+    }
+
+    // Everyone starts as a Student; Club Admin is granted by an Administrator
     const user = new User({
       name,
       email,
       password,
-      role,
+      role: 'Student',
       university,
       major,
-      year
+      year,
+      pendingInviteCode
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    let roleRequest = null;
+    if (role === 'Club Admin') {
+      roleRequest = await RoleRequest.create({
+        user: user._id,
+        requestedRole: 'Club Admin',
+        justification
+      });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: roleRequest
+        ? 'User registered successfully. Your Club Admin request is awaiting approval.'
+        : 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        university: user.university,
-        major: user.major,
-        year: user.year
-      }
+      refreshToken,
+      user: formatUser(user),
+      roleRequest: roleRequest && {
+        id: roleRequest._id,
+        requestedRole: roleRequest.requestedRole,
+        status: roleRequest.status
+      },
+      clubInvite
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -124,33 +156,58 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Throttle networks that keep failing, whichever accounts they target
+    const ipDenial = await checkIpAllowed(req);
+    if (ipDenial) {
+      return rejectAttempt(req, res, ipDenial, { email });
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(req, null, email, 'unknown_user');
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Progressive delay and temporary lockout per account
+    const accountDenial = checkAccountAllowed(user);
+    if (accountDenial) {
+      return rejectAttempt(req, res, accountDenial, { user, email });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(req, user, email, 'invalid_password');
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (!user.isActive) {
+      return res.status(403).json({
+        message: 'Your account has been deactivated. Please contact an administrator.',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    // Accounts with 2FA get a challenge instead of a session
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: await generateTwoFactorChallenge(user)
+      });
+    }
+
+    await recordLoginSuccess(req, user);
+
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        university: user.university,
-        major: user.major,
-        year: user.year
-      }
+      refreshToken,
+      user: formatUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -158,6 +215,92 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same per-network throttle as the password step
+    const ipDenial = await checkIpAllowed(req);
+    if (ipDenial) {
+      return rejectAttempt(req, res, ipDenial, {});
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa-login') {
+      return res.status(401).json({ message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.challengeId +twoFactor.lastUsedStep');
+    if (!user || !user.twoFactor.enabled || !user.isActive || !decoded.jti || user.twoFactor.challengeId !== decoded.jti) {
+      return res.status(401).json({ message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    const accountDenial = checkAccountAllowed(user);
+    if (accountDenial) {
+      return rejectAttempt(req, res, accountDenial, { user, email: user.email });
+    }
+
+    const result = verifySecondFactor(user, req.body.code);
+    if (!result.valid) {
+      await recordLoginFailure(req, user, user.email, 'invalid_2fa_code');
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    if (!result.usedRecoveryCode && user.twoFactor.lastUsedStep >= result.step) {
+      await recordLoginFailure(req, user, user.email, 'reused_2fa_code');
+      return res.status(400).json({ message: 'This code has already been used. Please wait for the next one.' });
+    }
+
+    // Use up the challenge and the code in one update, so a parallel request
+    // with the same challenge or code cannot complete a second login
+    const claim = { _id: user._id, 'twoFactor.challengeId': decoded.jti };
+    const update = { $unset: { 'twoFactor.challengeId': 1 } };
+    if (result.usedRecoveryCode) {
+      claim['twoFactor.recoveryCodes'] = result.recoveryCodeHash;
+      update.$pull = { 'twoFactor.recoveryCodes': result.recoveryCodeHash };
+    } else {
+      claim.$or = [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: result.step } }];
+      update.$set = { 'twoFactor.lastUsedStep': result.step };
+    }
+
+    const claimed = await User.updateOne(claim, update);
+    if (claimed.modifiedCount === 0) {
+      return res.status(401).json({ message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    await recordLoginSuccess(req, user);
+
+    const { token, refreshToken } = await createSession(user._id, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: formatUser(user),
+      recoveryCodesRemaining: result.usedRecoveryCode ? user.twoFactor.recoveryCodes.length : undefined
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
@@ -180,6 +323,292 @@ router.get('/profile', verifyToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token sent by email
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const decoded = decodeVerificationToken(req.body.token);
+    if (!decoded) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    // Redeem the club invite held since registration; taking it off the user
+    // first means a link opened twice redeems it once
+    let clubInvite;
+    const held = await User.findOneAndUpdate(
+      { _id: user._id, pendingInviteCode: { $exists: true } },
+      { $unset: { pendingInviteCode: 1 } }
+    ).select('+pendingInviteCode');
+
+    if (held) {
+      try {
+        const { club, role } = await redeemInvite(req, held.pendingInviteCode, user);
+        clubInvite = { club: { _id: club._id, name: club.name }, role };
+      } catch (inviteError) {
+        if (!(inviteError instanceof InviteError)) {
+          console.error('Verification invite error:', inviteError);
+        }
+        clubInvite = { error: inviteError instanceof InviteError ? inviteError.message : 'Could not join the club' };
+      }
+    }
+
+    res.json({ message: 'Email verified successfully', userId: user._id, clubInvite });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', verifyToken, blockWhileImpersonating, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Respond the same way whether or not the account exists
+    if (user) {
+      const token = createPasswordResetToken(user);
+      await user.save();
+      await sendPasswordResetEmail(user, token);
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id);
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password of the current user
+// @access  Private
+router.post('/change-password', verifyToken, blockWhileImpersonating, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Keep this device signed in and end every other session
+    await revokeUserSessions(user._id, req.sessionId);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/login-attempts
+// @desc    Recent sign-in attempts on the current user's account
+// @access  Private
+router.get('/login-attempts', verifyToken, async (req, res) => {
+  try {
+    const attempts = await LoginAttempt.find({ user: req.user._id })
+      .select('ipAddress userAgent success reason createdAt')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ attempts });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the active sessions (devices) of the current user
+// @access  Private
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      impersonatedBy: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session (e.g. a lost phone)
+// @access  Private
+router.delete('/sessions/:id', verifyToken, blockWhileImpersonating, async (req, res) => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id) && await revokeSession(req.user._id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', verifyToken, blockWhileImpersonating, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, req.sessionId);
+    res.json({ message: 'Signed out of all other devices', revoked: count });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
-module.exports.verifyToken = verifyToken;
-module.exports.requireRole = requireRole;
@@ -1,15 +1,90 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Club = require('../models/Club');
 const User = require('../models/User');
-const { verifyToken, requireRole } = require('./auth');
+const MembershipRequest = require('../models/MembershipRequest');
+const ClubInvite = require('../models/ClubInvite');
+const {
+    verifyToken,
+    optionalAuth,
+    requireRole,
+    requireVerifiedEmail,
+    authorizeClub,
+    clubFromParam,
+    can,
+    getClubRole
+} = require('../middleware/auth');
+const { activeUsers, withoutInactive } = require('../utils/rosters');
+const { getViewer, redactPopulated } = require('../utils/privacy');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { MediaError, imageUpload, saveImage, clearImage } = require('../utils/media');
+const { recommendClubs } = require('../utils/clubRecommendations');
+const { softDeleteClub, restoreClub } = require('../utils/clubDeletion');
+const {
+    outranks,
+    addMember,
+    setMemberRole,
+    removeMember,
+    transferPresidency
+} = require('../utils/clubMembers');
+const {
+    InviteError,
+    generateInviteCode,
+    normalizeCode,
+    presentInvite,
+    redeemInvite
+} = require('../utils/clubInvites');
+const { escapeHtml, sendMail } = require('../utils/mailer');
 
 const router = express.Router();
 
+// Club fields recorded in the audit log
+const CLUB_AUDIT_FIELDS = [
+    'name',
+    'description',
+    'category',
+    'president',
+    'contactEmail',
+    'advisors',
+    'socialMedia',
+    'meetingSchedule',
+    'membershipFee',
+    'joinPolicy',
+    'isActive'
+];
+
+// Fields officers may change after creation; the nested ones are merged by PATCH and replaced by PUT
+const EDITABLE_CLUB_FIELDS = [
+    'name',
+    'description',
+    'category',
+    'contactEmail',
+    'advisors',
+    'socialMedia',
+    'meetingSchedule',
+    'membershipFee',
+    'joinPolicy'
+];
+const NESTED_CLUB_FIELDS = ['socialMedia', 'meetingSchedule'];
+
+// Roles that can be given directly; the presidency only changes hands by transfer
+const ASSIGNABLE_ROLES = Club.CLUB_ROLES.filter(role => role !== 'President');
+
+// Applicant details officers see when reviewing requests to join
+const APPLICANT_FIELDS = 'name email profilePicture profilePictureThumbnail major year interests';
+
+// Plain copy of a club with its roster filtered and reduced to what the viewer may see
+const presentClub = (club, viewer, userFields) => {
+    const result = withoutInactive(club, 'members');
+    redactPopulated(result, 'president', viewer, userFields);
+    return redactPopulated(result, 'members.user', viewer, userFields);
+};
+
 // @route   GET /api/clubs
 // @desc    Get all clubs
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
     try {
         const { category, search, page = 1, limit = 12 } = req.query;
         let query = { isActive: true };
@@ -28,16 +103,17 @@ router.get('/', async (req, res) => {
         }
 
         const clubs = await Club.find(query)
-            .populate('president', 'name email')
-            .populate('members.user', 'name email')
+            .populate(activeUsers('president', 'name email'))
+            .populate(activeUsers('members.user', 'name email'))
             .limit(limit * 1)
             .skip((page - 1) * limit)
             .sort({ createdAt: -1 });
 
         const total = await Club.countDocuments(query);
+        const viewer = await getViewer(req.user);
 
         res.json({
-            clubs,
+            clubs: clubs.map(club => presentClub(club, viewer, 'name email')),
             totalPages: Math.ceil(total / limit),
             currentPage: page,
             total
@@ -46,20 +122,77 @@ router.get('/', async (req, res) => {
         console.error('Get clubs error:', error);
         res.status(500).json({ message: 'Server error' });
     }
-});// @route   GET /api/clubs/:id
+});
+
+// @route   GET /api/clubs/deleted
+// @desc    Deleted clubs that can still be restored (all for Administrators, otherwise those you preside over)
+// @access  Private
+router.get('/deleted', verifyToken, async (req, res) => {
+    try {
+        const query = { isActive: false, 'deletion.requestedAt': { $exists: true } };
+        if (req.user.role !== 'Administrator') {
+            query.members = { $elemMatch: { user: req.user._id, role: 'President' } };
+        }
+
+        const clubs = await Club.find(query)
+            .select('name category description logoThumbnail deletion')
+            .populate('deletion.requestedBy', 'name')
+            .sort({ 'deletion.scheduledFor': 1 });
+
+        res.json({ clubs });
+    } catch (error) {
+        console.error('Get deleted clubs error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/clubs/requests/mine
+// @desc    The current user's requests to join clubs, newest first
+// @access  Private
+router.get('/requests/mine', verifyToken, async (req, res) => {
+    try {
+        const requests = await MembershipRequest.find({ user: req.user._id })
+            .select('-reviewedBy')
+            .populate('club', 'name')
+            .sort({ createdAt: -1 });
+
+        res.json({ requests });
+    } catch (error) {
+        console.error('Get my membership requests error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/clubs/recommendations
+// @desc    Clubs recommended for the current user, with the reasons for each
+// @access  Private
+router.get('/recommendations', verifyToken, async (req, res) => {
+    try {
+        const limit = Math.max(Math.min(parseInt(req.query.limit, 10) || 6, 20), 1);
+        const viewer = await getViewer(req.user);
+
+        res.json({ recommendations: await recommendClubs(req.user, viewer, limit) });
+    } catch (error) {
+        console.error('Get club recommendations error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/clubs/:id
 // @desc    Get club by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
         const club = await Club.findById(req.params.id)
-            .populate('president', 'name email profilePicture')
-            .populate('members.user', 'name email profilePicture major year');
+            .populate(activeUsers('president', 'name email profilePicture'))
+            .populate(activeUsers('members.user', 'name email profilePicture major year'));
 
-        if (!club) {
+        // Deleted clubs stay visible only to those who can restore or edit them
+        if (!club || (!club.isActive && !(req.user && can(req.user, 'club:update', club)))) {
             return res.status(404).json({ message: 'Club not found' });
         }
 
-        res.json(club);
+        res.json(presentClub(club, await getViewer(req.user), 'name email profilePicture major year'));
     } catch (error) {
         console.error('Get club error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -106,6 +239,13 @@ router.post('/', verifyToken, requireRole('Club Admin', 'Administrator'), async
 
         await club.save();
 
+        await recordAudit(req, {
+            action: 'club.create',
+            targetType: 'Club',
+            target: club,
+            after: snapshot(club, CLUB_AUDIT_FIELDS)
+        });
+
         // Add club to user's memberships
         await User.findByIdAndUpdate(req.user._id, {
             $push: {
@@ -117,12 +257,12 @@ router.post('/', verifyToken, requireRole('Club Admin', 'Administrator'), async
         });
 
         const populatedClub = await Club.findById(club._id)
-            .populate('president', 'name email')
-            .populate('members.user', 'name email');
+            .populate(activeUsers('president', 'name email'))
+            .populate(activeUsers('members.user', 'name email'));
 
         res.status(201).json({
             message: 'Club created successfully',
-            club: populatedClub
+            club: presentClub(populatedClub, await getViewer(req.user), 'name email')
         });
     } catch (error) {
         console.error('Create club error:', error);
@@ -130,51 +270,391 @@ router.post('/', verifyToken, requireRole('Club Admin', 'Administrator'), async
     }
 });
 
+// Apply the editable fields in the body to req.club; `merge` keeps nested
+// fields (socialMedia, meetingSchedule) that the body does not mention
+const updateClub = (merge) => async (req, res) => {
+    try {
+        const before = snapshot(req.club, CLUB_AUDIT_FIELDS);
+
+        EDITABLE_CLUB_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) {
+                return;
+            }
+            if (merge && NESTED_CLUB_FIELDS.includes(field)) {
+                req.club[field] = { ...req.club.toObject()[field], ...req.body[field] };
+            } else {
+                req.club[field] = req.body[field];
+            }
+        });
+
+        await req.club.save();
+
+        await recordAudit(req, {
+            action: 'club.update',
+            targetType: 'Club',
+            target: req.club,
+            before,
+            after: snapshot(req.club, CLUB_AUDIT_FIELDS)
+        });
+
+        const populatedClub = await Club.findById(req.club._id)
+            .populate(activeUsers('president', 'name email'))
+            .populate(activeUsers('members.user', 'name email'));
+
+        res.json({
+            message: 'Club updated successfully',
+            club: presentClub(populatedClub, await getViewer(req.user), 'name email')
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'Club with this name already exists' });
+        }
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Update club error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// @route   PUT /api/clubs/:id
+// @desc    Update a club, replacing socialMedia and meetingSchedule as given
+// @access  Private (Club officers or Administrator)
+router.put('/:id', verifyToken, authorizeClub('club:update'), updateClub(false));
+
+// @route   PATCH /api/clubs/:id
+// @desc    Update some fields of a club, merging socialMedia and meetingSchedule
+// @access  Private (Club officers or Administrator)
+router.patch('/:id', verifyToken, authorizeClub('club:update'), updateClub(true));
+
+// @route   DELETE /api/clubs/:id
+// @desc    Delete a club; it can be restored until the retention window ends
+// @access  Private (Club president or Administrator)
+router.delete('/:id', verifyToken, authorizeClub('club:delete'), async (req, res) => {
+    try {
+        const before = snapshot(req.club, CLUB_AUDIT_FIELDS);
+        const restorableUntil = await softDeleteClub(req.club, {
+            requestedBy: req.user._id,
+            reason: req.body.reason
+        });
+
+        await recordAudit(req, {
+            action: 'club.delete',
+            targetType: 'Club',
+            target: req.club,
+            before,
+            after: snapshot(req.club, CLUB_AUDIT_FIELDS),
+            metadata: { reason: req.body.reason, restorableUntil }
+        });
+
+        res.json({
+            message: 'Club deleted. It can be restored until the retention period ends.',
+            restorableUntil
+        });
+    } catch (error) {
+        console.error('Delete club error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/clubs/:id/restore
+// @desc    Restore a deleted club within the retention window
+// @access  Private (Club president or Administrator)
+router.post('/:id/restore', verifyToken, authorizeClub('club:delete', clubFromParam('id'), { allowInactive: true }), async (req, res) => {
+    try {
+        if (!req.club.deletion || !req.club.deletion.requestedAt) {
+            return res.status(400).json({ message: 'Club is not deleted' });
+        }
+
+        if (req.club.deletion.scheduledFor <= new Date()) {
+            return res.status(410).json({ message: 'The retention period for this club has ended' });
+        }
+
+        const before = snapshot(req.club, CLUB_AUDIT_FIELDS);
+        await restoreClub(req.club);
+
+        await recordAudit(req, {
+            action: 'club.restore',
+            targetType: 'Club',
+            target: req.club,
+            before,
+            after: snapshot(req.club, CLUB_AUDIT_FIELDS)
+        });
+
+        res.json({ message: 'Club restored successfully' });
+    } catch (error) {
+        console.error('Restore club error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/clubs/:id/logo
+// @desc    Upload the club logo (multipart field "image")
+// @access  Private (Club officers or Administrator)
+router.post('/:id/logo', verifyToken, authorizeClub('club:update'), imageUpload, async (req, res) => {
+    try {
+        const previousLogo = req.club.logo;
+        const media = await saveImage('logo', req.club, req.file, req.user._id);
+
+        await recordAudit(req, {
+            action: 'club.logo.update',
+            targetType: 'Club',
+            target: req.club,
+            before: { logo: previousLogo },
+            after: { logo: media.url }
+        });
+
+        res.json({
+            message: 'Club logo updated',
+            logo: media.url,
+            logoThumbnail: media.thumbnailUrl
+        });
+    } catch (error) {
+        if (error instanceof MediaError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Upload club logo error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/clubs/:id/logo
+// @desc    Remove the club logo
+// @access  Private (Club officers or Administrator)
+router.delete('/:id/logo', verifyToken, authorizeClub('club:update'), async (req, res) => {
+    try {
+        const previousLogo = req.club.logo;
+        await clearImage('logo', req.club);
+
+        await recordAudit(req, {
+            action: 'club.logo.remove',
+            targetType: 'Club',
+            target: req.club,
+            before: { logo: previousLogo },
+            after: { logo: '' }
+        });
+
+        res.json({ message: 'Club logo removed' });
+    } catch (error) {
+        console.error('Remove club logo error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/clubs/:id/join
-// @desc    Join a club
+// @desc    Join an open club, or ask to join one that requires approval (optional `message`)
 // @access  Private
-router.post('/:id/join', verifyToken, async (req, res) => {
+router.post('/:id/join', verifyToken, requireVerifiedEmail, [
+    body('message').optional().trim().isLength({ max: 1000 }).withMessage('Message must be at most 1000 characters')
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const club = await Club.findById(req.params.id);
 
-        if (!club) {
+        if (!club || !club.isActive) {
             return res.status(404).json({ message: 'Club not found' });
         }
 
         // Check if user is already a member
-        const isMember = club.members.some(
-            member => member.user.toString() === req.user._id.toString()
-        );
-
-        if (isMember) {
+        if (getClubRole(club, req.user._id)) {
             return res.status(400).json({ message: 'You are already a member of this club' });
         }
 
-        // Add user to club members
-        club.members.push({
-            user: req.user._id,
-            role: 'Member'
-        });
-
-        await club.save();
+        if (club.joinPolicy === 'invite') {
+            return res.status(403).json({ message: 'This club is invite only', code: 'INVITE_ONLY' });
+        }
 
-        // Add club to user's memberships
-        await User.findByIdAndUpdate(req.user._id, {
-            $push: {
-                clubMemberships: {
-                    club: club._id,
-                    role: 'Member'
-                }
+        if (club.joinPolicy === 'approval') {
+            const pending = await MembershipRequest.findOne({ club: club._id, user: req.user._id, status: 'Pending' });
+            if (pending) {
+                return res.status(400).json({ message: 'You already asked to join this club' });
             }
+
+            const request = await MembershipRequest.create({
+                club: club._id,
+                user: req.user._id,
+                message: req.body.message
+            });
+
+            return res.status(201).json({
+                message: 'Your request to join was sent to the club officers',
+                request
+            });
+        }
+
+        if (!(await addMember(club, req.user._id))) {
+            return res.status(400).json({ message: 'You are already a member of this club' });
+        }
+
+        await recordAudit(req, {
+            action: 'club.member.join',
+            targetType: 'Club',
+            target: club,
+            metadata: { user: req.user._id, role: 'Member' }
         });
 
         res.json({ message: 'Successfully joined the club' });
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'You already asked to join this club' });
+        }
         console.error('Join club error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+// @route   DELETE /api/clubs/:id/requests/mine
+// @desc    Withdraw your pending request to join a club
+// @access  Private
+router.delete('/:id/requests/mine', verifyToken, async (req, res) => {
+    try {
+        const request = mongoose.isValidObjectId(req.params.id)
+            ? await MembershipRequest.findOneAndDelete({ club: req.params.id, user: req.user._id, status: 'Pending' })
+            : null;
+
+        if (!request) {
+            return res.status(404).json({ message: 'Request not found' });
+        }
+
+        res.json({ message: 'Request withdrawn' });
+    } catch (error) {
+        console.error('Withdraw membership request error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/clubs/:id/requests
+// @desc    Requests to join a club (?status=Pending|Approved|Rejected|All, pending by default)
+// @access  Private (Club officers or Administrator)
+router.get('/:id/requests', verifyToken, authorizeClub('club:reviewMembers'), [
+    query('status').optional().isIn(['Pending', 'Approved', 'Rejected', 'All']).withMessage('Status must be Pending, Approved, Rejected or All')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { status = 'Pending' } = req.query;
+        const query = { club: req.club._id };
+        if (status !== 'All') {
+            query.status = status;
+        }
+
+        const requests = await MembershipRequest.find(query)
+            .populate(activeUsers('user', APPLICANT_FIELDS))
+            .populate('reviewedBy', 'name')
+            .sort({ createdAt: 1 });
+        const viewer = await getViewer(req.user);
+
+        res.json({
+            requests: requests
+                .filter(request => request.user)
+                .map(request => redactPopulated(request.toObject(), 'user', viewer, APPLICANT_FIELDS))
+        });
+    } catch (error) {
+        console.error('Get membership requests error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Let the applicant know how their request to join was decided
+const notifyMembershipDecision = async (user, club, request) => {
+    const approved = request.status === 'Approved';
+    const note = request.reviewNote ? `\n\nMessage from the club: ${request.reviewNote}` : '';
+
+    try {
+        await sendMail({
+            to: user.email,
+            subject: `Your request to join ${club.name} was ${approved ? 'approved' : 'declined'}`,
+            text: `Hi ${user.name},\n\nYour request to join ${club.name} has been ${approved ? 'approved. Welcome to the club' : 'declined'}.${note}`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p><p>Your request to join ${escapeHtml(club.name)} has been <strong>${approved ? 'approved' : 'declined'}</strong>.</p>${request.reviewNote ? `<p>Message from the club: ${escapeHtml(request.reviewNote)}</p>` : ''}`
+        });
+    } catch (error) {
+        console.error('Membership request notification error:', error);
+    }
+};
+
+// Shared handler for approving and rejecting requests to join
+const reviewMembershipRequest = (status) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const pending = mongoose.isValidObjectId(req.params.requestId)
+            ? await MembershipRequest.findOne({ _id: req.params.requestId, club: req.club._id })
+            : null;
+        if (!pending) {
+            return res.status(404).json({ message: 'Request not found' });
+        }
+
+        if (pending.status !== 'Pending') {
+            return res.status(400).json({ message: `Request was already ${pending.status.toLowerCase()}` });
+        }
+
+        const user = await User.findOne({ _id: pending.user, isActive: true });
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        // Claim the decision atomically so two officers cannot both decide the same request
+        const request = await MembershipRequest.findOneAndUpdate(
+            { _id: pending._id, status: 'Pending' },
+            {
+                $set: {
+                    status,
+                    reviewedBy: req.user._id,
+                    reviewedAt: new Date(),
+                    reviewNote: req.body.note
+                }
+            },
+            { new: true, runValidators: true }
+        );
+        if (!request) {
+            return res.status(400).json({ message: 'Request was already decided' });
+        }
+
+        if (status === 'Approved') {
+            await addMember(req.club, user._id);
+        }
+
+        await recordAudit(req, {
+            action: `club.member.${status === 'Approved' ? 'approve' : 'reject'}`,
+            targetType: 'Club',
+            target: req.club,
+            metadata: { user: user._id, request: request._id, note: request.reviewNote }
+        });
+
+        await notifyMembershipDecision(user, req.club, request);
+
+        res.json({
+            message: `Request ${status.toLowerCase()}`,
+            request
+        });
+    } catch (error) {
+        console.error('Review membership request error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+const noteValidator = body('note').optional().trim().isLength({ max: 500 }).withMessage('Message must be at most 500 characters');
+
+// @route   PATCH /api/clubs/:id/requests/:requestId/approve
+// @desc    Approve a request to join and add the applicant as a Member
+// @access  Private (Club officers or Administrator)
+router.patch('/:id/requests/:requestId/approve', verifyToken, authorizeClub('club:reviewMembers'), [noteValidator], reviewMembershipRequest('Approved'));
+
+// @route   PATCH /api/clubs/:id/requests/:requestId/reject
+// @desc    Reject a request to join, optionally with a message to the applicant
+// @access  Private (Club officers or Administrator)
+router.patch('/:id/requests/:requestId/reject', verifyToken, authorizeClub('club:reviewMembers'), [noteValidator], reviewMembershipRequest('Rejected'));
+
 // @route   POST /api/clubs/:id/leave
 // @desc    Leave a club
 // @access  Private
@@ -187,27 +667,303 @@ router.post('/:id/leave', verifyToken, async (req, res) => {
         }
 
         // Check if user is the president
-        if (club.president.toString() === req.user._id.toString()) {
+        if (club.president && club.president.toString() === req.user._id.toString()) {
             return res.status(400).json({ message: 'President cannot leave the club. Transfer presidency first.' });
         }
 
-        // Remove user from club members
-        club.members = club.members.filter(
-            member => member.user.toString() !== req.user._id.toString()
-        );
+        await removeMember(club, req.user._id);
 
-        await club.save();
+        res.json({ message: 'Successfully left the club' });
+    } catch (error) {
+        console.error('Leave club error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-        // Remove club from user's memberships
-        await User.findByIdAndUpdate(req.user._id, {
-            $pull: {
-                clubMemberships: { club: club._id }
+// Whether the current user may manage a member holding `role` (Administrators always may)
+const canManageRole = (req, role) => {
+    return req.user.role === 'Administrator' || outranks(req.clubRole, role);
+};
+
+// Role of the member named by :userId, or null if they are not in the club
+const targetMemberRole = (req) => {
+    return mongoose.isValidObjectId(req.params.userId) ? getClubRole(req.club, req.params.userId) : null;
+};
+
+// @route   PATCH /api/clubs/:id/members/:userId/role
+// @desc    Change a member's role (Member, Secretary, Officer or Vice President)
+// @access  Private (Club President, Vice President or Administrator)
+router.patch('/:id/members/:userId/role', verifyToken, authorizeClub('club:manageMembers'), [
+    body('role').isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { role } = req.body;
+        const currentRole = targetMemberRole(req);
+        if (!currentRole) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        if (currentRole === 'President') {
+            return res.status(400).json({ message: 'Transfer the presidency to change the president\'s role' });
+        }
+
+        if (req.params.userId === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+
+        if (!canManageRole(req, currentRole) || !canManageRole(req, role)) {
+            return res.status(403).json({ message: 'You can only manage members and roles ranked below your own' });
+        }
+
+        await setMemberRole(req.club, req.params.userId, role);
+
+        await recordAudit(req, {
+            action: 'club.member.role',
+            targetType: 'Club',
+            target: req.club,
+            before: { role: currentRole },
+            after: { role },
+            metadata: { user: req.params.userId }
+        });
+
+        res.json({ message: 'Member role updated', member: { user: req.params.userId, role } });
+    } catch (error) {
+        console.error('Change member role error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/clubs/:id/members/:userId
+// @desc    Remove a member from a club
+// @access  Private (Club President, Vice President or Administrator)
+router.delete('/:id/members/:userId', verifyToken, authorizeClub('club:manageMembers'), async (req, res) => {
+    try {
+        const currentRole = targetMemberRole(req);
+        if (!currentRole) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        if (currentRole === 'President') {
+            return res.status(400).json({ message: 'The president cannot be removed. Transfer presidency first.' });
+        }
+
+        if (req.params.userId === req.user._id.toString()) {
+            return res.status(400).json({ message: 'Use leave to leave the club yourself' });
+        }
+
+        if (!canManageRole(req, currentRole)) {
+            return res.status(403).json({ message: 'You can only manage members and roles ranked below your own' });
+        }
+
+        await removeMember(req.club, req.params.userId);
+
+        await recordAudit(req, {
+            action: 'club.member.remove',
+            targetType: 'Club',
+            target: req.club,
+            before: { role: currentRole },
+            metadata: { user: req.params.userId }
+        });
+
+        res.json({ message: 'Member removed' });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/clubs/:id/transfer-presidency
+// @desc    Make another member president (`userId`); the outgoing president becomes `formerRole` (Member by default)
+// @access  Private (Club President or Administrator)
+router.post('/:id/transfer-presidency', verifyToken, authorizeClub('club:transferPresidency'), [
+    body('userId').isMongoId().withMessage('A member to transfer to is required'),
+    body('formerRole').optional().isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { userId, formerRole = 'Member' } = req.body;
+        const currentRole = getClubRole(req.club, userId);
+        if (!currentRole || !(await User.exists({ _id: userId, isActive: true }))) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        if (currentRole === 'President') {
+            return res.status(400).json({ message: 'This member is already the president' });
+        }
+
+        const formerPresident = req.club.president;
+        if (!(await transferPresidency(req.club, userId, formerRole))) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        await recordAudit(req, {
+            action: 'club.president.transfer',
+            targetType: 'Club',
+            target: req.club,
+            before: { president: formerPresident?.toString() },
+            after: { president: userId },
+            metadata: { formerRole, newPresidentPreviousRole: currentRole }
+        });
+
+        res.json({ message: 'Presidency transferred' });
+    } catch (error) {
+        console.error('Transfer presidency error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/clubs/invites/:code
+// @desc    Preview the club an invite code leads to
+// @access  Public
+router.get('/invites/:code', async (req, res) => {
+    try {
+        const invite = await ClubInvite.findOne({ code: normalizeCode(req.params.code) });
+        const club = invite && await Club.findById(invite.club).select('name description category logoThumbnail members isActive');
+
+        if (!invite || !club || !club.isActive) {
+            return res.status(404).json({ message: 'Invite not found' });
+        }
+
+        res.json({
+            invite: {
+                code: invite.code,
+                role: invite.role,
+                status: invite.getStatus(),
+                expiresAt: invite.expiresAt
+            },
+            club: {
+                _id: club._id,
+                name: club.name,
+                description: club.description,
+                category: club.category,
+                logoThumbnail: club.logoThumbnail,
+                memberCount: club.members.length
             }
         });
+    } catch (error) {
+        console.error('Get club invite error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-        res.json({ message: 'Successfully left the club' });
+// @route   POST /api/clubs/invites/:code/redeem
+// @desc    Join a club with an invite code, whatever its join policy
+// @access  Private
+router.post('/invites/:code/redeem', verifyToken, requireVerifiedEmail, async (req, res) => {
+    try {
+        const { club, role } = await redeemInvite(req, req.params.code, req.user);
+
+        res.json({
+            message: `You joined ${club.name}`,
+            club: { _id: club._id, name: club.name },
+            role
+        });
     } catch (error) {
-        console.error('Leave club error:', error);
+        if (error instanceof InviteError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Redeem club invite error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/clubs/:id/invites
+// @desc    A club's invites, newest first, with their links and QR codes
+// @access  Private (Club officers or Administrator)
+router.get('/:id/invites', verifyToken, authorizeClub('club:invite'), async (req, res) => {
+    try {
+        const invites = await ClubInvite.find({ club: req.club._id })
+            .populate('createdBy', 'name')
+            .sort({ createdAt: -1 });
+
+        res.json({ invites: await Promise.all(invites.map(presentInvite)) });
+    } catch (error) {
+        console.error('Get club invites error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/clubs/:id/invites
+// @desc    Create an invite (`role`, `maxUses` or unlimited, `expiresInDays` 1-90, default 7)
+// @access  Private (Club officers or Administrator)
+router.post('/:id/invites', verifyToken, authorizeClub('club:invite'), [
+    body('role').optional().isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`),
+    body('maxUses').optional({ values: 'null' }).isInt({ min: 1, max: 10000 }).withMessage('Maximum uses must be between 1 and 10000'),
+    body('expiresInDays').optional().isInt({ min: 1, max: 90 }).withMessage('Invites can last between 1 and 90 days')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { role = 'Member', maxUses, expiresInDays = 7 } = req.body;
+        if (!canManageRole(req, role)) {
+            return res.status(403).json({ message: 'You can only invite people to roles ranked below your own' });
+        }
+
+        const invite = await ClubInvite.create({
+            club: req.club._id,
+            code: generateInviteCode(),
+            role,
+            maxUses: maxUses || undefined,
+            expiresAt: new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000),
+            createdBy: req.user._id
+        });
+
+        await recordAudit(req, {
+            action: 'club.invite.create',
+            targetType: 'Club',
+            target: req.club,
+            metadata: { invite: invite._id, code: invite.code, role, maxUses: invite.maxUses, expiresAt: invite.expiresAt }
+        });
+
+        res.status(201).json({
+            message: 'Invite created',
+            invite: await presentInvite(invite)
+        });
+    } catch (error) {
+        console.error('Create club invite error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/clubs/:id/invites/:inviteId
+// @desc    Revoke an invite so it can no longer be redeemed
+// @access  Private (Club officers or Administrator)
+router.delete('/:id/invites/:inviteId', verifyToken, authorizeClub('club:invite'), async (req, res) => {
+    try {
+        const invite = mongoose.isValidObjectId(req.params.inviteId)
+            ? await ClubInvite.findOne({ _id: req.params.inviteId, club: req.club._id })
+            : null;
+        if (!invite) {
+            return res.status(404).json({ message: 'Invite not found' });
+        }
+
+        if (!invite.revokedAt) {
+            invite.revokedAt = new Date();
+            await invite.save();
+
+            await recordAudit(req, {
+                action: 'club.invite.revoke',
+                targetType: 'Club',
+                target: req.club,
+                metadata: { invite: invite._id, code: invite.code, uses: invite.uses }
+            });
+        }
+
+        res.json({ message: 'Invite revoked' });
+    } catch (error) {
+        console.error('Revoke club invite error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -0,0 +1,266 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Connection = require('../models/Connection');
+const User = require('../models/User');
+const { verifyToken, requireVerifiedEmail } = require('../middleware/auth');
+const { PROFILE_SELECT, getViewer, visibleFieldQuery, redactUser } = require('../utils/privacy');
+const { mutualCounts } = require('../utils/connections');
+const { exactText } = require('../utils/search');
+
+const router = express.Router();
+
+const involving = (userId) => ({ $or: [{ requester: userId }, { recipient: userId }] });
+
+// Populate both sides, dropping connections whose other user has been deactivated
+const populateUsers = (query) => {
+  return query.populate([
+    { path: 'requester', select: PROFILE_SELECT, match: { isActive: true } },
+    { path: 'recipient', select: PROFILE_SELECT, match: { isActive: true } }
+  ]);
+};
+
+// The other user of each connection, redacted for the viewer, with mutual connection counts
+const presentConnections = async (connections, req) => {
+  const visible = connections.filter(connection => connection.requester && connection.recipient);
+  const viewer = await getViewer(req.user);
+  const others = visible.map(connection => connection.otherUser(req.user._id));
+  const mutual = await mutualCounts(req.user._id, others.map(user => user._id));
+
+  return visible.map((connection, index) => ({
+    _id: connection._id,
+    user: redactUser(others[index], viewer),
+    mutualConnections: mutual.get(others[index]._id.toString()),
+    requestedAt: connection.createdAt,
+    acceptedAt: connection.acceptedAt
+  }));
+};
+
+// @route   GET /api/connections
+// @desc    Get the current user's connections
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const connections = await populateUsers(
+      Connection.find({ status: 'Accepted', ...involving(req.user._id) }).sort({ acceptedAt: -1 })
+    );
+
+    res.json({ connections: await presentConnections(connections, req) });
+  } catch (error) {
+    console.error('Get connections error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/connections/requests
+// @desc    Get pending connection requests sent to and by the current user
+// @access  Private
+router.get('/requests', verifyToken, async (req, res) => {
+  try {
+    const [incoming, outgoing] = await Promise.all([
+      populateUsers(Connection.find({ status: 'Pending', recipient: req.user._id }).sort({ createdAt: -1 })),
+      populateUsers(Connection.find({ status: 'Pending', requester: req.user._id }).sort({ createdAt: -1 }))
+    ]);
+
+    res.json({
+      incoming: await presentConnections(incoming, req),
+      outgoing: await presentConnections(outgoing, req)
+    });
+  } catch (error) {
+    console.error('Get connection requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/connections/suggestions
+// @desc    People you may know, from shared clubs, shared interests and mutual connections
+// @access  Private
+router.get('/suggestions', verifyToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    const viewer = await getViewer(req.user);
+    const interests = req.user.interests || [];
+
+    // Anyone already connected or with a pending request either way is left out
+    const existing = await Connection.find(involving(req.user._id)).select('requester recipient');
+    const excluded = [req.user._id, ...existing.map(connection => connection.otherUser(req.user._id))];
+
+    // Only match on clubs and interests the candidate lets the viewer see
+    const reasons = [];
+    if (viewer.clubIds.size > 0) {
+      reasons.push({ $and: [{ 'clubMemberships.club': { $in: [...viewer.clubIds] } }, visibleFieldQuery('clubMemberships', viewer)] });
+    }
+    if (interests.length > 0) {
+      reasons.push({ $and: [{ interests: { $in: interests.map(exactText) } }, visibleFieldQuery('interests', viewer)] });
+    }
+
+    if (reasons.length === 0) {
+      return res.json({ suggestions: [] });
+    }
+
+    const candidates = await User.find({ _id: { $nin: excluded }, isActive: true, $or: reasons })
+      .select(PROFILE_SELECT)
+      .populate('university', 'name code')
+      .limit(200);
+    const mutual = await mutualCounts(req.user._id, candidates.map(user => user._id));
+    const myInterests = new Set(interests.map(interest => interest.toLowerCase()));
+
+    const suggestions = candidates.map(candidate => {
+      const user = redactUser(candidate, viewer);
+      const sharedClubs = (user.clubMemberships || [])
+        .filter(membership => membership.club && viewer.clubIds.has(membership.club.toString())).length;
+      const sharedInterests = (user.interests || [])
+        .filter(interest => myInterests.has(interest.toLowerCase()));
+      const mutualConnections = mutual.get(user._id.toString());
+
+      return {
+        user,
+        sharedClubs,
+        sharedInterests,
+        mutualConnections,
+        score: sharedClubs * 2 + sharedInterests.length + mutualConnections
+      };
+    });
+
+    suggestions.sort((a, b) => b.score - a.score || a.user.name.localeCompare(b.user.name));
+
+    res.json({ suggestions: suggestions.slice(0, limit) });
+  } catch (error) {
+    console.error('Get connection suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/connections
+// @desc    Send a connection request (accepts theirs if they already asked you)
+// @access  Private
+router.post('/', verifyToken, requireVerifiedEmail, [
+  body('userId').isMongoId().withMessage('A valid user is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.body;
+
+    if (req.user._id.equals(userId)) {
+      return res.status(400).json({ message: 'You cannot connect with yourself' });
+    }
+
+    const recipient = await User.findOne({ _id: userId, isActive: true }).select('_id');
+    if (!recipient) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const pair = Connection.pairKey(req.user._id, userId);
+    const existing = await Connection.findOne({ pair });
+
+    if (existing && existing.status === 'Pending' && existing.recipient.equals(req.user._id)) {
+      existing.status = 'Accepted';
+      existing.acceptedAt = new Date();
+      await existing.save();
+
+      return res.json({
+        message: 'You are now connected',
+        connection: existing
+      });
+    }
+
+    if (existing) {
+      return res.status(409).json({
+        message: existing.status === 'Accepted' ? 'You are already connected' : 'Connection request already sent'
+      });
+    }
+
+    const connection = await Connection.create({
+      requester: req.user._id,
+      recipient: userId,
+      pair
+    });
+
+    res.status(201).json({
+      message: 'Connection request sent',
+      connection
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Connection request already sent' });
+    }
+    console.error('Send connection request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/connections/:id/accept
+// @desc    Accept a connection request sent to you
+// @access  Private
+router.patch('/:id/accept', verifyToken, async (req, res) => {
+  try {
+    const connection = mongoose.isValidObjectId(req.params.id)
+      ? await Connection.findOne({ _id: req.params.id, recipient: req.user._id, status: 'Pending' })
+      : null;
+    if (!connection) {
+      return res.status(404).json({ message: 'Connection request not found' });
+    }
+
+    connection.status = 'Accepted';
+    connection.acceptedAt = new Date();
+    await connection.save();
+
+    res.json({
+      message: 'Connection request accepted',
+      connection
+    });
+  } catch (error) {
+    console.error('Accept connection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/connections/:id/decline
+// @desc    Decline a connection request sent to you
+// @access  Private
+router.patch('/:id/decline', verifyToken, async (req, res) => {
+  try {
+    const connection = mongoose.isValidObjectId(req.params.id)
+      ? await Connection.findOneAndDelete({ _id: req.params.id, recipient: req.user._id, status: 'Pending' })
+      : null;
+    if (!connection) {
+      return res.status(404).json({ message: 'Connection request not found' });
+    }
+
+    res.json({ message: 'Connection request declined' });
+  } catch (error) {
+    console.error('Decline connection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/connections/:id
+// @desc    Remove a connection or cancel a request you sent
+// @access  Private
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const connection = mongoose.isValidObjectId(req.params.id)
+      ? await Connection.findOne({ _id: req.params.id, ...involving(req.user._id) })
+      : null;
+    if (!connection) {
+      return res.status(404).json({ message: 'Connection not found' });
+    }
+
+    if (connection.status === 'Pending' && !connection.requester.equals(req.user._id)) {
+      return res.status(400).json({ message: 'Decline the request instead' });
+    }
+
+    await connection.deleteOne();
+
+    res.json({ message: connection.status === 'Accepted' ? 'Connection removed' : 'Connection request cancelled' });
+  } catch (error) {
+    console.error('Remove connection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,299 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { verifyToken, requireVerifiedEmail, blockWhileImpersonating } = require('../middleware/auth');
+const { sendToUsers } = require('../utils/realtime');
+
+const router = express.Router();
+
+const PARTICIPANT_FIELDS = 'name profilePicture';
+
+// Unread message count of each conversation for the user, keyed by conversation id
+const unreadCounts = async (conversations, userId) => {
+  if (conversations.length === 0) {
+    return new Map();
+  }
+
+  const groups = await Message.aggregate([
+    {
+      $match: {
+        sender: { $ne: userId },
+        $or: conversations.map(conversation => ({
+          conversation: conversation._id,
+          createdAt: { $gt: conversation.lastReadBy(userId) }
+        }))
+      }
+    },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(groups.map(group => [group._id.toString(), group.count]));
+};
+
+const presentConversation = (conversation, unreadCount = 0) => ({
+  _id: conversation._id,
+  isGroup: conversation.isGroup,
+  name: conversation.name,
+  participants: conversation.participants,
+  lastMessage: conversation.lastMessage,
+  unreadCount,
+  updatedAt: conversation.updatedAt
+});
+
+// Load a conversation the current user takes part in, or answer 404
+const loadConversation = async (req, res, next) => {
+  try {
+    const conversation = mongoose.isValidObjectId(req.params.id)
+      ? await Conversation.findOne({ _id: req.params.id, participants: req.user._id })
+      : null;
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    console.error('Load conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET /api/conversations
+// @desc    Get the current user's conversations, most recent first, with unread counts
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ participants: req.user._id })
+      .populate('participants', PARTICIPANT_FIELDS)
+      .sort({ updatedAt: -1 })
+      .limit(50);
+    const unread = await unreadCounts(conversations, req.user._id);
+
+    res.json({
+      conversations: conversations.map(conversation =>
+        presentConversation(conversation, unread.get(conversation._id.toString()))
+      )
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/conversations/unread-count
+// @desc    Total unread messages across all conversations
+// @access  Private
+router.get('/unread-count', verifyToken, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ participants: req.user._id }).select('reads');
+    const unread = await unreadCounts(conversations, req.user._id);
+
+    res.json({ unreadCount: [...unread.values()].reduce((total, count) => total + count, 0) });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Start a conversation (reuses an existing one-to-one conversation)
+// @access  Private
+router.post('/', verifyToken, requireVerifiedEmail, blockWhileImpersonating, [
+  body('participants')
+    .isArray({ min: 1, max: Conversation.MAX_PARTICIPANTS - 1 })
+    .withMessage(`Choose between 1 and ${Conversation.MAX_PARTICIPANTS - 1} people`),
+  body('participants.*').isMongoId().withMessage('Invalid participant'),
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const me = req.user._id.toString();
+    const others = [...new Set(req.body.participants)].filter(id => id !== me);
+
+    if (others.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one other person' });
+    }
+
+    const found = await User.countDocuments({ _id: { $in: others }, isActive: true });
+    if (found !== others.length) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isGroup = others.length > 1 || Boolean(req.body.name);
+
+    if (!isGroup) {
+      const existing = await Conversation.findOne({
+        isGroup: false,
+        participants: { $all: [req.user._id, others[0]], $size: 2 }
+      }).populate('participants', PARTICIPANT_FIELDS);
+
+      if (existing) {
+        const unread = await unreadCounts([existing], req.user._id);
+        return res.json({ conversation: presentConversation(existing, unread.get(existing._id.toString())) });
+      }
+    }
+
+    const participants = [me, ...others];
+    const now = new Date();
+    const conversation = await Conversation.create({
+      participants,
+      isGroup,
+      name: isGroup ? req.body.name : undefined,
+      createdBy: req.user._id,
+      reads: participants.map(user => ({ user, lastReadAt: now }))
+    });
+    await conversation.populate('participants', PARTICIPANT_FIELDS);
+
+    const presented = presentConversation(conversation);
+    sendToUsers(participants, 'conversation', { conversation: presented });
+
+    res.status(201).json({ conversation: presented });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Message history, newest page first; pass `before` (a message date) for older pages
+// @access  Private
+router.get('/:id/messages', verifyToken, [
+  query('before').optional().isISO8601().withMessage('Invalid date'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], loadConversation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { before, limit = 30 } = req.query;
+    const filter = { conversation: req.conversation._id };
+    if (before) {
+      filter.createdAt = { $lt: new Date(before) };
+    }
+
+    // One extra message tells whether there is an older page
+    const messages = await Message.find(filter)
+      .populate('sender', PARTICIPANT_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(limit + 1);
+
+    res.json({
+      messages: messages.slice(0, limit).reverse(),
+      hasMore: messages.length > limit
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a message and deliver it to the other participants in real time
+// @access  Private
+router.post('/:id/messages', verifyToken, requireVerifiedEmail, blockWhileImpersonating, [
+  body('text').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters')
+], loadConversation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { conversation } = req;
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: req.user._id,
+      text: req.body.text
+    });
+    await message.populate('sender', PARTICIPANT_FIELDS);
+
+    conversation.lastMessage = { text: message.text, sender: req.user._id, createdAt: message.createdAt };
+    const read = conversation.reads.find(entry => entry.user.equals(req.user._id));
+    if (read) {
+      read.lastReadAt = message.createdAt;
+    } else {
+      conversation.reads.push({ user: req.user._id, lastReadAt: message.createdAt });
+    }
+    await conversation.save();
+
+    sendToUsers(conversation.participants, 'message', { conversationId: conversation._id, message });
+
+    res.status(201).json({ message });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations/:id/read
+// @desc    Mark a conversation as read
+// @access  Private
+router.post('/:id/read', verifyToken, blockWhileImpersonating, loadConversation, async (req, res) => {
+  try {
+    const { conversation } = req;
+    const now = new Date();
+    const read = conversation.reads.find(entry => entry.user.equals(req.user._id));
+
+    if (read) {
+      read.lastReadAt = now;
+    } else {
+      conversation.reads.push({ user: req.user._id, lastReadAt: now });
+    }
+    // Reading must not move the conversation up the list
+    await conversation.save({ timestamps: false });
+
+    // Other tabs of the same user clear their unread badge
+    sendToUsers([req.user._id], 'read', { conversationId: conversation._id });
+
+    res.json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/conversations/:id/participants/me
+// @desc    Leave a group conversation
+// @access  Private
+router.delete('/:id/participants/me', verifyToken, blockWhileImpersonating, loadConversation, async (req, res) => {
+  try {
+    const { conversation } = req;
+
+    if (!conversation.isGroup) {
+      return res.status(400).json({ message: 'Only group conversations can be left' });
+    }
+
+    conversation.participants = conversation.participants.filter(user => !user.equals(req.user._id));
+    conversation.reads = conversation.reads.filter(entry => !entry.user.equals(req.user._id));
+
+    if (conversation.participants.length === 0) {
+      await Promise.all([
+        Message.deleteMany({ conversation: conversation._id }),
+        conversation.deleteOne()
+      ]);
+    } else {
+      await conversation.save();
+      await conversation.populate('participants', PARTICIPANT_FIELDS);
+      sendToUsers(conversation.participants.map(user => user._id), 'conversation', {
+        conversation: presentConversation(conversation)
+      });
+    }
+
+    res.json({ message: 'You left the conversation' });
+  } catch (error) {
+    console.error('Leave conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
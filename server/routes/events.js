@@ -1,14 +1,56 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const Event = require('../models/Event');
 const Club = require('../models/Club');
 const User = require('../models/User');
-const { verifyToken, requireRole } = require('./auth');
-
-const router = express.Router();// @route   GET /api/events
+const {
+    verifyToken,
+    optionalAuth,
+    requireVerifiedEmail,
+    authorizeClub,
+    clubFromBody,
+    clubFromEvent
+} = require('../middleware/auth');
+const { activeUsers, withoutInactive } = require('../utils/rosters');
+const { getViewer, redactPopulated } = require('../utils/privacy');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { MediaError, imageUpload, saveImage, clearImage, removeMediaFor } = require('../utils/media');
+const { buildProfile, rankEvents } = require('../utils/eventScoring');
+
+const router = express.Router();
+
+// Event fields recorded in the audit log
+const EVENT_AUDIT_FIELDS = [
+    'title',
+    'description',
+    'eventType',
+    'club',
+    'startDate',
+    'endDate',
+    'startTime',
+    'endTime',
+    'venue',
+    'maxAttendees',
+    'registrationFee',
+    'registrationDeadline',
+    'isRegistrationRequired',
+    'status',
+    'isPublic'
+];
+
+// Plain copy of an event with its attendee list filtered and reduced to what the viewer may see
+const presentEvent = (event, viewer, userFields) => {
+    return redactPopulated(withoutInactive(event, 'attendees'), 'attendees.user', viewer, userFields);
+};
+
+// Events of deleted clubs stay hidden until the club is restored
+const activeClubFilter = async () => ({ $nin: await Club.find({ isActive: false }).distinct('_id') });
+
+const belongsToActiveClub = (event) => Club.exists({ _id: event.club, isActive: true });
+
+// @route   GET /api/events
 // @desc    Get all events
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
     try {
         const {
             type,
@@ -19,7 +61,7 @@ router.get('/', async (req, res) => {
             limit = 12
         } = req.query;
 
-        let query = {};
+        let query = { club: await activeClubFilter() };
 
         // Filter by event type
         if (type && type !== 'All') {
@@ -44,15 +86,16 @@ router.get('/', async (req, res) => {
 
         const events = await Event.find(query)
             .populate('organizer', 'name category')
-            .populate('attendees', 'name email')
+            .populate(activeUsers('attendees.user', 'name email'))
             .limit(limit * 1)
             .skip((page - 1) * limit)
             .sort({ startDate: 1 });
 
         const total = await Event.countDocuments(query);
+        const viewer = await getViewer(req.user);
 
         res.json({
-            events,
+            events: events.map(event => presentEvent(event, viewer, 'name email')),
             totalPages: Math.ceil(total / limit),
             currentPage: page,
             total
@@ -63,20 +106,70 @@ router.get('/', async (req, res) => {
     }
 });
 
+// @route   GET /api/events/feed
+// @desc    Upcoming events ranked for the current user ("For You"), with the reasons for each
+// @access  Private
+router.get('/feed', verifyToken, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.max(Math.min(parseInt(req.query.limit, 10) || 12, 50), 1);
+        const now = new Date();
+        const viewer = await getViewer(req.user);
+        const clubIds = [...viewer.clubIds];
+
+        // Past events: registrations that have already happened, plus anything recorded on the profile
+        const attendedEvents = await Event.find({
+            $or: [
+                { 'attendees.user': req.user._id, startDate: { $lt: now } },
+                { _id: { $in: (req.user.eventsAttended || []).map(entry => entry.event).filter(Boolean) } }
+            ]
+        }).select('club eventType');
+
+        const events = await Event.find({
+            club: await activeClubFilter(),
+            startDate: { $gte: now },
+            // Events are created as Draft and nothing publishes them yet, so only leave out called-off ones
+            status: { $nin: ['Cancelled', 'Completed'] },
+            'attendees.user': { $ne: req.user._id },
+            $or: [{ isPublic: true }, { club: { $in: clubIds } }]
+        })
+            .populate('club', 'name category logo logoThumbnail')
+            .populate(activeUsers('attendees.user', 'name email'));
+
+        const profile = buildProfile({ clubIds, interests: req.user.interests, attendedEvents });
+        const ranked = rankEvents(events, profile, { now });
+        const pageItems = ranked.slice((page - 1) * limit, page * limit);
+
+        res.json({
+            events: pageItems.map(({ event, score, reasons }) => ({
+                ...presentEvent(event, viewer, 'name email'),
+                score,
+                reasons
+            })),
+            totalPages: Math.ceil(ranked.length / limit),
+            currentPage: page,
+            total: ranked.length
+        });
+    } catch (error) {
+        console.error('Get event feed error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   GET /api/events/:id
 // @desc    Get event by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
     try {
         const event = await Event.findById(req.params.id)
             .populate('organizer', 'name category description president')
-            .populate('attendees', 'name email profilePicture major year');
+            .populate(activeUsers('attendees.user', 'name email profilePicture major year'));
 
-        if (!event) {
+        if (!event || !(await belongsToActiveClub(event))) {
             return res.status(404).json({ message: 'Event not found' });
         }
 
-        res.json(event);
+        res.json(presentEvent(event, await getViewer(req.user), 'name email profilePicture major year'));
     } catch (error) {
         console.error('Get event error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -85,8 +178,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/events
 // @desc    Create a new event
-// @access  Private (Club members only)
-router.post('/', verifyToken, async (req, res) => {
+// @access  Private (Club officers or Administrator)
+router.post('/', verifyToken, authorizeClub('event:create', clubFromBody('club', 'organizer')), async (req, res) => {
     try {
         const {
             title,
@@ -105,25 +198,12 @@ router.post('/', verifyToken, async (req, res) => {
             tags
         } = req.body;
 
-        // Verify user is a member of the organizing club
-        const club = await Club.findById(organizer);
-        if (!club) {
-            return res.status(404).json({ message: 'Club not found' });
-        }
-
-        const isMember = club.members.some(
-            member => member.user.toString() === req.user._id.toString()
-        );
-
-        if (!isMember) {
-            return res.status(403).json({ message: 'You must be a member of the club to create events' });
-        }
-
         const event = new Event({
             title,
             description,
             type,
             organizer,
+            club: req.club._id,
             startDate,
             endDate,
             venue,
@@ -139,13 +219,20 @@ router.post('/', verifyToken, async (req, res) => {
 
         await event.save();
 
+        await recordAudit(req, {
+            action: 'event.create',
+            targetType: 'Event',
+            target: event,
+            after: snapshot(event, EVENT_AUDIT_FIELDS)
+        });
+
         const populatedEvent = await Event.findById(event._id)
             .populate('organizer', 'name category')
-            .populate('attendees', 'name email');
+            .populate(activeUsers('attendees.user', 'name email'));
 
         res.status(201).json({
             message: 'Event created successfully',
-            event: populatedEvent
+            event: presentEvent(populatedEvent, await getViewer(req.user), 'name email')
         });
     } catch (error) {
         console.error('Create event error:', error);
@@ -153,14 +240,156 @@ router.post('/', verifyToken, async (req, res) => {
     }
 });
 
+// @route   PUT /api/events/:id
+// @desc    Update an event
+// @access  Private (Officers of the organizing club or Administrator)
+router.put('/:id', verifyToken, authorizeClub('event:update', clubFromEvent('id')), async (req, res) => {
+    try {
+        const editableFields = [
+            'title',
+            'description',
+            'eventType',
+            'startDate',
+            'endDate',
+            'startTime',
+            'endTime',
+            'venue',
+            'maxAttendees',
+            'registrationFee',
+            'registrationDeadline',
+            'isRegistrationRequired',
+            'tags',
+            'requirements',
+            'contactPerson',
+            'status',
+            'isPublic'
+        ];
+
+        const before = snapshot(req.event, EVENT_AUDIT_FIELDS);
+
+        editableFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                req.event[field] = req.body[field];
+            }
+        });
+
+        await req.event.save();
+
+        await recordAudit(req, {
+            action: 'event.update',
+            targetType: 'Event',
+            target: req.event,
+            before,
+            after: snapshot(req.event, EVENT_AUDIT_FIELDS)
+        });
+
+        const populatedEvent = await Event.findById(req.event._id)
+            .populate('club', 'name category')
+            .populate(activeUsers('attendees.user', 'name email'));
+
+        res.json({
+            message: 'Event updated successfully',
+            event: presentEvent(populatedEvent, await getViewer(req.user), 'name email')
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Update event error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/events/:id
+// @desc    Delete an event
+// @access  Private (Senior officers of the organizing club or Administrator)
+router.delete('/:id', verifyToken, authorizeClub('event:delete', clubFromEvent('id')), async (req, res) => {
+    try {
+        await req.event.deleteOne();
+
+        await recordAudit(req, {
+            action: 'event.delete',
+            targetType: 'Event',
+            target: req.event,
+            before: snapshot(req.event, EVENT_AUDIT_FIELDS)
+        });
+
+        // Remove the event from attendees' history
+        await User.updateMany(
+            { 'eventsAttended.event': req.event._id },
+            { $pull: { eventsAttended: { event: req.event._id } } }
+        );
+
+        await removeMediaFor('Event', req.event._id);
+
+        res.json({ message: 'Event deleted successfully' });
+    } catch (error) {
+        console.error('Delete event error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/events/:id/poster
+// @desc    Upload the event poster (multipart field "image")
+// @access  Private (Officers of the organizing club or Administrator)
+router.post('/:id/poster', verifyToken, authorizeClub('event:update', clubFromEvent('id')), imageUpload, async (req, res) => {
+    try {
+        const previousPoster = req.event.poster;
+        const media = await saveImage('poster', req.event, req.file, req.user._id);
+
+        await recordAudit(req, {
+            action: 'event.poster.update',
+            targetType: 'Event',
+            target: req.event,
+            before: { poster: previousPoster },
+            after: { poster: media.url }
+        });
+
+        res.json({
+            message: 'Event poster updated',
+            poster: media.url,
+            posterThumbnail: media.thumbnailUrl
+        });
+    } catch (error) {
+        if (error instanceof MediaError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Upload event poster error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/events/:id/poster
+// @desc    Remove the event poster
+// @access  Private (Officers of the organizing club or Administrator)
+router.delete('/:id/poster', verifyToken, authorizeClub('event:update', clubFromEvent('id')), async (req, res) => {
+    try {
+        const previousPoster = req.event.poster;
+        await clearImage('poster', req.event);
+
+        await recordAudit(req, {
+            action: 'event.poster.remove',
+            targetType: 'Event',
+            target: req.event,
+            before: { poster: previousPoster },
+            after: { poster: '' }
+        });
+
+        res.json({ message: 'Event poster removed' });
+    } catch (error) {
+        console.error('Remove event poster error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // @route   POST /api/events/:id/register
 // @desc    Register for an event
 // @access  Private
-router.post('/:id/register', verifyToken, async (req, res) => {
+router.post('/:id/register', verifyToken, requireVerifiedEmail, async (req, res) => {
     try {
         const event = await Event.findById(req.params.id);
 
-        if (!event) {
+        if (!event || !(await belongsToActiveClub(event))) {
             return res.status(404).json({ message: 'Event not found' });
         }
 
@@ -246,10 +475,10 @@ router.post('/:id/unregister', verifyToken, async (req, res) => {
 // @route   GET /api/events/club/:clubId
 // @desc    Get events by club
 // @access  Public
-router.get('/club/:clubId', async (req, res) => {
+router.get('/club/:clubId', optionalAuth, async (req, res) => {
     try {
         const { upcoming = true, page = 1, limit = 12 } = req.query;
-        let query = { organizer: req.params.clubId };
+        let query = { organizer: req.params.clubId, club: await activeClubFilter() };
 
         // Filter upcoming events
         if (upcoming === 'true') {
@@ -258,15 +487,16 @@ router.get('/club/:clubId', async (req, res) => {
 
         const events = await Event.find(query)
             .populate('organizer', 'name category')
-            .populate('attendees', 'name email')
+            .populate(activeUsers('attendees.user', 'name email'))
             .limit(limit * 1)
             .skip((page - 1) * limit)
             .sort({ startDate: 1 });
 
         const total = await Event.countDocuments(query);
+        const viewer = await getViewer(req.user);
 
         res.json({
-            events,
+            events: events.map(event => presentEvent(event, viewer, 'name email')),
             totalPages: Math.ceil(total / limit),
             currentPage: page,
             total
@@ -0,0 +1,193 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const RoleRequest = require('../models/RoleRequest');
+const User = require('../models/User');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { escapeHtml, sendMail } = require('../utils/mailer');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Let the requester know an Administrator reviewed their request
+const notifyDecision = async (user, request) => {
+  const approved = request.status === 'Approved';
+  const note = request.reviewNote ? `\n\nNote from the administrator: ${request.reviewNote}` : '';
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `Your ${request.requestedRole} request was ${approved ? 'approved' : 'declined'}`,
+      text: `Hi ${user.name},\n\nYour request for the ${request.requestedRole} role has been ${approved ? 'approved. You can now create and manage clubs' : 'declined'}.${note}`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Your request for the ${request.requestedRole} role has been <strong>${approved ? 'approved' : 'declined'}</strong>.</p>${request.reviewNote ? `<p>Note from the administrator: ${escapeHtml(request.reviewNote)}</p>` : ''}`
+    });
+  } catch (error) {
+    console.error('Role request notification error:', error);
+  }
+};
+
+// @route   POST /api/role-requests
+// @desc    Request the Club Admin role
+// @access  Private
+router.post('/', verifyToken, [
+  body('justification')
+    .trim()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage('Please explain in at least 20 characters why you need Club Admin access')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== 'Student') {
+      return res.status(400).json({ message: `You already have the ${req.user.role} role` });
+    }
+
+    const pending = await RoleRequest.findOne({ user: req.user._id, status: 'Pending' });
+    if (pending) {
+      return res.status(400).json({ message: 'You already have a pending request' });
+    }
+
+    const request = await RoleRequest.create({
+      user: req.user._id,
+      requestedRole: 'Club Admin',
+      justification: req.body.justification
+    });
+
+    res.status(201).json({
+      message: 'Request submitted for review',
+      request
+    });
+  } catch (error) {
+    console.error('Create role request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/role-requests/mine
+// @desc    Get the current user's latest role request
+// @access  Private
+router.get('/mine', verifyToken, async (req, res) => {
+  try {
+    const request = await RoleRequest.findOne({ user: req.user._id })
+      .select('-reviewedBy')
+      .sort({ createdAt: -1 });
+
+    res.json({ request });
+  } catch (error) {
+    console.error('Get my role request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/role-requests
+// @desc    List role requests (pending by default)
+// @access  Private (Administrator only)
+router.get('/', verifyToken, requireRole('Administrator'), [
+  queryParam('status')
+    .optional()
+    .isIn([...RoleRequest.schema.path('status').enumValues, 'All'])
+    .withMessage('Status must be Pending, Approved, Rejected or All'),
+  queryParam('page').optional().isInt({ min: 1 }).toInt(),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status = 'Pending', page = 1, limit = 20 } = req.query;
+    const query = status === 'All' ? {} : { status };
+
+    const requests = await RoleRequest.find(query)
+      .populate('user', 'name email university major year')
+      .populate('reviewedBy', 'name')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: 1 });
+
+    const total = await RoleRequest.countDocuments(query);
+
+    res.json({
+      requests,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get role requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Shared handler for approve/reject
+const reviewRequest = (status) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = mongoose.isValidObjectId(req.params.id) ? await RoleRequest.findById(req.params.id) : null;
+    if (!request) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    if (request.status !== 'Pending') {
+      return res.status(400).json({ message: `Request was already ${request.status.toLowerCase()}` });
+    }
+
+    const user = await User.findById(request.user);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    request.status = status;
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    request.reviewNote = req.body.note;
+    await request.save();
+
+    const previousRole = user.role;
+    if (status === 'Approved') {
+      user.role = request.requestedRole;
+      await user.save();
+    }
+
+    await recordAudit(req, {
+      action: `roleRequest.${status === 'Approved' ? 'approve' : 'reject'}`,
+      targetType: 'RoleRequest',
+      target: request,
+      before: { status: 'Pending', role: previousRole },
+      after: { status, role: user.role },
+      metadata: { user: user._id, note: request.reviewNote }
+    });
+
+    await notifyDecision(user, request);
+
+    res.json({
+      message: `Request ${status.toLowerCase()}`,
+      request
+    });
+  } catch (error) {
+    console.error('Review role request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const noteValidator = body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters');
+
+// @route   PATCH /api/role-requests/:id/approve
+// @desc    Approve a role request and grant the role
+// @access  Private (Administrator only)
+router.patch('/:id/approve', verifyToken, requireRole('Administrator'), [noteValidator], reviewRequest('Approved'));
+
+// @route   PATCH /api/role-requests/:id/reject
+// @desc    Reject a role request
+// @access  Private (Administrator only)
+router.patch('/:id/reject', verifyToken, requireRole('Administrator'), [noteValidator], reviewRequest('Rejected'));
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const University = require('../models/University');
+const { createSession } = require('../utils/sessions');
+const { SsoError, startLogin, finishLogin, redeemHandoff } = require('../utils/sso');
+const { checkAccountAllowed, rejectAttempt, recordLoginSuccess } = require('../utils/loginProtection');
+const { formatUser, generateTwoFactorChallenge } = require('../utils/loginResponse');
+
+const router = express.Router();
+
+const loadUniversity = (id) => {
+  return University.findOne({ _id: id, isActive: true }).select('+sso.clientSecret');
+};
+
+// Send the browser back to the client app
+const redirectToClient = (res, path, params) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  res.redirect(`${clientUrl}${path}?${new URLSearchParams(params)}`);
+};
+
+// @route   GET /api/auth/sso/:universityId/start
+// @desc    Redirect to the university identity provider
+// @access  Public
+router.get('/:universityId/start', async (req, res) => {
+  try {
+    const university = mongoose.isValidObjectId(req.params.universityId)
+      ? await loadUniversity(req.params.universityId)
+      : null;
+
+    if (!university || !university.sso.enabled) {
+      return redirectToClient(res, '/login', { ssoError: 'Single sign-on is not available for this university' });
+    }
+
+    res.redirect(await startLogin(university, res));
+  } catch (error) {
+    console.error('SSO start error:', error);
+    redirectToClient(res, '/login', { ssoError: 'Could not reach your university sign-in page' });
+  }
+});
+
+// @route   GET /api/auth/sso/callback
+// @desc    Identity provider redirect target
+// @access  Public
+router.get('/callback', async (req, res) => {
+  try {
+    const code = await finishLogin(req, res, loadUniversity);
+    redirectToClient(res, '/sso/callback', { code });
+  } catch (error) {
+    if (!(error instanceof SsoError)) {
+      console.error('SSO callback error:', error);
+    }
+    redirectToClient(res, '/login', {
+      ssoError: error instanceof SsoError ? error.message : 'Single sign-on failed. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/sso/exchange
+// @desc    Exchange the one-time code from the callback for a session
+// @access  Public
+router.post('/exchange', [
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await redeemHandoff(req.body.code);
+    if (!user) {
+      return res.status(400).json({ message: 'This sign-in link has expired. Please try again.' });
+    }
+
+    const accountDenial = checkAccountAllowed(user);
+    if (accountDenial) {
+      return rejectAttempt(req, res, accountDenial, { user, email: user.email });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        message: 'Your account has been deactivated. Please contact an administrator.',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    // The identity provider replaces the password, not the second factor
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken: await generateTwoFactorChallenge(user)
+      });
+    }
+
+    await recordLoginSuccess(req, user);
+
+    const { token, refreshToken } = await createSession(user._id, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+module.exports = router;
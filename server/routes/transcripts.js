@@ -0,0 +1,136 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Transcript = require('../models/Transcript');
+const { verifyToken, blockWhileImpersonating } = require('../middleware/auth');
+const { verificationUrl, issueTranscript, publicContents, pipeTranscriptPdf } = require('../utils/transcripts');
+
+const router = express.Router();
+
+const presentTranscript = (transcript) => ({
+  _id: transcript._id,
+  code: transcript.code,
+  verificationUrl: verificationUrl(transcript.code),
+  issuedAt: transcript.createdAt,
+  revokedAt: transcript.revokedAt,
+  clubCount: transcript.clubs.length,
+  eventCount: transcript.events.length
+});
+
+// The transcript at :id if the current user owns it (Administrators may see any)
+const findOwnTranscript = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+
+  const query = { _id: req.params.id };
+  if (req.user.role !== 'Administrator') {
+    query.user = req.user._id;
+  }
+  return Transcript.findOne(query);
+};
+
+// @route   GET /api/transcripts/verify/:code
+// @desc    Check a transcript's verification code and show what it certifies
+// @access  Public
+router.get('/verify/:code', async (req, res) => {
+  try {
+    const transcript = await Transcript.findOne({ code: req.params.code.trim().toUpperCase() });
+
+    if (!transcript) {
+      return res.status(404).json({ message: 'No transcript has this verification code' });
+    }
+
+    res.json({
+      valid: !transcript.revokedAt,
+      code: transcript.code,
+      issuedAt: transcript.createdAt,
+      revokedAt: transcript.revokedAt,
+      checksum: transcript.checksum,
+      ...publicContents(transcript)
+    });
+  } catch (error) {
+    console.error('Verify transcript error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/transcripts
+// @desc    Transcripts issued to the current user, newest first
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const transcripts = await Transcript.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({ transcripts: transcripts.map(presentTranscript) });
+  } catch (error) {
+    console.error('Get transcripts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/transcripts
+// @desc    Issue a new transcript of the current user's clubs and attended events
+// @access  Private
+router.post('/', verifyToken, blockWhileImpersonating, async (req, res) => {
+  try {
+    const transcript = await issueTranscript(req.user._id);
+
+    res.status(201).json({
+      message: 'Transcript issued',
+      transcript: presentTranscript(transcript)
+    });
+  } catch (error) {
+    console.error('Issue transcript error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/transcripts/:id/pdf
+// @desc    Download a transcript as PDF
+// @access  Private (owner or Administrator)
+router.get('/:id/pdf', verifyToken, async (req, res) => {
+  try {
+    const transcript = await findOwnTranscript(req);
+
+    if (!transcript) {
+      return res.status(404).json({ message: 'Transcript not found' });
+    }
+
+    res.type('application/pdf');
+    res.attachment(`uniconnect-transcript-${transcript.code}.pdf`);
+    pipeTranscriptPdf(transcript, res);
+  } catch (error) {
+    console.error('Download transcript error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// @route   DELETE /api/transcripts/:id
+// @desc    Revoke a transcript; its code then verifies as revoked
+// @access  Private (owner or Administrator)
+router.delete('/:id', verifyToken, blockWhileImpersonating, async (req, res) => {
+  try {
+    const transcript = await findOwnTranscript(req);
+
+    if (!transcript) {
+      return res.status(404).json({ message: 'Transcript not found' });
+    }
+
+    if (!transcript.revokedAt) {
+      transcript.revokedAt = new Date();
+      await transcript.save();
+    }
+
+    res.json({
+      message: 'Transcript revoked',
+      transcript: presentTranscript(transcript)
+    });
+  } catch (error) {
+    console.error('Revoke transcript error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { verifyToken, blockWhileImpersonating } = require('../middleware/auth');
+const {
+  isTwoFactorRequired,
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+const loadUserWithSecrets = (userId) => {
+  return User.findById(userId).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes');
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status of the current user
+// @access  Private
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id);
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment and return a QR code for an authenticator app
+// @access  Private
+router.post('/setup', verifyToken, blockWhileImpersonating, async (req, res) => {
+  try {
+    const user = await loadUserWithSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    user.twoFactor.pendingSecret = generateSecret();
+    await user.save();
+
+    const enrollment = await buildEnrollment(user.email, user.twoFactor.pendingSecret);
+    res.json(enrollment);
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/enable', verifyToken, blockWhileImpersonating, [
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await loadUserWithSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!verifyTotp(user.twoFactor.pendingSecret, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes
+// @access  Private
+router.post('/recovery-codes', verifyToken, blockWhileImpersonating, [
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await loadUserWithSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifyTotp(user.twoFactor.secret, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', verifyToken, blockWhileImpersonating, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await loadUserWithSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !verifySecondFactor(user, req.body.code).valid) {
+      return res.status(400).json({ message: 'Invalid password or verification code' });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,14 @@
 const express = require('express');
 const University = require('../models/University');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
+// University fields recorded in the audit log; the SSO client secret is never logged
+const UNIVERSITY_AUDIT_FIELDS = ['name', 'code', 'location', 'type', 'website', 'emailDomains', 'isActive'];
+const SSO_AUDIT_FIELDS = ['sso.enabled', 'sso.issuer', 'sso.clientId', 'sso.scopes', 'sso.buttonLabel', 'sso.allowProvisioning'];
+
 // @route   GET /api/universities
 // @desc    Get all universities
 // @access  Public
@@ -72,7 +78,7 @@ router.get('/:id', async (req, res) => {
 // @route   POST /api/universities
 // @desc    Create a new university (Admin only)
 // @access  Private (Administrator only)
-router.post('/', async (req, res) => {
+router.post('/', verifyToken, requireRole('Administrator'), async (req, res) => {
     try {
         const {
             name,
@@ -80,7 +86,8 @@ router.post('/', async (req, res) => {
             location,
             type,
             website,
-            establishedYear
+            establishedYear,
+            emailDomains
         } = req.body;
 
         // Check if university with same name or code exists
@@ -104,11 +111,19 @@ router.post('/', async (req, res) => {
             location,
             type,
             website,
-            establishedYear
+            establishedYear,
+            emailDomains
         });
 
         await university.save();
 
+        await recordAudit(req, {
+            action: 'university.create',
+            targetType: 'University',
+            target: university,
+            after: snapshot(university, UNIVERSITY_AUDIT_FIELDS)
+        });
+
         res.status(201).json({
             success: true,
             message: 'University created successfully',
@@ -123,4 +138,67 @@ router.post('/', async (req, res) => {
     }
 });
 
+// @route   PUT /api/universities/:id/sso
+// @desc    Configure OpenID Connect single sign-on for a university
+// @access  Private (Administrator only)
+router.put('/:id/sso', verifyToken, requireRole('Administrator'), async (req, res) => {
+    try {
+        const { enabled, issuer, clientId, clientSecret, scopes, buttonLabel, allowProvisioning } = req.body;
+
+        if (enabled && (!issuer || !clientId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Issuer and client ID are required to enable single sign-on'
+            });
+        }
+
+        const university = await University.findById(req.params.id).select('+sso.clientSecret');
+
+        if (!university) {
+            return res.status(404).json({
+                success: false,
+                message: 'University not found'
+            });
+        }
+
+        const before = snapshot(university, SSO_AUDIT_FIELDS);
+        const hadSecret = Boolean(university.sso.clientSecret);
+
+        university.sso.enabled = Boolean(enabled);
+        if (issuer !== undefined) university.sso.issuer = issuer;
+        if (clientId !== undefined) university.sso.clientId = clientId;
+        // An omitted secret keeps the stored one; an empty string clears it
+        if (clientSecret !== undefined) university.sso.clientSecret = clientSecret || undefined;
+        if (scopes) university.sso.scopes = scopes;
+        if (buttonLabel !== undefined) university.sso.buttonLabel = buttonLabel;
+        if (allowProvisioning !== undefined) university.sso.allowProvisioning = Boolean(allowProvisioning);
+
+        await university.save();
+
+        await recordAudit(req, {
+            action: 'university.sso.update',
+            targetType: 'University',
+            target: university,
+            before,
+            after: snapshot(university, SSO_AUDIT_FIELDS),
+            metadata: { clientSecretChanged: clientSecret !== undefined, hadClientSecret: hadSecret }
+        });
+
+        const saved = university.toObject();
+        delete saved.sso.clientSecret;
+
+        res.json({
+            success: true,
+            message: 'Single sign-on settings saved',
+            university: saved
+        });
+    } catch (error) {
+        console.error('Update university SSO error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 module.exports = router;
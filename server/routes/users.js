@@ -1,31 +1,21 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { verifyToken, requireRole, blockWhileImpersonating } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/sessions');
+const { buildUserExport, pipeExportZip } = require('../utils/dataExport');
+const { findPresidencies, scheduleDeletion, cancelDeletion } = require('../utils/accountDeletion');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { PRIVATE_FIELDS, PROFILE_SELECT, getViewer, visibleFieldQuery, redactUser } = require('../utils/privacy');
+const { escapeRegex, exactText } = require('../utils/search');
+const { mutualCounts, connectionStatus } = require('../utils/connections');
+const { MediaError, imageUpload, saveImage, clearImage } = require('../utils/media');
 
 const router = express.Router();
 
-// Middleware to verify JWT token
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
-  }
-};
+// User fields recorded in the audit log for account status changes
+const STATUS_AUDIT_FIELDS = ['isActive', 'deactivationReason', 'lockUntil', 'deletion.scheduledFor'];
 
 // @route   GET /api/users/profile
 // @desc    Get current user profile
@@ -37,12 +27,22 @@ router.get('/profile', verifyToken, async (req, res) => {
         id: req.user._id,
         name: req.user.name,
         email: req.user.email,
+        role: req.user.role,
+        emailVerified: req.user.emailVerified,
+        twoFactorEnabled: req.user.twoFactor.enabled,
+        deletionScheduledFor: req.user.deletion?.scheduledFor,
         university: req.user.university,
         major: req.user.major,
         year: req.user.year,
         bio: req.user.bio,
         interests: req.user.interests,
-        profilePicture: req.user.profilePicture
+        profilePicture: req.user.profilePicture,
+        profilePictureThumbnail: req.user.profilePictureThumbnail,
+        privacy: req.user.privacy,
+        impersonatedBy: req.impersonator && {
+          id: req.impersonator._id,
+          name: req.impersonator.name
+        }
       }
     });
   } catch (error) {
@@ -52,17 +52,16 @@ router.get('/profile', verifyToken, async (req, res) => {
 });
 
 // @route   PUT /api/users/profile
-// @desc    Update user profile
+// @desc    Update user profile (the university is tied to the verified email and not editable)
 // @access  Private
 router.put('/profile', verifyToken, async (req, res) => {
   try {
-    const { name, university, major, year, bio, interests } = req.body;
+    const { name, major, year, bio, interests } = req.body;
 
     const updatedUser = await User.findByIdAndUpdate(
       req.user._id,
       {
         name,
-        university,
         major,
         year,
         bio,
@@ -81,20 +80,588 @@ router.put('/profile', verifyToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/users/me/avatar
+// @desc    Upload a profile picture (multipart field "image")
+// @access  Private
+router.post('/me/avatar', verifyToken, imageUpload, async (req, res) => {
+  try {
+    const media = await saveImage('avatar', req.user, req.file, req.user._id);
+
+    res.json({
+      message: 'Profile picture updated',
+      profilePicture: media.url,
+      profilePictureThumbnail: media.thumbnailUrl
+    });
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/me/avatar
+// @desc    Remove the profile picture
+// @access  Private
+router.delete('/me/avatar', verifyToken, async (req, res) => {
+  try {
+    await clearImage('avatar', req.user);
+
+    res.json({ message: 'Profile picture removed' });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download everything stored about the current user (?format=zip for an archive)
+// @access  Private
+router.get('/me/export', verifyToken, blockWhileImpersonating, async (req, res) => {
+  try {
+    const data = await buildUserExport(req.user._id);
+    const fileName = `uniconnect-data-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'zip') {
+      res.attachment(`${fileName}.zip`);
+      await pipeExportZip(data, res);
+      return;
+    }
+
+    res.attachment(`${fileName}.json`);
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Export user data error:', error);
+    // Part of the zip may already be on its way; cut the download off instead
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refuse deletion while the user presides over a club; returns true when a response was sent
+const blockIfPresident = async (user, res) => {
+  const clubs = await findPresidencies(user._id);
+  if (clubs.length === 0) {
+    return false;
+  }
+
+  res.status(409).json({
+    message: 'Transfer the presidency of these clubs before deleting the account',
+    code: 'PRESIDENCY_TRANSFER_REQUIRED',
+    clubs
+  });
+  return true;
+};
+
+// @route   DELETE /api/users/me
+// @desc    Schedule deletion of the current user's account after a grace period
+// @access  Private
+router.delete('/me', verifyToken, blockWhileImpersonating, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is already scheduled' });
+    }
+
+    if (await blockIfPresident(user, res)) {
+      return;
+    }
+
+    const scheduledFor = await scheduleDeletion(user, { requestedBy: user._id });
+
+    await recordAudit(req, {
+      action: 'user.deletion.schedule',
+      targetType: 'User',
+      target: user,
+      after: snapshot(user, STATUS_AUDIT_FIELDS)
+    });
+
+    res.json({
+      message: 'Your account will be deleted at the end of the grace period. Sign in and cancel before then to keep it.',
+      scheduledFor
+    });
+  } catch (error) {
+    console.error('Schedule account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/me/cancel-deletion
+// @desc    Cancel a scheduled deletion of the current user's account
+// @access  Private
+router.post('/me/cancel-deletion', verifyToken, blockWhileImpersonating, async (req, res) => {
+  try {
+    if (!req.user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'No account deletion is scheduled' });
+    }
+
+    await cancelDeletion(req.user);
+
+    await recordAudit(req, {
+      action: 'user.deletion.cancel',
+      targetType: 'User',
+      target: req.user
+    });
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/users
 // @desc    Get all users (for connecting)
 // @access  Private
 router.get('/', verifyToken, async (req, res) => {
   try {
-    const users = await User.find({ _id: { $ne: req.user._id } })
-      .select('-password')
+    const query = { _id: { $ne: req.user._id } };
+
+    // Deactivated accounts are only visible to administrators
+    if (req.user.role !== 'Administrator') {
+      query.isActive = true;
+    }
+
+    // Administrators manage accounts and get the full documents
+    if (req.user.role === 'Administrator') {
+      const users = await User.find(query)
+        .select('-password')
+        .limit(20);
+
+      return res.json({ users });
+    }
+
+    const users = await User.find(query)
+      .select(PROFILE_SELECT)
       .limit(20);
+    const viewer = await getViewer(req.user);
 
-    res.json({ users });
+    res.json({ users: users.map(user => redactUser(user, viewer)) });
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   PUT /api/users/profile/privacy
+// @desc    Choose who can see each profile field
+// @access  Private
+router.put('/profile/privacy', verifyToken, PRIVATE_FIELDS.map(field =>
+  body(field)
+    .optional()
+    .isIn(User.PRIVACY_LEVELS)
+    .withMessage(`${field} must be one of: ${User.PRIVACY_LEVELS.join(', ')}`)
+), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    PRIVATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        req.user.privacy[field] = req.body[field];
+      }
+    });
+    await req.user.save();
+
+    res.json({
+      message: 'Privacy settings updated',
+      privacy: req.user.privacy
+    });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/directory
+// @desc    Search the student directory (name search, university, major, year, interests and club filters)
+// @access  Private
+router.get('/directory', verifyToken, [
+  query('search').optional().isString().withMessage('Invalid search'),
+  query('major').optional().isString().withMessage('Invalid major'),
+  query('interests').optional().isString().withMessage('Invalid interests'),
+  query('university').optional().isMongoId().withMessage('Invalid university'),
+  query('club').optional().isMongoId().withMessage('Invalid club'),
+  query('year').optional().isIn(User.schema.path('year').enumValues).withMessage('Invalid year'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, university, major, year, interests, club, page = 1, limit = 20 } = req.query;
+    const viewer = await getViewer(req.user);
+    const conditions = [{ isActive: true }];
+
+    if (search) {
+      conditions.push({ name: { $regex: escapeRegex(search.trim()), $options: 'i' } });
+    }
+
+    if (university) {
+      conditions.push({ university });
+    }
+
+    // Filters on private fields only match users who let the viewer see that field
+    if (major) {
+      conditions.push({ major: exactText(major) }, visibleFieldQuery('major', viewer));
+    }
+
+    if (year) {
+      conditions.push({ year }, visibleFieldQuery('year', viewer));
+    }
+
+    const interestList = String(interests || '').split(',').map(interest => interest.trim()).filter(Boolean);
+    if (interestList.length > 0) {
+      conditions.push({ interests: { $in: interestList.map(exactText) } }, visibleFieldQuery('interests', viewer));
+    }
+
+    if (club) {
+      conditions.push({ 'clubMemberships.club': club }, visibleFieldQuery('clubMemberships', viewer));
+    }
+
+    const filter = { $and: conditions };
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(PROFILE_SELECT)
+        .populate('university', 'name code')
+        .populate('clubMemberships.club', 'name')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users: users.map(user => redactUser(user, viewer)),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Directory search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Public profile of a user, limited by their privacy settings
+// @access  Private
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id)
+        .select(`${PROFILE_SELECT} isActive`)
+        .populate('university', 'name code')
+        .populate({ path: 'clubMemberships.club', select: 'name category logo', match: { isActive: true } })
+      : null;
+
+    if (!user || (!user.isActive && req.user.role !== 'Administrator')) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const profile = redactUser(user, await getViewer(req.user));
+    delete profile.isActive;
+    if (profile.clubMemberships) {
+      profile.clubMemberships = profile.clubMemberships.filter(membership => membership.club);
+    }
+
+    if (!user._id.equals(req.user._id)) {
+      const mutual = await mutualCounts(req.user._id, [user._id]);
+      profile.connection = await connectionStatus(req.user._id, user._id);
+      profile.mutualConnections = mutual.get(user._id.toString());
+    }
+
+    res.json({ user: profile });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/users/:id/unlock
+// @desc    Clear a login lockout
+// @access  Private (Administrator only)
+router.patch('/:id/unlock', verifyToken, requireRole('Administrator'), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('-password')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = snapshot(user, STATUS_AUDIT_FIELDS);
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    user.lastFailedLoginAt = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      target: user,
+      before,
+      after: snapshot(user, STATUS_AUDIT_FIELDS)
+    });
+
+    res.json({
+      message: 'User account unlocked',
+      user
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const reasonValidator = body('reason')
+  .trim()
+  .isLength({ min: 3, max: 500 })
+  .withMessage('Please give a reason (3-500 characters)');
+
+// @route   PATCH /api/users/:id/deactivate
+// @desc    Deactivate an account and sign it out everywhere
+// @access  Private (Administrator only)
+router.patch('/:id/deactivate', verifyToken, requireRole('Administrator'), [reasonValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('-password')
+      : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    if (user.role === 'Administrator') {
+      return res.status(400).json({ message: 'Administrator accounts cannot be deactivated' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is already deactivated' });
+    }
+
+    const before = snapshot(user, STATUS_AUDIT_FIELDS);
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivationReason = req.body.reason;
+    user.statusHistory.push({
+      action: 'Deactivated',
+      reason: req.body.reason,
+      by: req.user._id
+    });
+    await user.save();
+
+    await revokeUserSessions(user._id);
+
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'User',
+      target: user,
+      before,
+      after: snapshot(user, STATUS_AUDIT_FIELDS),
+      metadata: { reason: req.body.reason }
+    });
+
+    res.json({
+      message: 'User deactivated',
+      user
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/users/:id/reactivate
+// @desc    Reactivate a deactivated account
+// @access  Private (Administrator only)
+router.patch('/:id/reactivate', verifyToken, requireRole('Administrator'), [reasonValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('-password')
+      : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ message: 'User is already active' });
+    }
+
+    const before = snapshot(user, STATUS_AUDIT_FIELDS);
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.deactivationReason = undefined;
+    user.statusHistory.push({
+      action: 'Reactivated',
+      reason: req.body.reason,
+      by: req.user._id
+    });
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'User',
+      target: user,
+      before,
+      after: snapshot(user, STATUS_AUDIT_FIELDS),
+      metadata: { reason: req.body.reason }
+    });
+
+    res.json({
+      message: 'User reactivated',
+      user
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/:id/status-history
+// @desc    Deactivation and reactivation history of an account
+// @access  Private (Administrator only)
+router.get('/:id/status-history', verifyToken, requireRole('Administrator'), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id)
+        .select('name isActive statusHistory')
+        .populate('statusHistory.by', 'name email')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      isActive: user.isActive,
+      history: user.statusHistory.slice().reverse()
+    });
+  } catch (error) {
+    console.error('Get status history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/:id
+// @desc    Schedule deletion of an account after a grace period
+// @access  Private (Administrator only)
+router.delete('/:id', verifyToken, requireRole('Administrator'), [reasonValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'Use account settings to delete your own account' });
+    }
+
+    if (user.role === 'Administrator') {
+      return res.status(400).json({ message: 'Administrator accounts cannot be deleted' });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is already scheduled' });
+    }
+
+    if (await blockIfPresident(user, res)) {
+      return;
+    }
+
+    const scheduledFor = await scheduleDeletion(user, {
+      requestedBy: req.user._id,
+      reason: req.body.reason
+    });
+
+    await recordAudit(req, {
+      action: 'user.deletion.schedule',
+      targetType: 'User',
+      target: user,
+      after: snapshot(user, STATUS_AUDIT_FIELDS),
+      metadata: { reason: req.body.reason }
+    });
+
+    res.json({
+      message: 'Account scheduled for deletion',
+      scheduledFor
+    });
+  } catch (error) {
+    console.error('Schedule user deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/:id/cancel-deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private (Administrator only)
+router.post('/:id/cancel-deletion', verifyToken, requireRole('Administrator'), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('-password')
+      : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'No account deletion is scheduled' });
+    }
+
+    await cancelDeletion(user);
+
+    await recordAudit(req, {
+      action: 'user.deletion.cancel',
+      targetType: 'User',
+      target: user
+    });
+    res.json({
+      message: 'Account deletion cancelled',
+      user
+    });
+  } catch (error) {
+    console.error('Cancel user deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
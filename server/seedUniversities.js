@@ -13,6 +13,7 @@ const sampleUniversities = [
         },
         type: 'Private',
         website: 'https://www.northsouth.edu',
+        emailDomains: ['northsouth.edu'],
         establishedYear: 1992,
         isActive: true
     },
@@ -26,6 +27,7 @@ const sampleUniversities = [
         },
         type: 'Private',
         website: 'https://www.bracu.ac.bd',
+        emailDomains: ['bracu.ac.bd'],
         establishedYear: 2001,
         isActive: true
     },
@@ -39,6 +41,7 @@ const sampleUniversities = [
         },
         type: 'Public',
         website: 'https://www.du.ac.bd',
+        emailDomains: ['du.ac.bd'],
         establishedYear: 1921,
         isActive: true
     },
@@ -52,6 +55,7 @@ const sampleUniversities = [
         },
         type: 'Public',
         website: 'https://www.buet.ac.bd',
+        emailDomains: ['buet.ac.bd'],
         establishedYear: 1962,
         isActive: true
     },
@@ -65,6 +69,7 @@ const sampleUniversities = [
         },
         type: 'Private',
         website: 'https://www.iub.edu.bd',
+        emailDomains: ['iub.edu.bd'],
         establishedYear: 1993,
         isActive: true
     },
@@ -78,6 +83,7 @@ const sampleUniversities = [
         },
         type: 'Private',
         website: 'https://www.aiub.edu',
+        emailDomains: ['aiub.edu'],
         establishedYear: 1994,
         isActive: true
     },
@@ -91,6 +97,7 @@ const sampleUniversities = [
         },
         type: 'Private',
         website: 'https://www.ewubd.edu',
+        emailDomains: ['ewubd.edu'],
         establishedYear: 1996,
         isActive: true
     },
@@ -104,6 +111,7 @@ const sampleUniversities = [
         },
         type: 'Private',
         website: 'https://www.uiu.ac.bd',
+        emailDomains: ['uiu.ac.bd'],
         establishedYear: 2003,
         isActive: true
     },
@@ -117,6 +125,7 @@ const sampleUniversities = [
         },
         type: 'Private',
         website: 'https://daffodilvarsity.edu.bd',
+        emailDomains: ['diu.edu.bd', 'daffodilvarsity.edu.bd'],
         establishedYear: 2002,
         isActive: true
     },
@@ -130,6 +139,7 @@ const sampleUniversities = [
         },
         type: 'Private',
         website: 'https://www.aust.edu',
+        emailDomains: ['aust.edu'],
         establishedYear: 1995,
         isActive: true
     }
@@ -163,6 +173,10 @@ const seedUniversities = async () => {
                 if (!existing) {
                     await University.create(uni);
                     console.log(`Added missing university: ${uni.name}`);
+                } else if (existing.emailDomains.length === 0) {
+                    existing.emailDomains = uni.emailDomains;
+                    await existing.save();
+                    console.log(`Added email domains for: ${uni.name}`);
                 }
             }
         }
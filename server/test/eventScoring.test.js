@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildProfile, scoreEvent, rankEvents } = require('../utils/eventScoring');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-03-01T00:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * DAY);
+
+const weights = {
+  memberClub: 5,
+  attendedClub: 1,
+  attendedType: 1,
+  interestTag: 3,
+  interestType: 2,
+  popularity: 1,
+  soon: 2,
+  maxHistory: 3,
+  soonHorizonDays: 10
+};
+
+const robotics = { _id: 'c1', name: 'Robotics Club', category: 'Technology' };
+const coding = { _id: 'c2', name: 'Coding Society', category: 'Technology' };
+const debating = { _id: 'c3', name: 'Debating Union', category: 'Academic' };
+
+const profile = buildProfile({
+  clubIds: ['c1'],
+  interests: ['Robotics', 'hackathon'],
+  attendedEvents: [
+    { club: 'c1', eventType: 'Workshop' },
+    { club: 'c1', eventType: 'Workshop' }
+  ]
+});
+
+const workshop = {
+  _id: 'e1',
+  club: robotics,
+  eventType: 'Workshop',
+  title: 'Intro to Arduino',
+  tags: ['robotics'],
+  attendees: [{}, {}, {}],
+  startDate: daysFromNow(3)
+};
+
+const hackathon = {
+  _id: 'e2',
+  club: coding,
+  eventType: 'Competition',
+  title: 'Spring Hackathon',
+  tags: [],
+  attendees: [{}],
+  startDate: daysFromNow(20)
+};
+
+const laterMeeting = { _id: 'e3', club: debating, eventType: 'Meeting', title: 'AGM', startDate: daysFromNow(15) };
+const earlierMeeting = { _id: 'e4', club: debating, eventType: 'Meeting', title: 'AGM', startDate: daysFromNow(12) };
+
+test('scoreEvent adds up every matching signal', () => {
+  const result = scoreEvent(workshop, profile, { now, weights });
+
+  assert.deepEqual(result.breakdown, {
+    memberClub: 5,
+    attendedClub: 2,
+    attendedType: 2,
+    interestTag: 3,
+    popularity: 2,
+    soon: 1.4
+  });
+  assert.equal(result.score, 15.4);
+  assert.equal(result.reasons[0], 'Hosted by Robotics Club you are a member of');
+});
+
+test('scoreEvent matches interests against the event type and title', () => {
+  const result = scoreEvent(hackathon, profile, { now, weights });
+
+  assert.deepEqual(result.breakdown, { interestType: 2, popularity: 1 });
+  assert.equal(result.score, 3);
+});
+
+test('scoreEvent gives no soon bonus outside the horizon', () => {
+  assert.equal(scoreEvent(laterMeeting, profile, { now, weights }).score, 0);
+  assert.equal(scoreEvent({ ...workshop, startDate: daysFromNow(-1) }, profile, { now, weights }).breakdown.soon, undefined);
+});
+
+test('rankEvents sorts by score and breaks ties by start date', () => {
+  const ranked = rankEvents([laterMeeting, hackathon, earlierMeeting, workshop], profile, { now, weights });
+
+  assert.deepEqual(ranked.map(item => item.event._id), ['e1', 'e2', 'e4', 'e3']);
+  assert.deepEqual(ranked.map(item => item.score), [15.4, 3, 0, 0]);
+});
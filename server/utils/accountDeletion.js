@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const RoleRequest = require('../models/RoleRequest');
+const MembershipRequest = require('../models/MembershipRequest');
+const ClubInvite = require('../models/ClubInvite');
+const SsoLogin = require('../models/SsoLogin');
+const Connection = require('../models/Connection');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Transcript = require('../models/Transcript');
+const AccountDeletion = require('../models/AccountDeletion');
+const { revokeUserSessions } = require('./sessions');
+const { recordAudit } = require('./audit');
+const { removeMediaFor } = require('./media');
+
+const graceDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// Clubs the user still presides over; deletion waits until presidency is transferred
+const findPresidencies = (userId) => {
+  return Club.find({
+    $or: [
+      { president: userId },
+      { members: { $elemMatch: { user: userId, role: 'President' } } }
+    ]
+  }).select('name');
+};
+
+// Start the grace period and sign the account out everywhere
+const scheduleDeletion = async (user, { requestedBy, reason }) => {
+  const now = new Date();
+  user.deletion = {
+    requestedAt: now,
+    requestedBy,
+    reason,
+    scheduledFor: new Date(now.getTime() + graceDays() * 24 * 60 * 60 * 1000)
+  };
+  await user.save();
+  await revokeUserSessions(user._id);
+  return user.deletion.scheduledFor;
+};
+
+const cancelDeletion = async (user) => {
+  user.deletion = undefined;
+  await user.save();
+};
+
+// Remove the user and every reference to them. Content that others rely on
+// (reviews they made as an Administrator) is kept but no longer points at them.
+const purgeUser = async (user) => {
+  await Promise.all([
+    Club.updateMany({ 'members.user': user._id }, { $pull: { members: { user: user._id } } }),
+    Event.updateMany({ 'attendees.user': user._id }, { $pull: { attendees: { user: user._id } } }),
+    Event.updateMany({ organizers: user._id }, { $pull: { organizers: user._id } }),
+    RoleRequest.deleteMany({ user: user._id }),
+    RoleRequest.updateMany({ reviewedBy: user._id }, { $unset: { reviewedBy: 1 } }),
+    MembershipRequest.deleteMany({ user: user._id }),
+    MembershipRequest.updateMany({ reviewedBy: user._id }, { $unset: { reviewedBy: 1 } }),
+    ClubInvite.updateMany({ createdBy: user._id }, { $unset: { createdBy: 1 } }),
+    ClubInvite.updateMany({ 'redemptions.user': user._id }, { $pull: { redemptions: { user: user._id } } }),
+    User.updateMany({ 'statusHistory.by': user._id }, { $unset: { 'statusHistory.$[entry].by': 1 } }, {
+      arrayFilters: [{ 'entry.by': user._id }]
+    }),
+    Session.deleteMany({ user: user._id }),
+    SsoLogin.deleteMany({ user: user._id }),
+    Connection.deleteMany({ $or: [{ requester: user._id }, { recipient: user._id }] }),
+    Conversation.updateMany({ participants: user._id }, { $pull: { participants: user._id, reads: { user: user._id } } }),
+    Message.deleteMany({ sender: user._id }),
+    Transcript.deleteMany({ user: user._id }),
+    removeMediaFor('User', user._id),
+    LoginAttempt.deleteMany({ $or: [{ user: user._id }, { email: user.email }] })
+  ]);
+
+  const emailHash = crypto.createHash('sha256').update(user.email.toLowerCase()).digest('hex');
+
+  await AccountDeletion.create({
+    userId: user._id,
+    emailHash,
+    role: user.role,
+    requestedBy: user.deletion.requestedBy,
+    selfService: !user.deletion.requestedBy || user.deletion.requestedBy.equals(user._id),
+    reason: user.deletion.reason,
+    requestedAt: user.deletion.requestedAt
+  });
+
+  await User.deleteOne({ _id: user._id });
+
+  await recordAudit(null, {
+    action: 'user.delete',
+    targetType: 'User',
+    target: user,
+    // The log is append-only, so it must not keep the deleted email address
+    targetLabel: `sha256:${emailHash}`,
+    actor: null,
+    metadata: { requestedBy: user.deletion.requestedBy, reason: user.deletion.reason }
+  });
+};
+
+// Delete every account whose grace period is over. Accounts that became a club
+// president in the meantime are skipped until presidency is transferred.
+const processDueDeletions = async () => {
+  const due = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+  let deleted = 0;
+
+  for (const user of due) {
+    const presidencies = await findPresidencies(user._id);
+    if (presidencies.length > 0) {
+      console.warn(`Account deletion for ${user._id} postponed: still president of ${presidencies.map(club => club.name).join(', ')}`);
+      continue;
+    }
+
+    await purgeUser(user);
+    deleted += 1;
+  }
+
+  return deleted;
+};
+
+module.exports = {
+  graceDays,
+  findPresidencies,
+  scheduleDeletion,
+  cancelDeletion,
+  processDueDeletions
+};
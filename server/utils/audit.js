@@ -0,0 +1,62 @@
+const AuditLog = require('../models/AuditLog');
+
+// How each kind of target is named in the log
+const targetLabels = {
+  User: (user) => user.email,
+  Club: (club) => club.name,
+  Event: (event) => event.title,
+  University: (university) => university.name,
+  RoleRequest: (request) => request.requestedRole
+};
+
+// JSON-safe copy of some fields of a document, for diffing before and after a change
+const snapshot = (doc, fields) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+  return fields.reduce((values, field) => {
+    const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), source);
+    if (value !== undefined) {
+      values[field] = JSON.parse(JSON.stringify(value));
+    }
+    return values;
+  }, {});
+};
+
+// [{ field, before, after }] for every field whose value differs
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const changes = fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+  return changes.length > 0 ? changes : undefined;
+};
+
+// Append an entry to the audit log. Failures are logged but never fail the
+// request, so an audit outage cannot block administration. `targetLabel`
+// replaces the default name of the target.
+const recordAudit = async (req, { action, targetType, target, targetLabel, before, after, metadata, actor }) => {
+  try {
+    const actingUser = actor !== undefined ? actor : req?.user;
+
+    await AuditLog.create({
+      actor: actingUser?._id,
+      actorRole: actingUser?.role,
+      impersonator: req?.impersonator?._id,
+      action,
+      targetType,
+      targetId: target._id,
+      targetLabel: targetLabel !== undefined ? targetLabel : targetLabels[targetType](target),
+      changes: diffSnapshots(before, after),
+      metadata,
+      ipAddress: req?.ip || '',
+      userAgent: (req?.get('User-Agent') || '').slice(0, 300)
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  recordAudit
+};
@@ -0,0 +1,73 @@
+const Club = require('../models/Club');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const MembershipRequest = require('../models/MembershipRequest');
+const ClubInvite = require('../models/ClubInvite');
+const { recordAudit } = require('./audit');
+const { removeMediaFor } = require('./media');
+
+const retentionDays = () => parseInt(process.env.CLUB_RETENTION_DAYS, 10) || 30;
+
+// Hide the club everywhere and schedule its purge
+const softDeleteClub = async (club, { requestedBy, reason }) => {
+  const now = new Date();
+  club.isActive = false;
+  club.deletion = {
+    requestedAt: now,
+    requestedBy,
+    reason,
+    scheduledFor: new Date(now.getTime() + retentionDays() * 24 * 60 * 60 * 1000)
+  };
+  await club.save();
+  return club.deletion.scheduledFor;
+};
+
+const restoreClub = async (club) => {
+  club.isActive = true;
+  club.deletion = undefined;
+  await club.save();
+};
+
+// Remove the club, its events and every reference to them
+const purgeClub = async (club) => {
+  const events = await Event.find({ club: club._id }).select('_id');
+  const eventIds = events.map(event => event._id);
+
+  await Promise.all([
+    User.updateMany({ 'clubMemberships.club': club._id }, { $pull: { clubMemberships: { club: club._id } } }),
+    User.updateMany({ 'eventsAttended.event': { $in: eventIds } }, { $pull: { eventsAttended: { event: { $in: eventIds } } } }),
+    MembershipRequest.deleteMany({ club: club._id }),
+    ClubInvite.deleteMany({ club: club._id }),
+    removeMediaFor('Club', club._id),
+    ...eventIds.map(eventId => removeMediaFor('Event', eventId))
+  ]);
+
+  await Event.deleteMany({ _id: { $in: eventIds } });
+  await Club.deleteOne({ _id: club._id });
+
+  await recordAudit(null, {
+    action: 'club.purge',
+    targetType: 'Club',
+    target: club,
+    actor: null,
+    metadata: { requestedBy: club.deletion.requestedBy, reason: club.deletion.reason, events: eventIds.length }
+  });
+};
+
+// Purge every deleted club whose retention window is over
+const processDueClubPurges = async () => {
+  const due = await Club.find({ isActive: false, 'deletion.scheduledFor': { $lte: new Date() } });
+
+  for (const club of due) {
+    await purgeClub(club);
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  retentionDays,
+  softDeleteClub,
+  restoreClub,
+  processDueClubPurges
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Club = require('../models/Club');
+const ClubInvite = require('../models/ClubInvite');
+const MembershipRequest = require('../models/MembershipRequest');
+const { getClubRole } = require('../middleware/auth');
+const { recordAudit } = require('./audit');
+const { addMember } = require('./clubMembers');
+
+// Raised when an invite cannot be redeemed; the message is safe to show
+class InviteError extends Error {}
+
+// Unambiguous characters only (no 0/O or 1/I), so codes can be read off a poster
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// e.g. "K7QM-2XRA"
+const generateInviteCode = () => {
+  const bytes = crypto.randomBytes(8);
+  const characters = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return characters.join('').match(/.{4}/g).join('-');
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const inviteUrl = (code) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${clientUrl}/invite/${code}`;
+};
+
+// Invite as shown to club officers, with its status, link and a QR code of the link
+const presentInvite = async (invite) => {
+  const { redemptions, ...fields } = invite.toObject();
+  const url = inviteUrl(invite.code);
+
+  return {
+    ...fields,
+    redeemedBy: redemptions.map(redemption => redemption.user),
+    status: invite.getStatus(),
+    url,
+    qrCode: await QRCode.toDataURL(url)
+  };
+};
+
+// The invite with `code` and its club, if it can still be used
+const findUsableInvite = async (code) => {
+  const invite = await ClubInvite.findOne({ code: normalizeCode(code) });
+  const club = invite && await Club.findById(invite.club);
+  if (!invite || !club || !club.isActive) {
+    throw new InviteError('Invite not found');
+  }
+
+  const status = invite.getStatus();
+  if (status !== 'active') {
+    throw new InviteError(status === 'used up' ? 'This invite has been used up' : `This invite has ${status === 'revoked' ? 'been revoked' : 'expired'}`);
+  }
+
+  return { invite, club };
+};
+
+// Add `user` to the invite's club with the invite's role and use up one redemption
+const redeemInvite = async (req, code, user) => {
+  // Invites skip a club's join policy, not the university email check
+  if (!user.emailVerified) {
+    throw new InviteError('Please verify your university email address before joining a club');
+  }
+
+  const { invite, club } = await findUsableInvite(code);
+
+  if (getClubRole(club, user._id)) {
+    throw new InviteError('You are already a member of this club');
+  }
+
+  // Claim a use atomically so simultaneous redemptions cannot go past maxUses
+  const claimed = await ClubInvite.findOneAndUpdate({
+    _id: invite._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+  }, {
+    $inc: { uses: 1 },
+    $push: { redemptions: { user: user._id } }
+  }, { new: true });
+
+  if (!claimed) {
+    throw new InviteError('This invite has been used up');
+  }
+
+  if (!(await addMember(club, user._id, invite.role))) {
+    // They joined some other way in the meantime; give the use back
+    await ClubInvite.updateOne({ _id: invite._id }, { $inc: { uses: -1 }, $pull: { redemptions: { user: user._id } } });
+    throw new InviteError('You are already a member of this club');
+  }
+
+  await MembershipRequest.deleteMany({ club: club._id, user: user._id, status: 'Pending' });
+
+  await recordAudit(req, {
+    action: 'club.invite.redeem',
+    targetType: 'Club',
+    target: club,
+    actor: user,
+    metadata: { invite: invite._id, code: invite.code, role: invite.role }
+  });
+
+  return { club, role: invite.role };
+};
+
+module.exports = {
+  InviteError,
+  generateInviteCode,
+  normalizeCode,
+  presentInvite,
+  findUsableInvite,
+  redeemInvite
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const User = require('../models/User');
+
+// Seniority of club roles; officers may only manage members ranked below them
+const ROLE_RANKS = {
+  Member: 0,
+  Secretary: 1,
+  Officer: 1,
+  'Vice President': 2,
+  President: 3
+};
+
+const outranks = (role, otherRole) => ROLE_RANKS[role] > ROLE_RANKS[otherRole];
+
+// Roster changes are applied as single updates against the Club collection rather
+// than by saving the club document, which may be stale by the time it is saved.
+
+// Add a user to a club's roster and to their own memberships. Returns false
+// (and changes nothing) if they are already a member.
+const addMember = async (club, userId, role = 'Member') => {
+  const result = await Club.updateOne(
+    { _id: club._id, 'members.user': { $ne: userId } },
+    { $push: { members: { user: userId, role } } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await User.updateOne(
+    { _id: userId, 'clubMemberships.club': { $ne: club._id } },
+    { $push: { clubMemberships: { club: club._id, role } } }
+  );
+
+  return true;
+};
+
+// Change a member's role on both sides of the membership
+const setMemberRole = async (club, userId, role) => {
+  await Club.updateOne(
+    { _id: club._id, 'members.user': userId },
+    { $set: { 'members.$.role': role } }
+  );
+
+  await User.updateOne(
+    { _id: userId, 'clubMemberships.club': club._id },
+    { $set: { 'clubMemberships.$.role': role } }
+  );
+};
+
+// Take a user off a club's roster and out of their memberships
+const removeMember = async (club, userId) => {
+  await Club.updateOne({ _id: club._id }, { $pull: { members: { user: userId } } });
+
+  await User.updateOne({ _id: userId }, { $pull: { clubMemberships: { club: club._id } } });
+};
+
+// Hand the presidency to another member; the outgoing president keeps `formerRole`.
+// Returns false if the new president is no longer a member.
+const transferPresidency = async (club, newPresidentId, formerRole = 'Member') => {
+  const nextId = new mongoose.Types.ObjectId(newPresidentId);
+
+  const result = await Club.updateOne(
+    { _id: club._id, 'members.user': nextId },
+    {
+      $set: {
+        president: nextId,
+        'members.$[former].role': formerRole,
+        'members.$[next].role': 'President'
+      }
+    },
+    {
+      arrayFilters: [
+        { 'former.role': 'President', 'former.user': { $ne: nextId } },
+        { 'next.user': nextId }
+      ]
+    }
+  );
+  if (result.matchedCount === 0) {
+    return false;
+  }
+
+  await User.updateMany(
+    { _id: { $ne: nextId }, clubMemberships: { $elemMatch: { club: club._id, role: 'President' } } },
+    { $set: { 'clubMemberships.$.role': formerRole } }
+  );
+  await User.updateOne(
+    { _id: nextId, 'clubMemberships.club': club._id },
+    { $set: { 'clubMemberships.$.role': 'President' } }
+  );
+
+  return true;
+};
+
+module.exports = {
+  outranks,
+  addMember,
+  setMemberRole,
+  removeMember,
+  transferPresidency
+};
@@ -0,0 +1,206 @@
+const Club = require('../models/Club');
+const User = require('../models/User');
+const { visibleFieldQuery, redactUser } = require('./privacy');
+const { exactText, containsWord } = require('./search');
+
+// Words that tie an interest or a major to a club category
+const CATEGORY_KEYWORDS = {
+  'Academic': ['research', 'science', 'math', 'mathematics', 'physics', 'chemistry', 'biology', 'economics', 'history', 'study', 'olympiad', 'quiz'],
+  'Sports': ['sport', 'sports', 'football', 'soccer', 'cricket', 'basketball', 'tennis', 'badminton', 'chess', 'fitness', 'running', 'swimming', 'hiking'],
+  'Cultural': ['culture', 'cultural', 'language', 'heritage', 'festival', 'travel', 'food'],
+  'Technical': ['programming', 'coding', 'computer', 'software', 'robotics', 'engineering', 'electronics', 'ai', 'machine learning', 'data', 'web', 'security', 'technology', 'tech'],
+  'Social Service': ['volunteering', 'volunteer', 'charity', 'community', 'environment', 'sustainability', 'social work', 'health'],
+  'Arts & Literature': ['art', 'arts', 'painting', 'drawing', 'design', 'literature', 'writing', 'poetry', 'reading', 'books', 'english'],
+  'Music & Dance': ['music', 'dance', 'dancing', 'singing', 'guitar', 'piano', 'band'],
+  'Photography': ['photography', 'photo', 'film', 'video', 'filmmaking', 'media'],
+  'Debate & Drama': ['debate', 'debating', 'drama', 'theatre', 'theater', 'acting', 'public speaking', 'law', 'politics', 'mun']
+};
+
+// How much each signal adds to a club's score
+const WEIGHTS = {
+  interestInClub: 3,
+  interestCategory: 2,
+  majorCategory: 2,
+  joinedCategory: 1.5,
+  peer: 2,
+  popularity: 0.5
+};
+
+// How much a similar student's memberships count: same major, same year, each shared interest
+const PEER_WEIGHTS = {
+  major: 2,
+  year: 1,
+  interest: 1
+};
+
+const MAX_PEERS = 300;
+
+// Categories whose keywords appear in `text`
+const categoriesFor = (text) => {
+  if (!text) {
+    return [];
+  }
+  return Object.keys(CATEGORY_KEYWORDS)
+    .filter(category => CATEGORY_KEYWORDS[category].some(keyword => containsWord(text, keyword)));
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Students sharing the user's major or interests, limited to those whose major,
+// interests and clubs the user may see, with how similar each one is
+const findPeers = async (user, viewer) => {
+  const interests = user.interests || [];
+  const similar = [];
+  if (user.major) {
+    similar.push({ $and: [{ major: exactText(user.major) }, visibleFieldQuery('major', viewer)] });
+  }
+  if (interests.length > 0) {
+    similar.push({ $and: [{ interests: { $in: interests.map(exactText) } }, visibleFieldQuery('interests', viewer)] });
+  }
+
+  if (similar.length === 0) {
+    return [];
+  }
+
+  const candidates = await User.find({
+    _id: { $ne: user._id },
+    isActive: true,
+    'clubMemberships.0': { $exists: true },
+    $and: [{ $or: similar }, visibleFieldQuery('clubMemberships', viewer)]
+  })
+    .select('university major year interests clubMemberships.club privacy')
+    .limit(MAX_PEERS);
+
+  const myInterests = new Set(interests.map(interest => interest.toLowerCase()));
+  const myMajor = (user.major || '').toLowerCase();
+
+  return candidates.map(candidate => {
+    const peer = redactUser(candidate, viewer);
+    const sameMajor = Boolean(myMajor) && (peer.major || '').toLowerCase() === myMajor;
+    const sameYear = Boolean(user.year) && peer.year === user.year;
+    const sharedInterests = (peer.interests || []).filter(interest => myInterests.has(interest.toLowerCase())).length;
+
+    return {
+      clubIds: (peer.clubMemberships || []).filter(membership => membership.club).map(membership => membership.club.toString()),
+      sameMajor,
+      sameYear,
+      sharedInterests,
+      weight: (sameMajor ? PEER_WEIGHTS.major : 0) + (sameYear ? PEER_WEIGHTS.year : 0) + sharedInterests * PEER_WEIGHTS.interest
+    };
+  }).filter(peer => peer.sameMajor || peer.sharedInterests > 0);
+};
+
+// Score one club for the user. Returns the score and the reasons behind it, strongest first.
+const scoreClub = (club, { user, majorCategories, joinedCategories, peerStats }) => {
+  const contributions = [];
+  const clubText = `${club.name} ${club.description}`;
+  const interests = user.interests || [];
+
+  const named = interests.filter(interest => containsWord(clubText, interest));
+  if (named.length > 0) {
+    contributions.push({
+      score: named.length * WEIGHTS.interestInClub,
+      reason: `Matches your interest${named.length === 1 ? '' : 's'} in ${named.join(', ')}`
+    });
+  }
+
+  const related = interests.filter(interest => !named.includes(interest) && categoriesFor(interest).includes(club.category));
+  if (related.length > 0) {
+    contributions.push({
+      score: related.length * WEIGHTS.interestCategory,
+      reason: `${club.category} club, related to your interest${related.length === 1 ? '' : 's'} in ${related.join(', ')}`
+    });
+  }
+
+  if (majorCategories.includes(club.category)) {
+    contributions.push({
+      score: WEIGHTS.majorCategory,
+      reason: `${club.category} clubs suit ${user.major} students`
+    });
+  }
+
+  const joined = joinedCategories.get(club.category) || 0;
+  if (joined > 0) {
+    contributions.push({
+      score: joined * WEIGHTS.joinedCategory,
+      reason: `Similar to ${joined === 1 ? 'a club' : `${joined} clubs`} you are in`
+    });
+  }
+
+  const peers = peerStats.get(club._id.toString());
+  if (peers) {
+    const groups = [];
+    if (peers.sameMajor) groups.push(`${plural(peers.sameMajor, 'student')} in your major`);
+    if (peers.sameYear) groups.push(`${plural(peers.sameYear, 'student')} in your year`);
+    if (peers.sharedInterests) groups.push(`${plural(peers.sharedInterests, 'student')} with your interests`);
+    contributions.push({
+      // Diminishing returns, so one very popular club does not drown out everything else
+      score: Math.sqrt(peers.weight) * WEIGHTS.peer,
+      reason: `Joined by ${groups.join(', ')}`
+    });
+  }
+
+  const signal = contributions.reduce((sum, item) => sum + item.score, 0);
+  const popularity = Math.log2(1 + (club.members || []).length) * WEIGHTS.popularity;
+
+  contributions.sort((a, b) => b.score - a.score);
+
+  return {
+    // Popularity only breaks ties between clubs that match something
+    score: signal > 0 ? Math.round((signal + popularity) * 100) / 100 : 0,
+    reasons: contributions.map(item => item.reason)
+  };
+};
+
+// Active clubs the user has not joined, ranked by how well they fit them
+const recommendClubs = async (user, viewer, limit) => {
+  const [clubs, joinedClubs, peers] = await Promise.all([
+    Club.find({ isActive: true, 'members.user': { $ne: user._id } })
+      .select('name description category logo logoThumbnail members.user'),
+    Club.find({ isActive: true, 'members.user': user._id }).select('category'),
+    findPeers(user, viewer)
+  ]);
+
+  const joinedCategories = new Map();
+  joinedClubs.forEach(club => {
+    joinedCategories.set(club.category, (joinedCategories.get(club.category) || 0) + 1);
+  });
+
+  const peerStats = new Map();
+  peers.forEach(peer => {
+    peer.clubIds.forEach(clubId => {
+      const stats = peerStats.get(clubId) || { weight: 0, sameMajor: 0, sameYear: 0, sharedInterests: 0 };
+      stats.weight += peer.weight;
+      stats.sameMajor += peer.sameMajor ? 1 : 0;
+      stats.sameYear += peer.sameYear ? 1 : 0;
+      stats.sharedInterests += peer.sharedInterests > 0 ? 1 : 0;
+      peerStats.set(clubId, stats);
+    });
+  });
+
+  const context = { user, majorCategories: categoriesFor(user.major), joinedCategories, peerStats };
+
+  return clubs
+    .map(club => ({ club, ...scoreClub(club, context) }))
+    .filter(recommendation => recommendation.score > 0)
+    .sort((a, b) => b.score - a.score || a.club.name.localeCompare(b.club.name))
+    .slice(0, limit)
+    .map(({ club, score, reasons }) => ({
+      club: {
+        _id: club._id,
+        name: club.name,
+        description: club.description,
+        category: club.category,
+        logo: club.logo,
+        logoThumbnail: club.logoThumbnail,
+        memberCount: club.members.length
+      },
+      score,
+      reasons
+    }));
+};
+
+module.exports = {
+  CATEGORY_KEYWORDS,
+  recommendClubs
+};
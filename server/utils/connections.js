@@ -0,0 +1,65 @@
+const Connection = require('../models/Connection');
+
+// Ids (as strings) of everyone the user is connected to
+const connectedIds = async (userId) => {
+  const connections = await Connection.find({
+    status: 'Accepted',
+    $or: [{ requester: userId }, { recipient: userId }]
+  }).select('requester recipient');
+
+  return connections.map(connection => connection.otherUser(userId).toString());
+};
+
+// Number of connections each of `userIds` shares with the user, keyed by id
+const mutualCounts = async (userId, userIds) => {
+  const mine = new Set(await connectedIds(userId));
+  const counts = new Map(userIds.map(id => [id.toString(), 0]));
+
+  if (mine.size === 0 || userIds.length === 0) {
+    return counts;
+  }
+
+  const theirs = await Connection.find({
+    status: 'Accepted',
+    $or: [
+      { requester: { $in: userIds }, recipient: { $in: [...mine] } },
+      { recipient: { $in: userIds }, requester: { $in: [...mine] } }
+    ]
+  }).select('requester recipient');
+
+  theirs.forEach(connection => {
+    const [a, b] = [connection.requester.toString(), connection.recipient.toString()];
+    if (counts.has(a) && mine.has(b)) {
+      counts.set(a, counts.get(a) + 1);
+    }
+    if (counts.has(b) && mine.has(a)) {
+      counts.set(b, counts.get(b) + 1);
+    }
+  });
+
+  return counts;
+};
+
+// How the viewer relates to another user: none, outgoing, incoming or connected
+const connectionStatus = async (viewerId, userId) => {
+  const connection = await Connection.findOne({ pair: Connection.pairKey(viewerId, userId) });
+
+  if (!connection) {
+    return { status: 'none' };
+  }
+
+  if (connection.status === 'Accepted') {
+    return { status: 'connected', connectionId: connection._id };
+  }
+
+  return {
+    status: connection.requester.toString() === viewerId.toString() ? 'outgoing' : 'incoming',
+    connectionId: connection._id
+  };
+};
+
+module.exports = {
+  connectedIds,
+  mutualCounts,
+  connectionStatus
+};
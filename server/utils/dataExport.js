@@ -0,0 +1,130 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const RoleRequest = require('../models/RoleRequest');
+const MembershipRequest = require('../models/MembershipRequest');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const Connection = require('../models/Connection');
+const Message = require('../models/Message');
+const Transcript = require('../models/Transcript');
+
+// Fields that are never exported: credentials and internal security state
+const PRIVATE_USER_FIELDS = '-password -__v';
+
+// Collect everything the platform stores about a user
+const buildUserExport = async (userId) => {
+  const user = await User.findById(userId)
+    .select(PRIVATE_USER_FIELDS)
+    .populate('clubMemberships.club', 'name category')
+    .populate('eventsAttended.event', 'title startDate venue')
+    .populate('statusHistory.by', 'name');
+
+  const [
+    registrations,
+    clubsLed,
+    eventsOrganized,
+    roleRequests,
+    membershipRequests,
+    sessions,
+    loginAttempts,
+    connections,
+    messages,
+    transcripts
+  ] = await Promise.all([
+    Event.find({ 'attendees.user': userId })
+      .select('title startDate endDate venue attendees.$'),
+    Club.find({ president: userId })
+      .select('name description category founded isActive createdAt'),
+    Event.find({ organizers: userId })
+      .select('title description eventType startDate endDate venue createdAt'),
+    RoleRequest.find({ user: userId })
+      .select('requestedRole justification status reviewedAt reviewNote createdAt'),
+    MembershipRequest.find({ user: userId })
+      .select('club message status reviewedAt reviewNote createdAt')
+      .populate('club', 'name'),
+    Session.find({ user: userId })
+      .select('userAgent ipAddress lastUsedAt expiresAt revokedAt createdAt'),
+    LoginAttempt.find({ user: userId })
+      .select('email ipAddress userAgent success reason createdAt')
+      .sort({ createdAt: -1 }),
+    Connection.find({ $or: [{ requester: userId }, { recipient: userId }] })
+      .select('requester recipient status acceptedAt createdAt')
+      .populate('requester recipient', 'name'),
+    Message.find({ sender: userId })
+      .select('conversation text createdAt')
+      .sort({ createdAt: 1 }),
+    Transcript.find({ user: userId })
+      .select('-user -__v')
+      .sort({ createdAt: 1 })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: user,
+    clubMemberships: user.clubMemberships,
+    eventsAttended: user.eventsAttended,
+    connections: connections.map(connection => ({
+      user: connection.otherUser(userId),
+      status: connection.status,
+      direction: connection.requester._id.equals(userId) ? 'sent' : 'received',
+      requestedAt: connection.createdAt,
+      acceptedAt: connection.acceptedAt
+    })),
+    messages,
+    transcripts,
+    membershipRequests,
+    eventRegistrations: registrations.map(event => ({
+      event: { _id: event._id, title: event.title, startDate: event.startDate, endDate: event.endDate, venue: event.venue },
+      registeredAt: event.attendees[0].registeredAt,
+      attended: event.attendees[0].attended
+    })),
+    authored: {
+      clubs: clubsLed,
+      events: eventsOrganized,
+      roleRequests
+    },
+    security: {
+      sessions,
+      loginAttempts
+    }
+  };
+};
+
+// File name of each export section inside the zip archive
+const EXPORT_FILES = {
+  profile: 'profile.json',
+  clubMemberships: 'club-memberships.json',
+  eventsAttended: 'events-attended.json',
+  connections: 'connections.json',
+  messages: 'messages.json',
+  transcripts: 'transcripts.json',
+  membershipRequests: 'membership-requests.json',
+  eventRegistrations: 'event-registrations.json',
+  authored: 'authored-content.json',
+  security: 'security.json'
+};
+
+// Stream the export as a zip archive holding one JSON file per section. The
+// returned promise rejects if the archive fails; the caller must await it.
+const pipeExportZip = (data, res) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('error', (error) => {
+    console.error('Data export archive error:', error);
+    res.destroy(error);
+  });
+
+  archive.pipe(res);
+  archive.append(JSON.stringify({ exportedAt: data.exportedAt }, null, 2), { name: 'export.json' });
+  Object.entries(EXPORT_FILES).forEach(([section, fileName]) => {
+    archive.append(JSON.stringify(data[section], null, 2), { name: fileName });
+  });
+  return archive.finalize();
+};
+
+module.exports = {
+  buildUserExport,
+  pipeExportZip
+};
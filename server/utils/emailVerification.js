@@ -0,0 +1,41 @@
+const jwt = require('jsonwebtoken');
+const { escapeHtml, sendMail } = require('./mailer');
+
+const PURPOSE = 'verify-email';
+
+// The email is part of the signed payload so a token stops working if the
+// address on the account changes before it is used
+const createVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, purpose: PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+  );
+};
+
+// Returns the token payload, or null if it is invalid, expired or not a verification token
+const decodeVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendVerificationEmail = async (user) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const link = `${clientUrl}/verify-email?token=${encodeURIComponent(createVerificationToken(user))}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your UniConnect email address',
+    text: `Hi ${user.name},\n\nPlease confirm your university email address by opening the link below:\n\n${link}\n\nIf you did not create a UniConnect account you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your university email address:</p><p><a href="${link}">Verify my email</a></p><p>If you did not create a UniConnect account you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  decodeVerificationToken,
+  sendVerificationEmail
+};
@@ -0,0 +1,144 @@
+// Scoring behind the personalized "For You" event feed. Everything here is
+// pure: the caller loads the data, passes the current time in `now`, and gets
+// the same ranking back for the same input, so weights can be tuned and
+// checked without a database.
+
+const { containsWord } = require('./search');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How much each signal adds to an event's score; pass `weights` to override any of them
+const DEFAULT_WEIGHTS = {
+  // Organized by a club the user belongs to
+  memberClub: 5,
+  // Per past event of the same club the user attended (capped by maxHistory)
+  attendedClub: 1.5,
+  // Per past event of the same type the user attended (capped by maxHistory)
+  attendedType: 1,
+  // Per interest matching one of the event's tags
+  interestTag: 3,
+  // Per interest matching the event type, title or club category
+  interestType: 2,
+  // Scales log2(1 + registrations)
+  popularity: 1,
+  // Added in full for events starting now, fading to nothing at soonHorizonDays
+  soon: 2,
+  maxHistory: 3,
+  soonHorizonDays: 30
+};
+
+// Interest words that point at an event type
+const TYPE_KEYWORDS = {
+  'Workshop': ['workshop', 'hands-on', 'training', 'bootcamp'],
+  'Seminar': ['seminar', 'talk', 'lecture', 'research'],
+  'Competition': ['competition', 'contest', 'hackathon', 'olympiad', 'quiz', 'programming'],
+  'Social Event': ['social', 'networking', 'party', 'meetup'],
+  'Meeting': ['meeting'],
+  'Conference': ['conference', 'summit', 'research'],
+  'Cultural Program': ['culture', 'cultural', 'music', 'dance', 'drama', 'theatre', 'theater', 'art', 'arts'],
+  'Sports Event': ['sport', 'sports', 'football', 'soccer', 'cricket', 'basketball', 'tennis', 'badminton', 'chess', 'fitness', 'running'],
+  'Fundraiser': ['fundraiser', 'fundraising', 'charity'],
+  'Community Service': ['volunteering', 'volunteer', 'community', 'charity', 'environment', 'sustainability'],
+  'Other': []
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const idOf = (value) => String(value && value._id ? value._id : value || '');
+
+const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+// What the scoring needs to know about the user:
+//   clubIds         ids of the clubs they belong to
+//   interests       their profile interests
+//   attendedEvents  events they went to before (each with `club` and `eventType`)
+const buildProfile = ({ clubIds = [], interests = [], attendedEvents = [] }) => {
+  const attendedClubs = new Map();
+  const attendedTypes = new Map();
+  attendedEvents.forEach(event => {
+    if (event.club) increment(attendedClubs, idOf(event.club));
+    if (event.eventType) increment(attendedTypes, event.eventType);
+  });
+
+  return {
+    clubIds: new Set([...clubIds].map(idOf)),
+    interests: [...new Set(interests.map(normalize).filter(Boolean))],
+    attendedClubs,
+    attendedTypes
+  };
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Score one event for a profile from buildProfile. Returns the total score and
+// the reasons behind it, strongest first; `breakdown` holds each signal's points.
+const scoreEvent = (event, profile, { now = new Date(), weights } = {}) => {
+  const w = { ...DEFAULT_WEIGHTS, ...weights };
+  const clubId = idOf(event.club);
+  const tags = (event.tags || []).map(normalize);
+  const contributions = [];
+
+  const add = (signal, score, reason) => {
+    if (score > 0) contributions.push({ signal, score, reason });
+  };
+
+  if (profile.clubIds.has(clubId)) {
+    add('memberClub', w.memberClub, `Hosted by ${event.club.name || 'a club'} you are a member of`);
+  }
+
+  const pastClub = Math.min(profile.attendedClubs.get(clubId) || 0, w.maxHistory);
+  add('attendedClub', pastClub * w.attendedClub,
+    `You went to ${plural(profile.attendedClubs.get(clubId) || 0, 'event')} by this club before`);
+
+  const pastType = Math.min(profile.attendedTypes.get(event.eventType) || 0, w.maxHistory);
+  add('attendedType', pastType * w.attendedType,
+    `You have been to ${plural(profile.attendedTypes.get(event.eventType) || 0, event.eventType || 'event')}`);
+
+  const tagged = profile.interests.filter(interest => tags.some(tag => tag === interest || containsWord(tag, interest)));
+  add('interestTag', tagged.length * w.interestTag, `Tagged ${tagged.join(', ')}, which you are interested in`);
+
+  const typeText = `${event.eventType || ''} ${event.title || ''} ${(event.club && event.club.category) || ''}`;
+  const typed = profile.interests.filter(interest => !tagged.includes(interest) && (
+    containsWord(typeText, interest) || (TYPE_KEYWORDS[event.eventType] || []).includes(interest)
+  ));
+  add('interestType', typed.length * w.interestType, `Matches your interest in ${typed.join(', ')}`);
+
+  const registrations = (event.attendees || []).length;
+  add('popularity', Math.log2(1 + registrations) * w.popularity, `${plural(registrations, 'student')} registered`);
+
+  const daysAway = (new Date(event.startDate) - new Date(now)) / DAY;
+  if (daysAway >= 0 && daysAway < w.soonHorizonDays) {
+    add('soon', w.soon * (1 - daysAway / w.soonHorizonDays),
+      daysAway < 1 ? 'Starting within a day' : `Coming up in ${plural(Math.ceil(daysAway), 'day')}`);
+  }
+
+  contributions.sort((a, b) => b.score - a.score);
+
+  const breakdown = {};
+  contributions.forEach(item => {
+    breakdown[item.signal] = Math.round(item.score * 100) / 100;
+  });
+
+  return {
+    score: Math.round(contributions.reduce((sum, item) => sum + item.score, 0) * 100) / 100,
+    reasons: contributions.map(item => item.reason),
+    breakdown
+  };
+};
+
+// Events sorted best first, each paired with its score; ties go to the sooner event
+const rankEvents = (events, profile, options = {}) => {
+  return events
+    .map(event => ({ event, ...scoreEvent(event, profile, options) }))
+    .sort((a, b) => b.score - a.score
+      || new Date(a.event.startDate) - new Date(b.event.startDate)
+      || idOf(a.event).localeCompare(idOf(b.event)));
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  TYPE_KEYWORDS,
+  buildProfile,
+  scoreEvent,
+  rankEvents
+};
@@ -0,0 +1,145 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+
+const settings = () => ({
+  // Failures before the account is locked, and for how long
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 30,
+  // Failures allowed from one IP address within the window, across all accounts
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 50,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15
+});
+
+// Free attempts before delays kick in; then 1s, 2s, 4s, ... capped at one minute
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_MS = 60 * 1000;
+
+const delayFor = (failures) => {
+  if (failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+};
+
+const recordAttempt = (req, { user, email, success, reason }) => {
+  return LoginAttempt.create({
+    user: user ? user._id : undefined,
+    email,
+    ipAddress: req.ip || '',
+    userAgent: (req.get('User-Agent') || '').slice(0, 300),
+    success,
+    reason
+  });
+};
+
+// Returns null when the IP may attempt a login, otherwise the error to send
+const checkIpAllowed = async (req) => {
+  const { ipMaxAttempts, ipWindowMinutes } = settings();
+  const failures = await LoginAttempt.countDocuments({
+    ipAddress: req.ip || '',
+    success: false,
+    createdAt: { $gte: new Date(Date.now() - ipWindowMinutes * 60 * 1000) }
+  });
+
+  if (failures < ipMaxAttempts) {
+    return null;
+  }
+
+  return {
+    status: 429,
+    message: 'Too many failed login attempts from this network. Please try again later.',
+    retryAfter: ipWindowMinutes * 60
+  };
+};
+
+// Returns null when the account may attempt a login, otherwise the error to send
+const checkAccountAllowed = (user) => {
+  if (user.isLocked) {
+    const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    return {
+      status: 423,
+      message: `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000)
+    };
+  }
+
+  const wait = user.lastFailedLoginAt
+    ? user.lastFailedLoginAt.getTime() + delayFor(user.failedLoginAttempts) - Date.now()
+    : 0;
+
+  if (wait > 0) {
+    const seconds = Math.ceil(wait / 1000);
+    return {
+      status: 429,
+      message: `Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying again.`,
+      retryAfter: seconds
+    };
+  }
+
+  return null;
+};
+
+// Reject a request that checkIpAllowed/checkAccountAllowed refused, and log it
+const rejectAttempt = async (req, res, denial, { user, email }) => {
+  await recordAttempt(req, {
+    user,
+    email,
+    success: false,
+    reason: denial.status === 423 ? 'locked' : 'throttled'
+  });
+
+  res.set('Retry-After', String(denial.retryAfter));
+  return res.status(denial.status).json({ message: denial.message, retryAfter: denial.retryAfter });
+};
+
+// Count a failed password or 2FA code; locks the account once the limit is hit
+const recordLoginFailure = async (req, user, email, reason) => {
+  await recordAttempt(req, { user, email, success: false, reason });
+
+  if (!user) {
+    return;
+  }
+
+  // Counted in the database so parallel failures cannot overwrite each other's count
+  const { maxAttempts, lockMinutes } = settings();
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    return;
+  }
+
+  if (updated.failedLoginAttempts >= maxAttempts) {
+    updated.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    updated.failedLoginAttempts = 0;
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { lockUntil: updated.lockUntil, failedLoginAttempts: 0 } }
+    );
+  }
+
+  user.failedLoginAttempts = updated.failedLoginAttempts;
+  user.lastFailedLoginAt = updated.lastFailedLoginAt;
+  user.lockUntil = updated.lockUntil;
+};
+
+const recordLoginSuccess = async (req, user) => {
+  await recordAttempt(req, { user, email: user.email, success: true, reason: 'success' });
+
+  if (user.failedLoginAttempts || user.lockUntil) {
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+    await user.save();
+  }
+};
+
+module.exports = {
+  checkIpAllowed,
+  checkAccountAllowed,
+  rejectAttempt,
+  recordLoginFailure,
+  recordLoginSuccess
+};
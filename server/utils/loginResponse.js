@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Shape of the user object returned by register/login
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  university: user.university,
+  major: user.major,
+  year: user.year,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor.enabled,
+  deletionScheduledFor: user.deletion?.scheduledFor
+});
+
+// Short-lived token proving the password step of a two-factor login. Its id
+// is stored on the user so the token can only complete one login.
+const generateTwoFactorChallenge = async (user) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.challengeId': challengeId } });
+
+  return jwt.sign({ userId: user._id, purpose: '2fa-login' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+    jwtid: challengeId
+  });
+};
+
+module.exports = {
+  formatUser,
+  generateTwoFactorChallenge
+};
@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Transports receive { to, subject, text, html } and deliver the message.
+// "console" and "file" are meant for development; production deployments
+// register their own (SMTP, SES, ...) with registerTransport().
+const transports = {
+  console: async (message) => {
+    console.log('📧 Email to %s: %s\n%s', message.to, message.subject, message.text);
+  },
+
+  file: async (message) => {
+    const outbox = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+    await fs.mkdir(outbox, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+    await fs.writeFile(path.join(outbox, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+// Escape user-supplied values before interpolating them into HTML bodies
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'UniConnect <no-reply@uniconnect.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  escapeHtml,
+  registerTransport,
+  sendMail
+};
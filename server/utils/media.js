@@ -0,0 +1,180 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const User = require('../models/User');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const { getStorage } = require('./storage');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// What each kind of image belongs to, which fields hold its URLs and the sizes it is resized to
+const MEDIA_KINDS = {
+  avatar: {
+    model: User,
+    targetType: 'User',
+    field: 'profilePicture',
+    thumbnailField: 'profilePictureThumbnail',
+    variants: {
+      full: { width: 512, height: 512, fit: 'cover' },
+      thumb: { width: 128, height: 128, fit: 'cover' }
+    }
+  },
+  logo: {
+    model: Club,
+    targetType: 'Club',
+    field: 'logo',
+    thumbnailField: 'logoThumbnail',
+    variants: {
+      full: { width: 512, height: 512, fit: 'inside' },
+      thumb: { width: 128, height: 128, fit: 'inside' }
+    }
+  },
+  poster: {
+    model: Event,
+    targetType: 'Event',
+    field: 'poster',
+    thumbnailField: 'posterThumbnail',
+    variants: {
+      full: { width: 1600, height: 1600, fit: 'inside' },
+      thumb: { width: 480, height: 270, fit: 'cover' }
+    }
+  }
+};
+
+class MediaError extends Error {}
+
+const maxUploadBytes = () => (parseFloat(process.env.MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Middleware reading a single image from the multipart field "image" into
+// req.file (kept in memory, never written as-is). Upload problems answer 400.
+const imageUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadBytes(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_TYPES.includes(file.mimetype)) {
+        return cb(new MediaError('Only JPEG, PNG, WebP or GIF images are allowed'));
+      }
+      cb(null, true);
+    }
+  }).single('image');
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Images must be smaller than ${Math.round(maxUploadBytes() / (1024 * 1024))} MB`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    if (error instanceof MediaError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please choose an image to upload' });
+    }
+    next();
+  });
+};
+
+// Delete stored files of every image recorded for a target (except `exceptId`)
+const removeMediaFor = async (targetType, targetId, exceptId) => {
+  const query = { targetType, target: targetId };
+  if (exceptId) {
+    query._id = { $ne: exceptId };
+  }
+
+  const media = await Media.find(query);
+  for (const item of media) {
+    await Promise.all(item.keys.map(key => getStorage().remove(key).catch(error => {
+      console.error(`Failed to remove stored file ${key}:`, error.message);
+    })));
+  }
+  await Media.deleteMany({ _id: { $in: media.map(item => item._id) } });
+};
+
+// Resize an uploaded image into the variants of `kind`, store them, point the
+// target's fields at them and remove whatever image the target had before
+const saveImage = async (kind, target, file, uploadedBy) => {
+  const config = MEDIA_KINDS[kind];
+
+  // The declared type can lie; sharp only reads real images
+  try {
+    await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new MediaError('The file is not a valid image');
+  }
+
+  const prefix = `${kind}s/${target._id}/${Date.now()}`;
+  const stored = {};
+  for (const [variant, size] of Object.entries(config.variants)) {
+    const buffer = await sharp(file.buffer)
+      .rotate()
+      .resize({ ...size, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+    const key = `${prefix}-${variant}.webp`;
+    stored[variant] = { key, url: await getStorage().put(key, buffer, 'image/webp') };
+  }
+
+  const media = await Media.create({
+    kind,
+    targetType: config.targetType,
+    target: target._id,
+    keys: Object.values(stored).map(item => item.key),
+    url: stored.full.url,
+    thumbnailUrl: stored.thumb.url,
+    originalName: file.originalname,
+    size: file.size,
+    uploadedBy
+  });
+
+  await config.model.updateOne({ _id: target._id }, {
+    [config.field]: media.url,
+    [config.thumbnailField]: media.thumbnailUrl
+  });
+  await removeMediaFor(config.targetType, target._id, media._id);
+
+  return media;
+};
+
+// Remove the target's image of `kind` and clear its fields
+const clearImage = async (kind, target) => {
+  const config = MEDIA_KINDS[kind];
+
+  await config.model.updateOne({ _id: target._id }, {
+    [config.field]: '',
+    [config.thumbnailField]: ''
+  });
+  await removeMediaFor(config.targetType, target._id);
+};
+
+// Remove images whose user, club or event no longer exists
+const removeOrphanedMedia = async () => {
+  let removed = 0;
+
+  for (const config of Object.values(MEDIA_KINDS)) {
+    const targets = await Media.distinct('target', { targetType: config.targetType });
+    const existing = await config.model.find({ _id: { $in: targets } }).distinct('_id');
+    const existingIds = new Set(existing.map(id => id.toString()));
+
+    for (const target of targets.filter(id => !existingIds.has(id.toString()))) {
+      await removeMediaFor(config.targetType, target);
+      removed += 1;
+    }
+  }
+
+  return removed;
+};
+
+module.exports = {
+  MediaError,
+  imageUpload,
+  saveImage,
+  clearImage,
+  removeMediaFor,
+  removeOrphanedMedia
+};
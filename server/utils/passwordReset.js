@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const { escapeHtml, sendMail } = require('./mailer');
+const { hashToken } = require('./sessions');
+
+// Generate a single-use reset token. Only its hash is stored on the user,
+// so a leaked database does not leak working reset links.
+const createPasswordResetToken = (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+
+  user.passwordResetTokenHash = hashToken(token);
+  user.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+const sendPasswordResetEmail = async (user, token) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const link = `${clientUrl}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your UniConnect password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for your UniConnect account. Open the link below to choose a new one:\n\n${link}\n\nThe link can be used once and expires soon. If you did not ask for this you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset the password for your UniConnect account.</p><p><a href="${link}">Choose a new password</a></p><p>The link can be used once and expires soon. If you did not ask for this you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  createPasswordResetToken,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const User = require('../models/User');
+
+// Profile fields each user controls with User.privacy
+const PRIVATE_FIELDS = ['email', 'phone', 'major', 'year', 'interests', 'clubMemberships'];
+
+// Fields every signed-in or anonymous viewer may see
+const PUBLIC_FIELDS = ['_id', 'name', 'role', 'university', 'bio', 'profilePicture', 'profilePictureThumbnail'];
+
+// Everything a profile can show to someone else; privacy decides what they actually get
+const PROFILE_SELECT = [...PUBLIC_FIELDS, ...PRIVATE_FIELDS, 'privacy'].join(' ');
+
+// Extra fields to load on populated users so privacy can be applied
+const PRIVACY_SELECT = 'privacy university clubMemberships.club';
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+// What the privacy rules need to know about whoever is looking; null for anonymous visitors
+const getViewer = async (user) => {
+  if (!user) {
+    return null;
+  }
+
+  const clubIds = await Club.find({ 'members.user': user._id }).distinct('_id');
+  return {
+    id: user._id,
+    role: user.role,
+    university: user.university,
+    clubIds: new Set(clubIds.map(id => id.toString()))
+  };
+};
+
+const seesEverything = (owner, viewer) => {
+  return Boolean(viewer) && (viewer.role === 'Administrator' || sameId(owner._id, viewer.id));
+};
+
+const canView = (level, owner, viewer) => {
+  switch (level) {
+    case 'public':
+      return true;
+    case 'university':
+      return Boolean(viewer) && sameId(owner.university, viewer.university);
+    case 'clubmates':
+      return Boolean(viewer) && (owner.clubMemberships || [])
+        .some(membership => membership.club && viewer.clubIds.has(idOf(membership.club).toString()));
+    default:
+      return false;
+  }
+};
+
+// Query condition matching users whose `field` the viewer may see, so that
+// filtering on a hidden field cannot reveal its value
+const visibleFieldQuery = (field, viewer) => {
+  if (viewer.role === 'Administrator') {
+    return {};
+  }
+
+  // Accounts created before privacy settings existed have no stored level
+  const path = `privacy.${field}`;
+  const fallback = User.schema.path(path).defaultValue;
+  const level = (value) => (value === fallback ? { $in: [value, null] } : value);
+
+  return {
+    $or: [
+      { [path]: level('public') },
+      { [path]: level('university'), university: viewer.university },
+      { [path]: level('clubmates'), 'clubMemberships.club': { $in: [...viewer.clubIds] } },
+      { _id: viewer.id }
+    ]
+  };
+};
+
+// Copy of a user with only the fields the viewer may see. With `fields`, the
+// result is further limited to those (the populate select of a roster).
+const redactUser = (user, viewer, fields) => {
+  // Missing or unpopulated references carry nothing to hide
+  if (!user || user instanceof mongoose.Types.ObjectId) {
+    return user;
+  }
+
+  const plain = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+  const wanted = fields ? new Set(['_id', ...fields.split(' ').filter(Boolean)]) : null;
+  const privacy = plain.privacy || {};
+  const full = seesEverything(plain, viewer);
+  const result = {};
+
+  Object.keys(plain).forEach(field => {
+    if (wanted && !wanted.has(field)) {
+      return;
+    }
+    if (PRIVATE_FIELDS.includes(field) && !full && !canView(privacy[field] || 'private', plain, viewer)) {
+      return;
+    }
+    if (field === 'privacy' && !full) {
+      return;
+    }
+    result[field] = plain[field];
+  });
+
+  return result;
+};
+
+// Redact users populated at `path` of a plain object: "president" for a single
+// reference, "members.user" for a reference inside an array of entries
+const redactPopulated = (obj, path, viewer, fields) => {
+  const [field, nested] = path.split('.');
+
+  if (!nested) {
+    obj[field] = redactUser(obj[field], viewer, fields);
+  } else {
+    obj[field] = (obj[field] || []).map(entry => ({
+      ...entry,
+      [nested]: redactUser(entry[nested], viewer, fields)
+    }));
+  }
+
+  return obj;
+};
+
+module.exports = {
+  PRIVATE_FIELDS,
+  PUBLIC_FIELDS,
+  PROFILE_SELECT,
+  PRIVACY_SELECT,
+  getViewer,
+  canView,
+  visibleFieldQuery,
+  redactUser,
+  redactPopulated
+};
@@ -0,0 +1,124 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { authenticateToken } = require('../middleware/auth');
+const { isSessionActive } = require('./sessions');
+
+// Open sockets of each signed-in user, keyed by user id
+const socketsByUser = new Map();
+
+const HEARTBEAT_MS = 30 * 1000;
+const AUTH_TIMEOUT_MS = 10 * 1000;
+
+const addSocket = (userId, socket) => {
+  if (!socketsByUser.has(userId)) {
+    socketsByUser.set(userId, new Set());
+  }
+  socketsByUser.get(userId).add(socket);
+};
+
+const removeSocket = (userId, socket) => {
+  const sockets = socketsByUser.get(userId);
+  if (sockets) {
+    sockets.delete(socket);
+    if (sockets.size === 0) {
+      socketsByUser.delete(userId);
+    }
+  }
+};
+
+// Push an event to every open socket of the given users
+const sendToUsers = (userIds, type, payload) => {
+  const data = JSON.stringify({ type, ...payload });
+
+  userIds.forEach(userId => {
+    (socketsByUser.get(userId.toString()) || []).forEach(socket => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(data);
+      }
+    });
+  });
+};
+
+// Resolve the `{ type: 'auth', token }` message a client sends first
+const authenticateMessage = async (data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return { error: { message: 'Invalid message' } };
+  }
+
+  if (!message || message.type !== 'auth' || typeof message.token !== 'string') {
+    return { error: { message: 'No token provided' } };
+  }
+
+  try {
+    return await authenticateToken(message.token);
+  } catch (error) {
+    return { error: { message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' } };
+  }
+};
+
+// Accept WebSocket connections on /ws. Browsers cannot set headers on a
+// WebSocket and a token in the URL would end up in proxy and access logs, so
+// the client sends its access token in the first message instead.
+const attachRealtime = (server) => {
+  const wss = new WebSocketServer({ server, path: '/ws' });
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('error', (error) => console.error('WebSocket error:', error.message));
+
+    const authTimer = setTimeout(() => socket.close(4401, 'Authentication timed out'), AUTH_TIMEOUT_MS);
+
+    socket.once('message', async (data) => {
+      clearTimeout(authTimer);
+      const auth = await authenticateMessage(data);
+
+      if (auth.error) {
+        socket.close(4401, auth.error.message);
+        return;
+      }
+
+      if (socket.readyState !== WebSocket.OPEN) {
+        return;
+      }
+
+      const userId = auth.user._id.toString();
+      addSocket(userId, socket);
+      socket.sessionId = auth.sessionId;
+      socket.on('close', () => removeSocket(userId, socket));
+
+      socket.send(JSON.stringify({ type: 'ready' }));
+    });
+
+    socket.on('close', () => clearTimeout(authTimer));
+  });
+
+  // Drop sockets that stopped answering pings or whose session was revoked
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(async socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      if (socket.sessionId && !(await isSessionActive(socket.sessionId).catch(() => true))) {
+        socket.close(4401, 'Session has been revoked');
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = {
+  attachRealtime,
+  sendToUsers
+};
@@ -0,0 +1,21 @@
+const { PRIVACY_SELECT } = require('./privacy');
+
+// Populate options for a user reference that leave deactivated accounts out
+// and load what the privacy rules need (see redactPopulated)
+const activeUsers = (path, select) => ({
+  path,
+  select: `${select} ${PRIVACY_SELECT}`,
+  match: { isActive: true }
+});
+
+// Plain copy of a club or event without the roster entries activeUsers() filtered out
+const withoutInactive = (doc, path) => {
+  const result = doc.toObject();
+  result[path] = result[path].filter(entry => entry.user);
+  return result;
+};
+
+module.exports = {
+  activeUsers,
+  withoutInactive
+};
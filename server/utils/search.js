@@ -0,0 +1,14 @@
+// Treat user input as literal text inside a MongoDB $regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive whole-value match, e.g. "computer science" finds "Computer Science"
+const exactText = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, 'i');
+
+// Whether `word` appears in `text` as a whole word or phrase, ignoring case
+const containsWord = (text, word) => new RegExp(`\\b${escapeRegex(String(word).trim())}\\b`, 'i').test(text);
+
+module.exports = {
+  escapeRegex,
+  exactText,
+  containsWord
+};
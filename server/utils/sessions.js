@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const refreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 300),
+  ipAddress: req.ip || ''
+});
+
+// Generate a short-lived access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
+  });
+};
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without a hash scan
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+// Start a new device session and issue its first token pair
+const createSession = async (userId, req) => {
+  const session = new Session({
+    user: userId,
+    tokenHash: 'pending',
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(userId, session._id),
+    refreshToken
+  };
+};
+
+const impersonationMinutes = () => parseInt(process.env.IMPERSONATION_MINUTES, 10) || 30;
+
+// Start a time-limited session in which an Administrator acts as another user.
+// Only an access token is issued, so it ends when that token expires.
+const createImpersonationSession = async (userId, impersonatorId, req) => {
+  const minutes = impersonationMinutes();
+  const session = await Session.create({
+    user: userId,
+    impersonatedBy: impersonatorId,
+    tokenHash: hashToken(crypto.randomBytes(40).toString('hex')),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    ...clientInfo(req)
+  });
+
+  const token = jwt.sign({ userId, sessionId: session._id, impersonatorId }, process.env.JWT_SECRET, {
+    expiresIn: `${minutes}m`
+  });
+
+  return { session, token, expiresAt: session.expiresAt };
+};
+
+const refreshGraceMs = () => (parseInt(process.env.REFRESH_GRACE_SECONDS, 10) || 30) * 1000;
+
+// Exchange a refresh token for a new token pair. Presenting an already
+// rotated token means it was copied, so the whole session is revoked. The
+// exception is the token rotated just before: another tab that refreshed at
+// the same moment gets a new access token and keeps the stored refresh token.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive || session.impersonatedBy) {
+    return null;
+  }
+
+  const user = await User.findById(session.user).select('isActive');
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const now = new Date();
+  const nextRefreshToken = generateRefreshToken(session._id);
+
+  // Only one request can swap out the current hash
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (rotated) {
+    return {
+      session: rotated,
+      token: generateAccessToken(rotated.user, rotated._id),
+      refreshToken: nextRefreshToken
+    };
+  }
+
+  const current = await Session.findById(session._id);
+  if (current && current.isActive && current.previousTokenHash === presentedHash &&
+    now - current.rotatedAt < refreshGraceMs()) {
+    return {
+      session: current,
+      token: generateAccessToken(current.user, current._id),
+      refreshToken: null
+    };
+  }
+
+  await Session.updateOne({ _id: session._id, revokedAt: null }, { $set: { revokedAt: now } });
+  return null;
+};
+
+// Check that the session an access token was issued for is still usable
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return Boolean(session && session.isActive);
+};
+
+const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke every session of a user, optionally keeping the one in use
+const revokeUserSessions = async (userId, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(query, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions
+};
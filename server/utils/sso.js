@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { Issuer, generators } = require('openid-client');
+const User = require('../models/User');
+const SsoLogin = require('../models/SsoLogin');
+const { hashToken } = require('./sessions');
+
+// Time allowed at the identity provider, and for the client to pick up the result
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+const HANDOFF_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Cookie tying a sign-in to the browser that started it, so nobody can sign a
+// victim into another account by getting them to open a callback URL
+const BROWSER_COOKIE = 'sso_login';
+
+// Errors that are safe to show to the person signing in
+class SsoError extends Error {}
+
+const browserCookieOptions = () => ({
+  httpOnly: true,
+  // Lax still sends it on the provider's top-level redirect back to us
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/sso'
+});
+
+const readBrowserCookie = (req) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(item => item.trim())
+    .find(item => item.startsWith(`${BROWSER_COOKIE}=`));
+  return pair ? decodeURIComponent(pair.slice(BROWSER_COOKIE.length + 1)) : '';
+};
+
+const redirectUri = () => {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${apiUrl}/api/auth/sso/callback`;
+};
+
+// Discovery documents, cached per issuer
+const issuers = new Map();
+
+const discoverIssuer = async (issuerUrl) => {
+  if (!issuers.has(issuerUrl)) {
+    issuers.set(issuerUrl, Issuer.discover(issuerUrl).catch((error) => {
+      issuers.delete(issuerUrl);
+      throw error;
+    }));
+  }
+  return issuers.get(issuerUrl);
+};
+
+// OIDC client for a university; the university must be loaded with +sso.clientSecret
+const getClient = async (university) => {
+  const { issuer: issuerUrl, clientId, clientSecret } = university.sso;
+  const issuer = await discoverIssuer(issuerUrl);
+
+  return new issuer.Client({
+    client_id: clientId,
+    client_secret: clientSecret || undefined,
+    redirect_uris: [redirectUri()],
+    response_types: ['code'],
+    token_endpoint_auth_method: clientSecret ? 'client_secret_basic' : 'none'
+  });
+};
+
+// Set the browser cookie and return the provider URL to send the browser to
+const startLogin = async (university, res) => {
+  const client = await getClient(university);
+  const codeVerifier = generators.codeVerifier();
+  const browserKey = crypto.randomBytes(32).toString('hex');
+  const login = await SsoLogin.create({
+    state: generators.state(),
+    nonce: generators.nonce(),
+    codeVerifier,
+    browserHash: hashToken(browserKey),
+    university: university._id,
+    expiresAt: new Date(Date.now() + LOGIN_TIMEOUT_MS)
+  });
+
+  res.cookie(BROWSER_COOKIE, browserKey, { ...browserCookieOptions(), maxAge: LOGIN_TIMEOUT_MS });
+
+  return client.authorizationUrl({
+    scope: university.sso.scopes,
+    state: login.state,
+    nonce: login.nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+};
+
+// Find the account for a verified identity: an already linked account first,
+// then an account with the same email (which gets linked), then a new account
+const resolveUser = async (university, claims) => {
+  const identity = { issuer: university.sso.issuer, subject: claims.sub };
+
+  const linked = await User.findOne({
+    ssoIdentities: { $elemMatch: identity }
+  });
+  if (linked) {
+    return linked;
+  }
+
+  const email = String(claims.email || '').toLowerCase();
+  if (!email || claims.email_verified === false) {
+    throw new SsoError('Your university account did not provide a verified email address');
+  }
+
+  if (!university.allowsEmail(email)) {
+    throw new SsoError(`${email} is not a ${university.name} email address`);
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (existing.university && !existing.university.equals(university._id)) {
+      throw new SsoError('This email is registered with a different university');
+    }
+
+    // Accounts without a university take the one whose provider vouched for the email
+    existing.university = existing.university || university._id;
+    existing.ssoIdentities.push({ university: university._id, ...identity });
+    existing.emailVerified = true;
+    existing.emailVerifiedAt = existing.emailVerifiedAt || new Date();
+    await existing.save();
+    return existing;
+  }
+
+  if (!university.sso.allowProvisioning) {
+    throw new SsoError('No UniConnect account uses this email. Please register first.');
+  }
+
+  // The random password is never shared; "forgot password" can set a real one later
+  return User.create({
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    university: university._id,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    ssoIdentities: [{ university: university._id, ...identity }]
+  });
+};
+
+// Handle the provider callback from the browser that started the sign-in.
+// Returns the one-time handoff code for the client.
+const finishLogin = async (req, res, loadUniversity) => {
+  const browserKey = readBrowserCookie(req);
+  res.clearCookie(BROWSER_COOKIE, browserCookieOptions());
+
+  const login = browserKey && await SsoLogin.findOne({
+    state: String(req.query.state || ''),
+    browserHash: hashToken(browserKey),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!login || login.user) {
+    throw new SsoError('This sign-in link has expired. Please try again.');
+  }
+
+  const university = await loadUniversity(login.university);
+  if (!university || !university.sso.enabled) {
+    throw new SsoError('Single sign-on is not available for this university');
+  }
+
+  const client = await getClient(university);
+  const params = client.callbackParams(req);
+  if (params.error) {
+    throw new SsoError(params.error_description || 'Sign-in was cancelled at your university');
+  }
+
+  const tokenSet = await client.callback(redirectUri(), params, {
+    state: login.state,
+    nonce: login.nonce,
+    code_verifier: login.codeVerifier
+  });
+
+  const user = await resolveUser(university, tokenSet.claims());
+
+  const handoffCode = crypto.randomBytes(32).toString('hex');
+  login.user = user._id;
+  login.handoffHash = hashToken(handoffCode);
+  login.expiresAt = new Date(Date.now() + HANDOFF_TIMEOUT_MS);
+  await login.save();
+
+  return handoffCode;
+};
+
+// Trade a handoff code for the user it was issued to; each code works once
+const redeemHandoff = async (handoffCode) => {
+  const login = await SsoLogin.findOneAndDelete({
+    handoffHash: hashToken(String(handoffCode)),
+    expiresAt: { $gt: new Date() }
+  });
+
+  return login ? User.findById(login.user) : null;
+};
+
+module.exports = {
+  SsoError,
+  redirectUri,
+  startLogin,
+  finishLogin,
+  redeemHandoff
+};
@@ -0,0 +1,95 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where uploaded files live. STORAGE_DRIVER=local (default) keeps them in
+// UPLOAD_DIR and serves them from /uploads; STORAGE_DRIVER=s3 sends them to any
+// S3-compatible bucket (AWS, MinIO, Cloudflare R2, ...).
+//
+// Every driver exposes the same two functions, both working on storage keys
+// such as "avatars/<id>/full.webp":
+//   put(key, buffer, contentType) -> public URL
+//   remove(key)
+
+const uploadDir = () => path.resolve(__dirname, '..', process.env.UPLOAD_DIR || 'uploads');
+
+const localDriver = () => {
+  const baseUrl = `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}/uploads`;
+  const fileFor = (key) => path.join(uploadDir(), ...key.split('/'));
+
+  return {
+    async put(key, buffer) {
+      await fs.mkdir(path.dirname(fileFor(key)), { recursive: true });
+      await fs.writeFile(fileFor(key), buffer);
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+};
+
+const s3Driver = () => {
+  // Loaded only when configured, so local setups never touch the AWS SDK
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const baseUrl = process.env.S3_PUBLIC_URL
+    || (process.env.S3_ENDPOINT
+      ? `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`);
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const drivers = {
+  local: localDriver,
+  s3: s3Driver
+};
+
+let storage;
+
+// The configured driver, created on first use because dotenv loads after the routes
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+module.exports = {
+  uploadDir,
+  getStorage
+};
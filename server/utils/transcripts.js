@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Transcript = require('../models/Transcript');
+const User = require('../models/User');
+const Event = require('../models/Event');
+
+// Unambiguous characters only (no 0/O or 1/I), so codes can be typed from paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// e.g. "K7QM-2XRA-P9TD-HW4C"
+const generateCode = () => {
+  const bytes = crypto.randomBytes(16);
+  const characters = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return characters.join('').match(/.{4}/g).join('-');
+};
+
+const verificationUrl = (code) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${clientUrl}/verify-transcript/${code}`;
+};
+
+const checksumOf = ({ student, clubs, events }) => {
+  return crypto.createHash('sha256').update(JSON.stringify({ student, clubs, events })).digest('hex');
+};
+
+// Issue a transcript from the user's current club memberships (role and tenure
+// as recorded by each club) and the events they were checked in at
+const issueTranscript = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('university', 'name')
+    .populate('clubMemberships.club', 'name category members');
+
+  const clubs = user.clubMemberships
+    .filter(membership => membership.club)
+    .map(membership => {
+      const member = membership.club.members.find(entry => entry.user && entry.user.equals(user._id));
+      return {
+        club: membership.club._id,
+        name: membership.club.name,
+        category: membership.club.category,
+        role: member ? member.role : membership.role,
+        from: member ? member.joinedDate : membership.joinedDate
+      };
+    })
+    .sort((a, b) => a.from - b.from);
+
+  const attended = await Event.find({ attendees: { $elemMatch: { user: user._id, attended: true } } })
+    .select('title eventType club startDate')
+    .populate('club', 'name')
+    .sort({ startDate: 1 });
+
+  const contents = {
+    student: {
+      name: user.name,
+      studentId: user.studentId || '',
+      university: user.university ? user.university.name : '',
+      major: user.major || ''
+    },
+    clubs,
+    events: attended.map(event => ({
+      event: event._id,
+      title: event.title,
+      eventType: event.eventType,
+      club: event.club ? event.club.name : '',
+      date: event.startDate
+    }))
+  };
+
+  // Normalize through the schema first so the checksum matches what verification reads back
+  const transcript = new Transcript({ user: user._id, code: generateCode(), ...contents, checksum: 'pending' });
+  transcript.checksum = checksumOf(publicContents(transcript));
+  await transcript.save();
+
+  return transcript;
+};
+
+// What anyone holding the code may see: the snapshot printed on the PDF
+const publicContents = (transcript) => {
+  const plain = transcript.toObject();
+  return {
+    student: plain.student,
+    clubs: plain.clubs.map(({ name, category, role, from, to }) => ({ name, category, role, from, to })),
+    events: plain.events.map(({ title, eventType, club, date }) => ({ title, eventType, club, date }))
+  };
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+}) : '');
+
+// Write the transcript as a PDF into `stream` (usually the response)
+const pipeTranscriptPdf = (transcript, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Co-curricular Transcript' } });
+  const { student, clubs, events } = publicContents(transcript);
+  doc.pipe(stream);
+
+  doc.fontSize(20).font('Helvetica-Bold').text('UniConnect', { align: 'center' });
+  doc.fontSize(14).font('Helvetica').text('Co-curricular Transcript', { align: 'center' });
+  doc.moveDown(1.5);
+
+  doc.fontSize(11);
+  [
+    ['Student', student.name],
+    ['Student ID', student.studentId],
+    ['University', student.university],
+    ['Major', student.major],
+    ['Issued', formatDate(transcript.createdAt)]
+  ].filter(([, value]) => value).forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+  });
+
+  const section = (title) => {
+    doc.moveDown(1.2).fontSize(13).font('Helvetica-Bold').text(title);
+    doc.moveTo(doc.page.margins.left, doc.y + 2).lineTo(doc.page.width - doc.page.margins.right, doc.y + 2).stroke();
+    doc.moveDown(0.6).fontSize(10).font('Helvetica');
+  };
+
+  section('Club Involvement');
+  if (clubs.length === 0) {
+    doc.text('No club memberships recorded.');
+  }
+  clubs.forEach(club => {
+    doc.font('Helvetica-Bold').text(`${club.name} (${club.category})`);
+    doc.font('Helvetica').text(`${club.role} • ${formatDate(club.from)} – ${club.to ? formatDate(club.to) : 'present'}`);
+    doc.moveDown(0.4);
+  });
+
+  section('Events Attended');
+  if (events.length === 0) {
+    doc.text('No checked-in events recorded.');
+  }
+  events.forEach(event => {
+    doc.font('Helvetica-Bold').text(event.title, { continued: true })
+      .font('Helvetica').text(`  ${[event.eventType, event.club, formatDate(event.date)].filter(Boolean).join(' • ')}`);
+  });
+
+  doc.moveDown(2).fontSize(9).fillColor('#555555');
+  doc.text(`Verification code: ${transcript.code}`);
+  doc.text(`Verify this transcript at ${verificationUrl(transcript.code)}`, { link: verificationUrl(transcript.code) });
+  doc.text(`Checksum (SHA-256): ${transcript.checksum}`);
+
+  doc.end();
+};
+
+module.exports = {
+  verificationUrl,
+  issueTranscript,
+  publicContents,
+  pipeTranscriptPdf
+};
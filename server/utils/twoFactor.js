@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { hashToken } = require('./sessions');
+
+const ISSUER = 'UniConnect';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous and next 30s step to tolerate clock drift on phones
+authenticator.options = { window: 1 };
+
+// Roles listed in TWO_FACTOR_REQUIRED_ROLES (comma separated) must enroll
+// before they can use their role's privileges
+const isTwoFactorRequired = (role) => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .includes(role);
+};
+
+const generateSecret = () => authenticator.generateSecret();
+
+// Build the otpauth:// URL and a QR code data URL for authenticator apps
+const buildEnrollment = async (email, secret) => {
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { otpauthUrl, qrCode, secret };
+};
+
+// Time step (30s window since the epoch) a TOTP code belongs to, or null if it does not match
+const matchTotpStep = (secret, code) => {
+  if (!secret || !code) {
+    return null;
+  }
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) {
+    return null;
+  }
+  return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+};
+
+const verifyTotp = (secret, code) => matchTotpStep(secret, code) !== null;
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+const normalizeRecoveryCode = (code) => {
+  const raw = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+// Check a TOTP or recovery code for a user loaded with the 2FA secrets.
+// A matching recovery code is removed so it cannot be used again; the
+// caller is responsible for saving the user. `step` is the time step of a
+// matching TOTP code and `recoveryCodeHash` the hash of a matching recovery code.
+const verifySecondFactor = (user, code) => {
+  const step = matchTotpStep(user.twoFactor.secret, code);
+  if (step !== null) {
+    return { valid: true, usedRecoveryCode: false, step };
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+  if (index === -1) {
+    return { valid: false };
+  }
+
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return { valid: true, usedRecoveryCode: true, recoveryCodeHash: hash };
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor
+};